@@ -0,0 +1,31 @@
+/**
+ * Factory functions for creating module artifacts in tests
+ */
+
+import { MODULE_ENTITY_TYPES } from '../lib/constants.js'
+
+/**
+ * Create a module version artifact (modules/<id>/versions/<version>.json)
+ *
+ * Every entity list is present and empty unless overridden. The result is
+ * a deep copy, so tests can share entity constants between artifacts.
+ *
+ * @param {Object} overrides - Artifact fields (id, version, dependencies, entity lists, ...)
+ * @returns {Object} Module artifact
+ *
+ * @example
+ * const artifact = createMockArtifact({
+ *   id: 'Lab',
+ *   dependencies: { Core: '1.0.0' },
+ *   categories: [{ id: 'Equipment', label: 'Equipment' }]
+ * })
+ */
+export function createMockArtifact(overrides = {}) {
+  return structuredClone({
+    id: 'Core',
+    version: '1.0.0',
+    dependencies: {},
+    ...Object.fromEntries(MODULE_ENTITY_TYPES.map(entityType => [entityType, []])),
+    ...overrides
+  })
+}
@@ -271,3 +271,62 @@ export function createReferenceTestIndex(options = {}) {
 
   return index
 }
+
+/**
+ * Create a mock entity index for resource validation testing
+ *
+ * Structure:
+ * - Agent category: requires Has_name, allows Has_description and Has_homepage (Page)
+ * - Person category: inherits Agent, allows Has_email, Has_employer (Page from Organization), Address subobject
+ * - Organization category: inherits Agent, allows Has_website
+ *
+ * @param {Array<object>} resources - Resource entities (file path derived from id unless given)
+ * @returns {Object} Entity index with categories, properties and resources
+ */
+export function createResourceTestIndex(resources = []) {
+  const index = createMockEntityIndex()
+
+  index.properties = new Map([
+    ['Has_name', { id: 'Has_name', datatype: 'Text', cardinality: 'single', _filePath: 'properties/Has_name.json' }],
+    ['Has_description', { id: 'Has_description', datatype: 'Text', cardinality: 'single', _filePath: 'properties/Has_description.json' }],
+    ['Has_email', { id: 'Has_email', datatype: 'Email', cardinality: 'multiple', _filePath: 'properties/Has_email.json' }],
+    ['Has_website', { id: 'Has_website', datatype: 'URL', cardinality: 'single', _filePath: 'properties/Has_website.json' }],
+    ['Has_employer', { id: 'Has_employer', datatype: 'Page', cardinality: 'single', Allows_value_from_category: 'Organization', _filePath: 'properties/Has_employer.json' }],
+    ['Has_homepage', { id: 'Has_homepage', datatype: 'Page', cardinality: 'multiple', _filePath: 'properties/Has_homepage.json' }]
+  ])
+
+  index.subobjects = new Map([
+    ['Address', { id: 'Address', required_properties: [], _filePath: 'subobjects/Address.json' }]
+  ])
+
+  index.categories = new Map([
+    ['Agent', {
+      id: 'Agent',
+      required_properties: ['Has_name'],
+      optional_properties: ['Has_description', 'Has_homepage'],
+      _filePath: 'categories/Agent.json'
+    }],
+    ['Person', {
+      id: 'Person',
+      parents: ['Agent'],
+      optional_properties: ['Has_email', 'Has_employer'],
+      optional_subobjects: ['Address'],
+      _filePath: 'categories/Person.json'
+    }],
+    ['Organization', {
+      id: 'Organization',
+      parents: ['Agent'],
+      optional_properties: ['Has_website'],
+      _filePath: 'categories/Organization.json'
+    }]
+  ])
+
+  for (const resource of resources) {
+    index.resources.set(resource.id, {
+      _filePath: `resources/${resource.id}.json`,
+      ...resource
+    })
+  }
+
+  return index
+}
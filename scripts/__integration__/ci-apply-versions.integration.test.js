@@ -1,6 +1,8 @@
 import { describe, test, beforeEach, afterEach } from 'node:test'
 import assert from 'node:assert'
 import { execFileSync } from 'node:child_process'
+import fs from 'node:fs'
+import path from 'node:path'
 import { runCLIJSON, runCLI } from './helpers/cli-runner.js'
 import { createGitFixture, createTempFixture } from './helpers/fixture-manager.js'
 
@@ -107,6 +109,169 @@ describe('ci-apply-versions.js integration tests', () => {
       }
     })
 
+    test('output includes a migration map for renamed entities', async () => {
+      fixture.createBranch('feature/rename')
+      fs.unlinkSync(path.join(fixture.path, 'properties/Name.json'))
+      fixture.writeJSON('properties/Full_name.json', {
+        id: 'Full_name',
+        label: 'Name',
+        datatype: 'Text',
+        previous_ids: ['Name']
+      })
+      fixture.writeJSON('modules/Core.json', {
+        id: 'Core',
+        version: '1.0.0',
+        categories: ['Agent'],
+        properties: ['Full_name'],
+        subobjects: [],
+        templates: [],
+        dependencies: []
+      })
+      fixture.commit('Rename Name to Full_name')
+
+      const result = await runCLIJSON('ci-apply-versions.js', {
+        cwd: fixture.path
+      })
+
+      assert.strictEqual(result.exitCode, 0)
+      assert.deepStrictEqual(result.data.migrations, { properties: { Name: 'Full_name' } })
+      assert.strictEqual(result.data.modules.Core.bump, 'major')
+    })
+
+    test('records the release in root and module changelogs', async () => {
+      fixture.createBranch('feature/datatype')
+      fixture.writeJSON('properties/Name.json', { id: 'Name', label: 'Name', datatype: 'Number' })
+      fixture.commit('Change Name datatype')
+
+      const result = await runCLIJSON('ci-apply-versions.js', {
+        cwd: fixture.path
+      })
+
+      assert.strictEqual(result.exitCode, 0)
+      assert.deepStrictEqual(result.data.changelogs, ['CHANGELOG.md', 'modules/Core/CHANGELOG.md'])
+
+      const rootChangelog = fixture.readFile('CHANGELOG.md')
+      assert.ok(rootChangelog.includes(`## [${result.data.ontologyVersion}]`))
+      assert.ok(rootChangelog.includes('### Breaking'))
+      assert.ok(rootChangelog.includes('[Name](properties/Name.json)'))
+
+      const moduleChangelog = fixture.readFile('modules/Core/CHANGELOG.md')
+      assert.ok(moduleChangelog.includes('## [2.0.0]'))
+      assert.ok(moduleChangelog.includes('[Name](../../properties/Name.json)'))
+    })
+
+    test('--dry-run prints a diff and leaves files untouched', async () => {
+      fixture.createBranch('feature/dry-run')
+      fixture.writeJSON('properties/Name.json', { id: 'Name', label: 'Name', datatype: 'Number' })
+      fixture.writeJSON('VERSION_OVERRIDES.json', {})
+      fixture.commit('Change Name datatype')
+
+      const result = await runCLI('ci-apply-versions.js', {
+        cwd: fixture.path,
+        args: ['--dry-run']
+      })
+
+      assert.strictEqual(result.exitCode, 0)
+      assert.ok(result.stdout.includes('--- a/modules/Core.json\n+++ b/modules/Core.json'))
+      assert.ok(result.stdout.includes('-  "version": "1.0.0",\n+  "version": "2.0.0",'))
+      assert.ok(result.stdout.includes('--- a/VERSION\n+++ b/VERSION'))
+      assert.ok(result.stdout.includes('--- /dev/null\n+++ b/CHANGELOG.md'))
+      assert.ok(result.stdout.includes('--- a/VERSION_OVERRIDES.json\n+++ /dev/null'))
+
+      assert.strictEqual(fixture.readJSON('modules/Core.json').version, '1.0.0')
+      assert.strictEqual(fixture.exists('CHANGELOG.md'), false)
+      assert.strictEqual(fixture.exists('VERSION_OVERRIDES.json'), true)
+    })
+
+    test('--base compares against the given ref', async () => {
+      fixture.createBranch('feature/base')
+      fixture.writeJSON('properties/Name.json', { id: 'Name', label: 'Full name', datatype: 'Text' })
+      fixture.commit('Relabel Name')
+
+      const result = await runCLIJSON('ci-apply-versions.js', {
+        cwd: fixture.path,
+        args: ['--base=feature/base']
+      })
+
+      assert.strictEqual(result.exitCode, 0)
+      assert.deepStrictEqual(result.data.modules, {})
+      assert.strictEqual(result.data.ontologyVersion, null)
+    })
+
+    test('pre-release overrides version modules and bundles on a channel', async () => {
+      fixture.createBranch('feature/beta')
+      fixture.writeJSON('properties/Name.json', { id: 'Name', label: 'Name', datatype: 'Text', description: 'A name' })
+      fixture.writeJSON('VERSION_OVERRIDES.json', {
+        Core: { bump: 'preminor', channel: 'beta' },
+        Default: { bump: 'preminor', channel: 'beta' }
+      })
+      fixture.commit('Start Core beta')
+
+      const result = await runCLIJSON('ci-apply-versions.js', {
+        cwd: fixture.path
+      })
+
+      assert.strictEqual(result.exitCode, 0)
+      assert.deepStrictEqual(result.data.modules.Core, { from: '1.0.0', to: '1.1.0-beta.1', bump: 'preminor' })
+      assert.deepStrictEqual(result.data.bundles.Default, { from: '1.0.0', to: '1.1.0-beta.1', bump: 'preminor' })
+      assert.strictEqual(fixture.readJSON('modules/Core.json').version, '1.1.0-beta.1')
+    })
+
+    test('refuses a bump that breaks a declared dependency range', async () => {
+      fixture.createBranch('feature/lab')
+      fixture.writeJSON('categories/Equipment.json', { id: 'Equipment', label: 'Equipment' })
+      fixture.writeJSON('modules/Lab.json', {
+        id: 'Lab',
+        version: '1.0.0',
+        categories: ['Equipment'],
+        properties: [],
+        subobjects: [],
+        templates: [],
+        dependencies: { Core: '^1.0.0' }
+      })
+      fixture.commit('Add Lab')
+      fixture.createBranch('feature/datatype')
+      fixture.writeJSON('properties/Name.json', { id: 'Name', label: 'Name', datatype: 'Number' })
+      fixture.commit('Change Name datatype')
+
+      const result = await runCLI('ci-apply-versions.js', {
+        cwd: fixture.path,
+        args: ['--base=feature/lab']
+      })
+
+      assert.strictEqual(result.exitCode, 1)
+      assert.ok(result.stderr.includes('Core 2.0.0 (major bump from 1.0.0) is outside the range ^1.0.0 declared by Lab'))
+      assert.strictEqual(fixture.readJSON('modules/Core.json').version, '1.0.0')
+    })
+
+    test('accepts a pre-release override within a declared dependency range', async () => {
+      fixture.createBranch('feature/lab-beta')
+      fixture.writeJSON('categories/Equipment.json', { id: 'Equipment', label: 'Equipment' })
+      fixture.writeJSON('modules/Lab.json', {
+        id: 'Lab',
+        version: '1.0.0',
+        categories: ['Equipment'],
+        properties: [],
+        subobjects: [],
+        templates: [],
+        dependencies: { Core: '^1.0.0' }
+      })
+      fixture.commit('Add Lab')
+      fixture.createBranch('feature/core-beta')
+      fixture.writeJSON('properties/Name.json', { id: 'Name', label: 'Name', datatype: 'Text', description: 'A name' })
+      fixture.writeJSON('VERSION_OVERRIDES.json', { Core: { bump: 'preminor', channel: 'beta' } })
+      fixture.commit('Start Core beta')
+
+      const result = await runCLIJSON('ci-apply-versions.js', {
+        cwd: fixture.path,
+        args: ['--base=feature/lab-beta']
+      })
+
+      assert.strictEqual(result.exitCode, 0)
+      assert.deepStrictEqual(result.data.modules.Core, { from: '1.0.0', to: '1.1.0-beta.1', bump: 'preminor' })
+      assert.strictEqual(fixture.readJSON('modules/Core.json').version, '1.1.0-beta.1')
+    })
+
     test('module versions start at 1.0.0', async () => {
       const moduleContent = fixture.readJSON('modules/Core.json')
 
@@ -17,6 +17,7 @@ describe('ci-detect-affected.js integration tests', () => {
     fixture.writeJSON('categories/Equipment.json', { id: 'Equipment', label: 'Equipment' })
     fixture.writeJSON('properties/Name.json', { id: 'Name', label: 'Name', datatype: 'Text' })
     fixture.writeJSON('properties/SerialNumber.json', { id: 'SerialNumber', label: 'Serial Number', datatype: 'Text' })
+    fixture.writeJSON('templates/Equipment/Infobox.json', { id: 'Equipment/Infobox', label: 'Infobox', description: 'Equipment infobox', wikitext: '{{{1}}}' })
 
     fixture.writeJSON('modules/Core.json', {
       id: 'Core',
@@ -33,7 +34,7 @@ describe('ci-detect-affected.js integration tests', () => {
       categories: ['Equipment'],
       properties: ['SerialNumber'],
       subobjects: [],
-      templates: [],
+      templates: ['Equipment/Infobox'],
       dependencies: ['Core']
     })
 
@@ -86,6 +87,17 @@ describe('ci-detect-affected.js integration tests', () => {
     assert.ok(result.data.modules.includes('Lab'))
   })
 
+  test('nested template change detects containing module', async () => {
+    const result = await runCLIJSON('ci-detect-affected.js', {
+      cwd: fixture.path,
+      stdin: 'templates/Equipment/Infobox.json\n'
+    })
+
+    assert.strictEqual(result.exitCode, 0)
+    assert.deepStrictEqual(result.data.modules, ['Lab'])
+    assert.deepStrictEqual(result.data.bundles.sort(), ['Default', 'LabOnly'])
+  })
+
   test('module file change is detected directly', async () => {
     const result = await runCLIJSON('ci-detect-affected.js', {
       cwd: fixture.path,
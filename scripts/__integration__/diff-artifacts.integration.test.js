@@ -0,0 +1,102 @@
+import { describe, test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { runCLI, runCLIJSON } from './helpers/cli-runner.js'
+import { createTempFixture } from './helpers/fixture-manager.js'
+
+describe('diff-artifacts.js integration tests', () => {
+  let fixture
+
+  beforeEach(() => {
+    fixture = createTempFixture('diff-artifacts')
+
+    const artifact = {
+      id: 'Core',
+      version: '1.0.0',
+      dependencies: {},
+      categories: [{ id: 'Agent', label: 'Agent', required_properties: ['Has_name'] }],
+      properties: [
+        { id: 'Has_name', label: 'Name', datatype: 'Text', cardinality: 'single' },
+        { id: 'Has_nickname', label: 'Nickname', datatype: 'Text', cardinality: 'single' }
+      ],
+      subobjects: [],
+      templates: []
+    }
+    fixture.writeJSON('modules/Core/versions/1.0.0.json', artifact)
+    fixture.writeJSON('modules/Core/versions/1.1.0.json', {
+      ...artifact,
+      version: '1.1.0',
+      properties: [
+        { id: 'Has_name', label: 'Name', datatype: 'Text', cardinality: 'multiple' },
+        { id: 'Has_email', label: 'Email', datatype: 'Email', cardinality: 'single' }
+      ]
+    })
+  })
+
+  afterEach(() => {
+    if (fixture) {
+      fixture.cleanup()
+      fixture = null
+    }
+  })
+
+  test('text report by module and versions', async () => {
+    const result = await runCLI('diff-artifacts.js', {
+      cwd: fixture.path,
+      args: ['Core', '1.0.0', '1.1.0']
+    })
+
+    assert.strictEqual(result.exitCode, 0)
+    assert.ok(result.stdout.includes('Core 1.0.0 -> 1.1.0'))
+    assert.ok(result.stdout.includes('Required bump: major'))
+    assert.ok(result.stdout.includes('[property-cardinality-expanded]'))
+    assert.ok(result.stdout.includes('properties deleted: Has_nickname'))
+  })
+
+  test('markdown report from artifact paths', async () => {
+    const result = await runCLI('diff-artifacts.js', {
+      cwd: fixture.path,
+      args: ['modules/Core/versions/1.0.0.json', 'modules/Core/versions/1.1.0.json', '--format=markdown']
+    })
+
+    assert.strictEqual(result.exitCode, 0)
+    assert.ok(result.stdout.startsWith('## Core 1.0.0 -> 1.1.0'))
+    assert.ok(result.stdout.includes('| `properties/Has_email` | properties added: Has_email | minor | `entity-added` |'))
+  })
+
+  test('json report', async () => {
+    const result = await runCLIJSON('diff-artifacts.js', {
+      cwd: fixture.path,
+      args: ['Core', '1.0.0', '1.1.0', '--format=json']
+    })
+
+    assert.strictEqual(result.exitCode, 0)
+    assert.strictEqual(result.data.requiredBump, 'major')
+    const files = result.data.changes.map(change => change.file).sort()
+    assert.deepStrictEqual(files, [
+      'modules/Core.json',
+      'properties/Has_email.json',
+      'properties/Has_name.json',
+      'properties/Has_nickname.json'
+    ])
+  })
+
+  test('missing artifact exits with code 1', async () => {
+    const result = await runCLI('diff-artifacts.js', {
+      cwd: fixture.path,
+      args: ['Core', '1.0.0', '9.0.0']
+    })
+
+    assert.strictEqual(result.exitCode, 1)
+    assert.ok(result.stderr.includes('modules/Core/versions/9.0.0.json'))
+  })
+
+  test('invalid format exits with code 1', async () => {
+    const result = await runCLI('diff-artifacts.js', {
+      cwd: fixture.path,
+      args: ['Core', '1.0.0', '1.1.0', '--format=html']
+    })
+
+    assert.strictEqual(result.exitCode, 1)
+    assert.ok(result.stderr.includes('Invalid format'))
+  })
+})
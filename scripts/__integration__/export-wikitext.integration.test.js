@@ -0,0 +1,71 @@
+import { describe, test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { runCLI } from './helpers/cli-runner.js'
+import { createTempFixture } from './helpers/fixture-manager.js'
+
+describe('export-wikitext.js integration tests', () => {
+  let fixture
+
+  beforeEach(() => {
+    fixture = createTempFixture('export-wikitext')
+
+    fixture.writeJSON('categories/Agent.json', { id: 'Agent', label: 'Agent', description: 'An agent' })
+    fixture.writeJSON('categories/Person.json', { id: 'Person', label: 'Person', description: 'A human being', parents: ['Agent'] })
+    fixture.writeJSON('properties/Has_email.json', {
+      id: 'Has_email', label: 'Email', description: 'Contact email', datatype: 'Email', cardinality: 'multiple'
+    })
+    fixture.writeJSON('templates/Property/Page.json', {
+      id: 'Property/Page', label: 'Page', description: 'Page links', wikitext: '[[{{{value}}}]]'
+    })
+    fixture.writeJSON('dashboards/Core_overview.json', {
+      id: 'Core_overview',
+      label: 'Overview',
+      description: 'Overview',
+      pages: [{ name: '', wikitext: '== Overview ==' }, { name: 'Setup', wikitext: '== Setup ==' }]
+    })
+    fixture.writeJSON('modules/Core/versions/1.0.0.json', {
+      id: 'Core',
+      version: '1.0.0',
+      dependencies: {},
+      categories: [{ id: 'Agent', label: 'Agent', description: 'An agent' }],
+      properties: [{ id: 'Has_name', label: 'Name', description: 'Name', datatype: 'Text', cardinality: 'single' }],
+      subobjects: [],
+      templates: []
+    })
+  })
+
+  afterEach(() => {
+    if (fixture) {
+      fixture.cleanup()
+      fixture = null
+    }
+  })
+
+  test('exports the working tree', async () => {
+    const result = await runCLI('export-wikitext.js', { cwd: fixture.path, args: ['--out=wiki'] })
+
+    assert.strictEqual(result.exitCode, 0)
+    assert.ok(result.stdout.includes('Exported 10 pages to wiki'))
+    assert.strictEqual(fixture.readFile('wiki/Category/Person.wikitext'), 'A human being\n\n[[Display title of::Person]]\n\n[[Category:Agent]]\n')
+    assert.strictEqual(fixture.readFile('wiki/Property/Has_email.wikitext'), 'Contact email\n\n[[Display title of::Email]]\n[[Has type::Email]]\n')
+    assert.ok(fixture.exists('wiki/Template/Property/Page.wikitext'))
+    assert.ok(fixture.exists('wiki/Main/Core_overview/Setup.wikitext'))
+    assert.ok(fixture.exists('wiki/Form/Person.wikitext'))
+  })
+
+  test('exports a module artifact', async () => {
+    const result = await runCLI('export-wikitext.js', { cwd: fixture.path, args: ['Core', '1.0.0', '--out=core'] })
+
+    assert.strictEqual(result.exitCode, 0)
+    assert.ok(fixture.exists('core/Property/Has_name.wikitext'))
+    assert.ok(fixture.exists('core/Category/Agent.wikitext'))
+    assert.ok(!fixture.exists('core/Category/Person.wikitext'))
+  })
+
+  test('missing artifact exits with code 1', async () => {
+    const result = await runCLI('export-wikitext.js', { cwd: fixture.path, args: ['Core', '9.0.0'] })
+
+    assert.strictEqual(result.exitCode, 1)
+    assert.ok(result.stderr.includes('Artifact not found: modules/Core/versions/9.0.0.json'))
+  })
+})
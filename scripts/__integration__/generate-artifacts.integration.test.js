@@ -0,0 +1,87 @@
+import { describe, test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { runCLI } from './helpers/cli-runner.js'
+import { createTempFixture } from './helpers/fixture-manager.js'
+
+describe('generate-artifacts.js integration tests', () => {
+  let fixture
+
+  beforeEach(() => {
+    fixture = createTempFixture('generate-artifacts')
+
+    fixture.writeFile('VERSION', '1.0.0\n')
+    fixture.writeJSON('categories/Person.json', {
+      id: 'Person', label: 'Person', description: 'A human being', required_properties: ['Has_name']
+    })
+    fixture.writeJSON('properties/Has_name.json', {
+      id: 'Has_name', label: 'Name', description: 'Full name', datatype: 'Text', cardinality: 'single'
+    })
+    fixture.writeJSON('resources/Person/John_doe.json', { id: 'Person/John_doe', category: 'Person', Has_name: 'John Doe' })
+    fixture.writeJSON('modules/Core.json', {
+      id: 'Core',
+      version: '1.0.0',
+      label: 'Core',
+      description: 'Core',
+      categories: ['Person'],
+      properties: ['Has_name'],
+      resources: ['Person/John_doe']
+    })
+    fixture.writeJSON('bundles/Default.json', {
+      id: 'Default', version: '1.0.0', label: 'Default', description: 'Default', modules: ['Core']
+    })
+  })
+
+  afterEach(() => {
+    if (fixture) {
+      fixture.cleanup()
+      fixture = null
+    }
+  })
+
+  test('writes only JSON artifacts by default', async () => {
+    const result = await runCLI('generate-artifacts.js', { cwd: fixture.path, args: ['--all'] })
+
+    assert.strictEqual(result.exitCode, 0)
+    assert.ok(fixture.exists('modules/Core/versions/1.0.0.json'))
+    assert.ok(!fixture.exists('modules/Core/versions/1.0.0.xml'))
+    assert.ok(!fixture.exists('modules/Core/versions/1.0.0.ttl'))
+  })
+
+  test('--xml writes MediaWiki dumps for modules and bundles', async () => {
+    const result = await runCLI('generate-artifacts.js', { cwd: fixture.path, args: ['--all', '--xml-contributor=Admin'] })
+
+    assert.strictEqual(result.exitCode, 0)
+    assert.ok(result.stdout.includes('Generated modules/Core/versions/1.0.0.xml'))
+    assert.ok(result.stdout.includes('Generated bundles/Default/versions/1.0.0.xml'))
+
+    const artifact = fixture.readJSON('modules/Core/versions/1.0.0.json')
+    const moduleXml = fixture.readFile('modules/Core/versions/1.0.0.xml')
+    assert.ok(moduleXml.includes(`<timestamp>${artifact.generated.replace(/\.\d{3}Z$/, 'Z')}</timestamp>`))
+    assert.ok(moduleXml.includes('<username>Admin</username>'))
+    assert.deepStrictEqual(
+      [...moduleXml.matchAll(/<title>(.*)<\/title>/g)].map(match => match[1]),
+      ['Person/John_doe', 'Category:Person', 'Form:Person', 'Property:Has_name', 'Template:Person']
+    )
+
+    const bundleXml = fixture.readFile('bundles/Default/versions/1.0.0.xml')
+    assert.ok(bundleXml.includes('<comment>Labki bundle Default 1.0.0</comment>'))
+    assert.ok(bundleXml.includes('<title>Property:Has_name</title>'))
+  })
+
+  test('--rdf writes Turtle and SHACL shapes for modules', async () => {
+    const result = await runCLI('generate-artifacts.js', { cwd: fixture.path, args: ['--all', '--base-iri=https://example.org/labki/'] })
+
+    assert.strictEqual(result.exitCode, 0)
+    assert.ok(result.stdout.includes('Generated modules/Core/versions/1.0.0.ttl'))
+    assert.ok(!fixture.exists('bundles/Default/versions/1.0.0.ttl'))
+
+    const turtle = fixture.readFile('modules/Core/versions/1.0.0.ttl')
+    assert.ok(turtle.includes('<https://example.org/labki/module/Core>\n    a owl:Ontology ;'))
+    assert.ok(turtle.includes('category:Person\n    a owl:Class ;'))
+    assert.ok(turtle.includes('<https://example.org/labki/resource/Person/John_doe>\n    a owl:NamedIndividual, category:Person ;'))
+
+    const shapes = fixture.readFile('modules/Core/versions/1.0.0.shapes.ttl')
+    assert.ok(shapes.includes('@prefix shape: <https://example.org/labki/shape/> .'))
+    assert.ok(shapes.includes('shape:Person\n    a sh:NodeShape ;\n    sh:targetClass category:Person ;\n    sh:property [\n        sh:path property:Has_name ;'))
+  })
+})
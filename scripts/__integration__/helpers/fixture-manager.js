@@ -127,6 +127,15 @@ export function createTempFixture(name = 'test-fixture') {
             version: { type: 'string' },
             modules: { type: 'array', items: { type: 'string' } }
           }
+        },
+        resources: {
+          $schema: 'https://json-schema.org/draft/2020-12/schema',
+          type: 'object',
+          required: ['id', 'category'],
+          properties: {
+            id: { type: 'string' },
+            category: { type: 'string' }
+          }
         }
       }
 
@@ -0,0 +1,96 @@
+import { describe, test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { runCLI, runCLIJSON } from './helpers/cli-runner.js'
+import { createTempFixture } from './helpers/fixture-manager.js'
+
+describe('plan-upgrade.js integration tests', () => {
+  let fixture
+
+  beforeEach(() => {
+    fixture = createTempFixture('plan-upgrade')
+
+    const coreArtifact = {
+      id: 'Core',
+      version: '1.0.0',
+      dependencies: {},
+      categories: [],
+      properties: [
+        { id: 'Has_name', label: 'Name', datatype: 'Text', cardinality: 'single' },
+        { id: 'Has_nickname', label: 'Nickname', datatype: 'Text', cardinality: 'single' }
+      ],
+      subobjects: [],
+      templates: []
+    }
+    fixture.writeJSON('modules/Core/versions/1.0.0.json', coreArtifact)
+    fixture.writeJSON('modules/Core/versions/2.0.0.json', {
+      ...coreArtifact,
+      version: '2.0.0',
+      properties: [{ id: 'Has_name', label: 'Name', datatype: 'Text', cardinality: 'single' }]
+    })
+    fixture.writeJSON('modules/Lab/versions/1.0.0.json', {
+      id: 'Lab',
+      version: '1.0.0',
+      dependencies: { Core: '2.0.0' },
+      categories: [{ id: 'Equipment', label: 'Equipment' }],
+      properties: [],
+      subobjects: [],
+      templates: []
+    })
+
+    const manifest = {
+      id: 'Default',
+      version: '1.0.0',
+      generated: '2026-01-01T00:00:00.000Z',
+      ontologyVersion: '1.0.0',
+      modules: { Core: '1.0.0' }
+    }
+    fixture.writeJSON('bundles/Default/versions/1.0.0.json', manifest)
+    fixture.writeJSON('bundles/Default/versions/2.0.0.json', {
+      ...manifest,
+      version: '2.0.0',
+      ontologyVersion: '2.0.0',
+      modules: { Lab: '1.0.0', Core: '2.0.0' }
+    })
+  })
+
+  afterEach(() => {
+    if (fixture) {
+      fixture.cleanup()
+      fixture = null
+    }
+  })
+
+  test('json plan for a target version', async () => {
+    const result = await runCLIJSON('plan-upgrade.js', {
+      cwd: fixture.path,
+      args: ['bundles/Default/versions/1.0.0.json', '2.0.0']
+    })
+
+    assert.strictEqual(result.exitCode, 0)
+    assert.strictEqual(result.data.breaking, true)
+    assert.deepStrictEqual(result.data.order, ['Core', 'Lab'])
+    assert.deepStrictEqual(result.data.steps[0].removed, [{ entityType: 'properties', entityId: 'Has_nickname' }])
+    assert.deepStrictEqual(result.data.steps[1].added, [{ entityType: 'categories', entityId: 'Equipment' }])
+  })
+
+  test('markdown plan for a target manifest', async () => {
+    const result = await runCLI('plan-upgrade.js', {
+      cwd: fixture.path,
+      args: ['bundles/Default/versions/1.0.0.json', 'bundles/Default/versions/2.0.0.json', '--format=markdown']
+    })
+
+    assert.strictEqual(result.exitCode, 0)
+    assert.ok(result.stdout.startsWith('# Upgrade Default 1.0.0 -> 2.0.0'))
+    assert.ok(result.stdout.includes('| 2 | Lab | install | - | 1.0.0 | - |'))
+  })
+
+  test('missing target manifest exits with code 1', async () => {
+    const result = await runCLI('plan-upgrade.js', {
+      cwd: fixture.path,
+      args: ['bundles/Default/versions/1.0.0.json', '9.0.0']
+    })
+
+    assert.strictEqual(result.exitCode, 1)
+    assert.ok(result.stderr.includes('bundles/Default/versions/9.0.0.json'))
+  })
+})
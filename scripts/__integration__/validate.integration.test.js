@@ -382,6 +382,229 @@ describe('validate.js integration tests', () => {
     })
   })
 
+  describe('Inherited constraint validation', () => {
+    test('child loosening inherited required property detected', async () => {
+      fixture = createTempFixture('inherited-constraint-test')
+      fixture.createEntityDirectories()
+      fixture.writeSchemas()
+      fixture.writeVersion('1.0.0')
+
+      fixture.writeJSON('properties/Name.json', { id: 'Name', label: 'Name', datatype: 'Text' })
+      fixture.writeJSON('categories/Agent.json', {
+        id: 'Agent',
+        label: 'Agent',
+        required_properties: ['Name']
+      })
+      fixture.writeJSON('categories/Person.json', {
+        id: 'Person',
+        label: 'Person',
+        parents: ['Agent'],
+        optional_properties: ['Name']  // Loosens Agent's requirement
+      })
+      fixture.writeJSON('modules/Core.json', {
+        id: 'Core',
+        version: '1.0.0',
+        categories: ['Agent', 'Person'],
+        properties: ['Name'],
+        subobjects: [],
+        templates: [],
+        dependencies: []
+      })
+      fixture.writeJSON('bundles/Default.json', {
+        id: 'Default',
+        version: '1.0.0',
+        modules: ['Core']
+      })
+
+      const result = await runCLI('validate.js', { cwd: fixture.path })
+
+      assert.strictEqual(result.exitCode, 1)
+      assert.ok(result.stderr.includes('property-loosened'))
+      assert.ok(result.stderr.includes('Person -> Agent'))
+    })
+  })
+
+  describe('Resource validation', () => {
+    test('resource missing inherited required property detected', async () => {
+      fixture = createTempFixture('resource-test')
+      fixture.createEntityDirectories()
+      fixture.writeSchemas()
+      fixture.writeVersion('1.0.0')
+
+      fixture.writeJSON('properties/Name.json', { id: 'Name', label: 'Name', datatype: 'Text', cardinality: 'single' })
+      fixture.writeJSON('categories/Agent.json', { id: 'Agent', label: 'Agent', required_properties: ['Name'] })
+      fixture.writeJSON('categories/Person.json', { id: 'Person', label: 'Person', parents: ['Agent'] })
+      fixture.writeJSON('resources/Person/Nobody.json', { id: 'Person/Nobody', category: 'Person' })
+      fixture.writeJSON('modules/Core.json', {
+        id: 'Core',
+        version: '1.0.0',
+        categories: ['Agent', 'Person'],
+        properties: ['Name'],
+        subobjects: [],
+        templates: [],
+        resources: ['Person/Nobody'],
+        dependencies: []
+      })
+      fixture.writeJSON('bundles/Default.json', {
+        id: 'Default',
+        version: '1.0.0',
+        modules: ['Core']
+      })
+
+      const result = await runCLI('validate.js', { cwd: fixture.path })
+
+      assert.strictEqual(result.exitCode, 1)
+      assert.ok(result.stderr.includes('resource-missing-property'))
+      assert.ok(result.stderr.includes('Name'))
+    })
+
+    test('duplicate value of unique property detected across resources', async () => {
+      fixture = createTempFixture('unique-value-test')
+      fixture.createEntityDirectories()
+      fixture.writeSchemas()
+      fixture.writeVersion('1.0.0')
+
+      fixture.writeJSON('properties/Code.json', { id: 'Code', label: 'Code', datatype: 'Text', cardinality: 'single', unique_values: true })
+      fixture.writeJSON('categories/Item.json', { id: 'Item', label: 'Item', optional_properties: ['Code'] })
+      fixture.writeJSON('resources/Item/First.json', { id: 'Item/First', category: 'Item', Code: 'X1' })
+      fixture.writeJSON('resources/Item/Second.json', { id: 'Item/Second', category: 'Item', Code: 'X1' })
+      fixture.writeJSON('modules/Core.json', {
+        id: 'Core',
+        version: '1.0.0',
+        categories: ['Item'],
+        properties: ['Code'],
+        subobjects: [],
+        templates: [],
+        resources: ['Item/First', 'Item/Second'],
+        dependencies: []
+      })
+      fixture.writeJSON('bundles/Default.json', {
+        id: 'Default',
+        version: '1.0.0',
+        modules: ['Core']
+      })
+
+      const result = await runCLI('validate.js', { cwd: fixture.path })
+
+      assert.strictEqual(result.exitCode, 1)
+      assert.ok(result.stderr.includes('duplicate-unique-value'))
+      assert.ok(result.stderr.includes('resources/Item/First.json, resources/Item/Second.json'))
+    })
+
+    test('dangling page link is a warning by default and an error with --page-links=error', async () => {
+      fixture = createTempFixture('page-link-test')
+      fixture.createEntityDirectories()
+      fixture.writeSchemas()
+      fixture.writeVersion('1.0.0')
+
+      fixture.writeJSON('properties/Employer.json', {
+        id: 'Employer',
+        label: 'Employer',
+        datatype: 'Page',
+        cardinality: 'single',
+        Allows_value_from_category: 'Organization'
+      })
+      fixture.writeJSON('categories/Organization.json', { id: 'Organization', label: 'Organization' })
+      fixture.writeJSON('categories/Person.json', { id: 'Person', label: 'Person', optional_properties: ['Employer'] })
+      fixture.writeJSON('resources/Person/John.json', { id: 'Person/John', category: 'Person', Employer: 'Organization/Missing' })
+      fixture.writeJSON('modules/Core.json', {
+        id: 'Core',
+        version: '1.0.0',
+        categories: ['Organization', 'Person'],
+        properties: ['Employer'],
+        subobjects: [],
+        templates: [],
+        resources: ['Person/John'],
+        dependencies: []
+      })
+      fixture.writeJSON('bundles/Default.json', {
+        id: 'Default',
+        version: '1.0.0',
+        modules: ['Core']
+      })
+
+      const lenient = await runCLI('validate.js', { cwd: fixture.path })
+
+      assert.strictEqual(lenient.exitCode, 0)
+      assert.ok(lenient.stderr.includes('Organization/Missing'))
+
+      const strict = await runCLI('validate.js', { cwd: fixture.path, args: ['--page-links=error'] })
+
+      assert.strictEqual(strict.exitCode, 1)
+      assert.ok(strict.stderr.includes('dangling-page-link'))
+    })
+  })
+
+  describe('Deprecation', () => {
+    /**
+     * Write a Core module with Has_nickname deprecated until 3.0.0
+     */
+    function writeDeprecatedFixture() {
+      fixture.createEntityDirectories()
+      fixture.writeSchemas()
+      fixture.writeVersion('1.0.0')
+
+      fixture.writeJSON('properties/Has_name.json', { id: 'Has_name', label: 'Name', datatype: 'Text' })
+      fixture.writeJSON('properties/Has_nickname.json', {
+        id: 'Has_nickname',
+        label: 'Nickname',
+        datatype: 'Text',
+        deprecated: { since: '1.0.0', reason: 'Merged into Has_name', replacement: 'Has_name', removal_version: '3.0.0' }
+      })
+      fixture.writeJSON('categories/Person.json', { id: 'Person', label: 'Person', optional_properties: ['Has_name', 'Has_nickname'] })
+      fixture.writeJSON('modules/Core.json', {
+        id: 'Core',
+        version: '1.0.0',
+        categories: ['Person'],
+        properties: ['Has_name', 'Has_nickname'],
+        subobjects: [],
+        templates: [],
+        dependencies: []
+      })
+      fixture.writeJSON('bundles/Default.json', {
+        id: 'Default',
+        version: '1.0.0',
+        modules: ['Core']
+      })
+    }
+
+    test('reference to a deprecated property is a warning', async () => {
+      fixture = createTempFixture('deprecated-reference-test')
+      writeDeprecatedFixture()
+
+      const result = await runCLI('validate.js', { cwd: fixture.path })
+
+      assert.strictEqual(result.exitCode, 0)
+      assert.ok(result.stderr.includes('deprecated properties "Has_nickname"'))
+    })
+
+    test('removal before the removal version is an error', async () => {
+      fixture = createGitFixture('premature-removal-test')
+      writeDeprecatedFixture()
+      fixture.commit('Initial commit')
+      fixture.createBranch('origin/main')
+      fixture.checkout('-')
+
+      fs.unlinkSync(path.join(fixture.path, 'properties/Has_nickname.json'))
+      fixture.writeJSON('categories/Person.json', { id: 'Person', label: 'Person', optional_properties: ['Has_name'] })
+      fixture.writeJSON('modules/Core.json', {
+        id: 'Core',
+        version: '1.0.0',
+        categories: ['Person'],
+        properties: ['Has_name'],
+        subobjects: [],
+        templates: [],
+        dependencies: []
+      })
+      fixture.commit('Remove Has_nickname')
+
+      const result = await runCLI('validate.js', { cwd: fixture.path })
+
+      assert.strictEqual(result.exitCode, 1)
+      assert.ok(result.stderr.includes('scheduled for removal in 3.0.0'))
+    })
+  })
+
   describe('Orphan detection', () => {
     test('orphaned entity generates warning not error', async () => {
       fixture = createTempFixture('orphan-test')
@@ -446,6 +669,70 @@ describe('validate.js integration tests', () => {
       assert.ok(result.stderr.includes('VERSION') || result.stderr.includes('version'))
     })
 
+    /**
+     * Write a Core module and Default bundle with the given versions
+     */
+    function writeVersionedFixture(moduleVersion, bundleVersion) {
+      fixture.createEntityDirectories()
+      fixture.writeSchemas()
+      fixture.writeVersion('1.0.0')
+
+      fixture.writeJSON('categories/Agent.json', { id: 'Agent', label: 'Agent' })
+      fixture.writeJSON('modules/Core.json', {
+        id: 'Core',
+        version: moduleVersion,
+        label: 'Core',
+        description: 'Core module',
+        categories: ['Agent'],
+        dependencies: []
+      })
+      fixture.writeJSON('bundles/Default.json', {
+        id: 'Default',
+        version: bundleVersion,
+        label: 'Default',
+        description: 'Default bundle',
+        modules: ['Core']
+      })
+    }
+
+    test('stable bundle with a pre-release module is an error', async () => {
+      fixture = createTempFixture('prerelease-dependency-test')
+      writeVersionedFixture('1.1.0-beta.1', '1.0.0')
+
+      const result = await runCLI('validate.js', { cwd: fixture.path })
+
+      assert.strictEqual(result.exitCode, 1)
+      assert.ok(result.stderr.includes('pre-release module Core 1.1.0-beta.1'))
+    })
+
+    test('pre-release bundle may include pre-release modules', async () => {
+      fixture = createTempFixture('prerelease-bundle-test')
+      writeVersionedFixture('1.1.0-beta.1', '1.1.0-beta.1')
+
+      const result = await runCLI('validate.js', { cwd: fixture.path })
+
+      assert.strictEqual(result.exitCode, 0)
+    })
+
+    test('dependency outside its declared range is an error', async () => {
+      fixture = createTempFixture('dependency-range-test')
+      writeVersionedFixture('1.0.0', '1.0.0')
+      fixture.writeJSON('categories/Equipment.json', { id: 'Equipment', label: 'Equipment' })
+      fixture.writeJSON('modules/Lab.json', {
+        id: 'Lab',
+        version: '1.0.0',
+        label: 'Lab',
+        description: 'Lab module',
+        categories: ['Equipment'],
+        dependencies: { Core: '^2.0.0' }
+      })
+
+      const result = await runCLI('validate.js', { cwd: fixture.path })
+
+      assert.strictEqual(result.exitCode, 1)
+      assert.ok(result.stderr.includes('Core 1.0.0 does not satisfy the range ^2.0.0 declared by Lab'))
+    })
+
     test('invalid VERSION format is detected', async () => {
       fixture = createTempFixture('bad-version-test')
       fixture.createEntityDirectories()
@@ -2,78 +2,130 @@
 
 import fs from 'node:fs'
 import path from 'node:path'
-import semver from 'semver'
 import { buildEntityIndex } from './lib/entity-index.js'
-import { calculateVersionCascade } from './lib/version-cascade.js'
+import { calculateVersionCascade, calculateNewVersion, parseOverride } from './lib/version-cascade.js'
+import { planChangelogs } from './lib/changelog-generator.js'
+import { createUnifiedDiff } from './lib/unified-diff.js'
 
 /**
- * Update entity version in JSON file
+ * Parse command-line arguments
+ * @returns {{dryRun: boolean, base: string}} Parsed arguments
+ */
+function parseArgs() {
+  const args = {
+    dryRun: false,
+    base: 'origin/main'
+  }
+
+  for (const arg of process.argv.slice(2)) {
+    if (arg === '--dry-run') {
+      args.dryRun = true
+    } else if (arg.startsWith('--base=')) {
+      args.base = arg.slice('--base='.length)
+    }
+  }
+
+  return args
+}
+
+/**
+ * Read a file relative to the working directory
+ *
+ * @param {string} filePath - Relative file path
+ * @returns {string|null} Content, or null if the file does not exist
+ */
+function readFileIfExists(filePath) {
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null
+}
+
+/**
+ * Render an entity JSON file with a new version
  *
  * @param {string} entityType - Entity type ('modules' or 'bundles')
  * @param {string} entityId - Entity identifier
  * @param {string} newVersion - New semver version
+ * @returns {string} File content with 2-space indent + trailing newline
  */
-function updateEntityVersion(entityType, entityId, newVersion) {
+function renderEntityVersion(entityType, entityId, newVersion) {
   const filePath = path.join(entityType, `${entityId}.json`)
   const content = JSON.parse(fs.readFileSync(filePath, 'utf8'))
 
   // Update version field
   content.version = newVersion
 
-  // Write back with 2-space indent + trailing newline
-  fs.writeFileSync(filePath, JSON.stringify(content, null, 2) + '\n')
+  return JSON.stringify(content, null, 2) + '\n'
 }
 
 /**
- * Update ontology VERSION file
+ * Compute the next ontology version from the VERSION file
  *
- * @param {string} bumpType - Bump type ('major', 'minor', 'patch')
- * @param {string} rootDir - Repository root directory
+ * @param {string} bumpType - Bump type ('major', 'minor', 'patch', or a pre-release bump)
+ * @param {string|null} channel - Pre-release channel (e.g., 'beta')
  * @returns {string} New version string
  */
-function updateOntologyVersion(bumpType, rootDir = process.cwd()) {
-  const versionPath = path.join(rootDir, 'VERSION')
-  const currentVersion = fs.readFileSync(versionPath, 'utf8').trim()
-  const newVersion = semver.inc(currentVersion, bumpType)
-
-  // Write with trailing newline
-  fs.writeFileSync(versionPath, newVersion + '\n')
-
-  return newVersion
+function getNextOntologyVersion(bumpType, channel = null) {
+  const currentVersion = fs.readFileSync('VERSION', 'utf8').trim()
+  return calculateNewVersion(currentVersion, bumpType, channel)
 }
 
 /**
- * Delete VERSION_OVERRIDES.json if it exists
+ * Write planned file updates to disk
  *
- * @param {string} rootDir - Repository root directory
- * @returns {boolean} True if file was deleted
+ * @param {Map<string, string|null>} updates - New contents keyed by relative path (null deletes the file)
  */
-function cleanupOverrides(rootDir = process.cwd()) {
-  const overridePath = path.join(rootDir, 'VERSION_OVERRIDES.json')
-
-  if (fs.existsSync(overridePath)) {
-    fs.unlinkSync(overridePath)
-    console.error('Cleaned up VERSION_OVERRIDES.json')
-    return true
+function applyUpdates(updates) {
+  for (const [filePath, content] of updates) {
+    if (content === null) {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath)
+      }
+    } else {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true })
+      fs.writeFileSync(filePath, content)
+    }
   }
+}
 
-  return false
+/**
+ * Render planned file updates as a unified diff
+ *
+ * @param {Map<string, string|null>} updates - New contents keyed by relative path (null deletes the file)
+ * @returns {string} Concatenated diffs, sorted by path
+ */
+function formatUpdatesDiff(updates) {
+  return [...updates.keys()]
+    .sort()
+    .map(filePath => createUnifiedDiff(filePath, readFileIfExists(filePath), updates.get(filePath)))
+    .join('')
 }
 
 /**
  * Main orchestration function
+ *
+ * With --dry-run, prints a unified diff of every file that would be
+ * written or deleted and leaves the working tree untouched.
  */
 async function main() {
   try {
+    const args = parseArgs()
+
     // Build entity index
     const entityIndex = await buildEntityIndex()
 
     // Run version cascade calculation with overrides
-    const result = calculateVersionCascade(entityIndex, 'origin/main', {
+    const result = calculateVersionCascade(entityIndex, args.base, {
       applyOverrides: true,
       rootDir: process.cwd()
     })
 
+    // Refuse to release dependency versions outside declared ranges
+    if (result.dependencyErrors.length > 0) {
+      throw new Error(result.dependencyErrors.map(error => `${error.file}: ${error.message}`).join('\n'))
+    }
+
+    // File contents to write, keyed by relative path (null = delete)
+    const updates = new Map()
+
     // Track what was changed
     const modulesOutput = {}
     const bundlesOutput = {}
@@ -82,7 +134,7 @@ async function main() {
 
     // Update module versions
     for (const [moduleId, versionInfo] of result.moduleVersions) {
-      updateEntityVersion('modules', moduleId, versionInfo.new)
+      updates.set(`modules/${moduleId}.json`, renderEntityVersion('modules', moduleId, versionInfo.new))
       modulesOutput[moduleId] = {
         from: versionInfo.current,
         to: versionInfo.new,
@@ -92,7 +144,7 @@ async function main() {
 
     // Update bundle versions
     for (const [bundleId, versionInfo] of result.bundleVersions) {
-      updateEntityVersion('bundles', bundleId, versionInfo.new)
+      updates.set(`bundles/${bundleId}.json`, renderEntityVersion('bundles', bundleId, versionInfo.new))
       bundlesOutput[bundleId] = {
         from: versionInfo.current,
         to: versionInfo.new,
@@ -102,11 +154,32 @@ async function main() {
 
     // Update ontology VERSION only if there's an actual bump needed
     if (result.ontologyBump) {
-      ontologyVersion = updateOntologyVersion(result.ontologyBump)
+      const { channel } = parseOverride(result.overrides.ontology)
+      ontologyVersion = getNextOntologyVersion(result.ontologyBump, channel)
+      updates.set('VERSION', ontologyVersion + '\n')
+    }
+
+    // Record the release in the root and per-module changelogs
+    const changelogs = planChangelogs(result, entityIndex, { ontologyVersion })
+    for (const [filePath, content] of changelogs) {
+      updates.set(filePath, content)
     }
 
     // Clean up overrides
-    const overridesCleaned = cleanupOverrides()
+    const overridesCleaned = fs.existsSync('VERSION_OVERRIDES.json')
+    if (overridesCleaned) {
+      updates.set('VERSION_OVERRIDES.json', null)
+    }
+
+    if (args.dryRun) {
+      process.stdout.write(formatUpdatesDiff(updates))
+      return
+    }
+
+    applyUpdates(updates)
+    if (overridesCleaned) {
+      console.error('Cleaned up VERSION_OVERRIDES.json')
+    }
 
     // Output JSON to stdout for workflow consumption
     const output = {
@@ -115,7 +188,9 @@ async function main() {
       ontologyVersion,
       overridesApplied,
       overrideWarnings: result.overrideWarnings || [],
-      overridesCleaned
+      overridesCleaned,
+      migrations: result.migrations || {},
+      changelogs: [...changelogs.keys()]
     }
 
     console.log(JSON.stringify(output, null, 2))
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+import fs from 'node:fs'
+import {
+  DIFF_FORMATS,
+  loadModuleArtifact,
+  diffArtifacts,
+  formatArtifactDiff
+} from './lib/artifact-diff.js'
+
+const USAGE = `Usage:
+  node scripts/diff-artifacts.js <module> <from-version> <to-version> [--format=text|markdown|json]
+  node scripts/diff-artifacts.js <from-artifact.json> <to-artifact.json> [--format=text|markdown|json]`
+
+/**
+ * Parse command-line arguments
+ * @returns {Object} Parsed arguments
+ */
+function parseArgs() {
+  const args = {
+    format: 'text',
+    positional: []
+  }
+
+  for (const arg of process.argv.slice(2)) {
+    if (arg.startsWith('--format=')) {
+      args.format = arg.slice('--format='.length)
+    } else {
+      args.positional.push(arg)
+    }
+  }
+
+  return args
+}
+
+/**
+ * Load the two artifacts named on the command line
+ *
+ * @param {string[]} positional - Module id and two versions, or two artifact paths
+ * @returns {{base: Object, pr: Object}} Parsed artifacts
+ * @throws {Error} If the arguments are not valid
+ */
+function loadArtifacts(positional) {
+  if (positional.length === 3) {
+    const [moduleId, fromVersion, toVersion] = positional
+    return {
+      base: loadModuleArtifact(moduleId, fromVersion),
+      pr: loadModuleArtifact(moduleId, toVersion)
+    }
+  }
+
+  if (positional.length === 2) {
+    const [basePath, prPath] = positional
+    for (const filePath of positional) {
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`Artifact not found: ${filePath}`)
+      }
+    }
+    return {
+      base: JSON.parse(fs.readFileSync(basePath, 'utf8')),
+      pr: JSON.parse(fs.readFileSync(prPath, 'utf8'))
+    }
+  }
+
+  throw new Error(`Expected a module and two versions, or two artifact files\n\n${USAGE}`)
+}
+
+/**
+ * Main entry point for artifact diffing
+ */
+function main() {
+  try {
+    const args = parseArgs()
+
+    if (!DIFF_FORMATS.includes(args.format)) {
+      throw new Error(`Invalid format "${args.format}" (expected one of: ${DIFF_FORMATS.join(', ')})`)
+    }
+
+    const { base, pr } = loadArtifacts(args.positional)
+    const report = diffArtifacts(base, pr)
+
+    process.stdout.write(formatArtifactDiff(report, args.format))
+  } catch (error) {
+    console.error('Error diffing artifacts:', error.message)
+    process.exit(1)
+  }
+}
+
+main()
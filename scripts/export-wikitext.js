@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+import fs from 'node:fs'
+import { buildEntityIndex } from './lib/entity-index.js'
+import { loadModuleArtifact } from './lib/artifact-diff.js'
+import { exportArtifactPages, exportWikiPages, writeWikiPages } from './lib/wikitext-exporter.js'
+
+const USAGE = `Usage:
+  node scripts/export-wikitext.js [--out=<dir>]
+  node scripts/export-wikitext.js <module> <version> [--out=<dir>]
+  node scripts/export-wikitext.js <artifact.json> [--out=<dir>]`
+
+/**
+ * Parse command-line arguments
+ * @returns {Object} Parsed arguments
+ */
+function parseArgs() {
+  const args = {
+    out: 'wikitext',
+    positional: []
+  }
+
+  for (const arg of process.argv.slice(2)) {
+    if (arg.startsWith('--out=')) {
+      args.out = arg.slice('--out='.length)
+    } else {
+      args.positional.push(arg)
+    }
+  }
+
+  return args
+}
+
+/**
+ * Build the pages to export
+ *
+ * @param {string[]} positional - Nothing (working tree), a module id and version, or an artifact path
+ * @returns {Promise<Array>} Pages from exportWikiPages
+ * @throws {Error} If the arguments are not valid
+ */
+async function loadPages(positional) {
+  if (positional.length === 0) {
+    return exportWikiPages(await buildEntityIndex())
+  }
+
+  if (positional.length === 2) {
+    const [moduleId, version] = positional
+    return exportArtifactPages(loadModuleArtifact(moduleId, version))
+  }
+
+  if (positional.length === 1) {
+    const [artifactPath] = positional
+    if (!fs.existsSync(artifactPath)) {
+      throw new Error(`Artifact not found: ${artifactPath}`)
+    }
+    return exportArtifactPages(JSON.parse(fs.readFileSync(artifactPath, 'utf8')))
+  }
+
+  throw new Error(`Expected nothing, a module and version, or an artifact file\n\n${USAGE}`)
+}
+
+/**
+ * Main entry point for wikitext export
+ */
+async function main() {
+  try {
+    const args = parseArgs()
+
+    const written = writeWikiPages(await loadPages(args.positional), args.out)
+
+    console.log(`Exported ${written.length} pages to ${args.out}`)
+  } catch (error) {
+    console.error('Error exporting wikitext:', error.message)
+    process.exit(1)
+  }
+}
+
+main()
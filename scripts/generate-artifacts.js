@@ -5,8 +5,13 @@ import { buildEntityIndex } from './lib/entity-index.js'
 import {
   generateModuleArtifact,
   generateBundleManifest,
-  writeVersionedArtifact
+  writeVersionedArtifact,
+  writeVersionedFile
 } from './lib/artifact-generator.js'
+import { loadModuleArtifact } from './lib/artifact-diff.js'
+import { createModuleXmlDump, createBundleXmlDump } from './lib/xml-dump.js'
+import { exportArtifactTurtle } from './lib/rdf-exporter.js'
+import { exportArtifactShapes } from './lib/shacl-exporter.js'
 
 /**
  * Parse command-line arguments
@@ -15,6 +20,10 @@ import {
 function parseArgs() {
   const args = {
     all: false,
+    xml: false,
+    xmlContributor: undefined,
+    rdf: false,
+    baseIri: undefined,
     modules: [],
     bundles: []
   }
@@ -22,6 +31,16 @@ function parseArgs() {
   for (const arg of process.argv.slice(2)) {
     if (arg === '--all') {
       args.all = true
+    } else if (arg === '--xml') {
+      args.xml = true
+    } else if (arg.startsWith('--xml-contributor=')) {
+      args.xml = true
+      args.xmlContributor = arg.slice('--xml-contributor='.length)
+    } else if (arg === '--rdf') {
+      args.rdf = true
+    } else if (arg.startsWith('--base-iri=')) {
+      args.rdf = true
+      args.baseIri = arg.slice('--base-iri='.length)
     } else if (arg.startsWith('--modules=')) {
       const value = arg.slice('--modules='.length)
       args.modules = value.split(',').map(s => s.trim()).filter(Boolean)
@@ -88,6 +107,16 @@ async function main() {
       const artifact = generateModuleArtifact(moduleId, moduleEntity.version, entityIndex)
       const outputPath = writeVersionedArtifact('modules', moduleId, moduleEntity.version, artifact)
       console.log(`Generated ${outputPath}`)
+      if (args.xml) {
+        const xml = createModuleXmlDump(artifact, { contributor: args.xmlContributor })
+        console.log(`Generated ${writeVersionedFile('modules', moduleId, moduleEntity.version, 'xml', xml)}`)
+      }
+      if (args.rdf) {
+        const turtle = exportArtifactTurtle(artifact, { baseIri: args.baseIri })
+        console.log(`Generated ${writeVersionedFile('modules', moduleId, moduleEntity.version, 'ttl', turtle)}`)
+        const shapes = exportArtifactShapes(artifact, { baseIri: args.baseIri })
+        console.log(`Generated ${writeVersionedFile('modules', moduleId, moduleEntity.version, 'shapes.ttl', shapes)}`)
+      }
       moduleCount++
     }
 
@@ -102,6 +131,13 @@ async function main() {
       const manifest = generateBundleManifest(bundleId, bundleEntity.version, entityIndex, ontologyVersion)
       const outputPath = writeVersionedArtifact('bundles', bundleId, bundleEntity.version, manifest)
       console.log(`Generated ${outputPath}`)
+      if (args.xml) {
+        // Module artifacts pinned by the manifest (generated above or released earlier)
+        const artifacts = Object.entries(manifest.modules)
+          .map(([moduleId, moduleVersion]) => loadModuleArtifact(moduleId, moduleVersion))
+        const xml = createBundleXmlDump(manifest, artifacts, { contributor: args.xmlContributor })
+        console.log(`Generated ${writeVersionedFile('bundles', bundleId, bundleEntity.version, 'xml', xml)}`)
+      }
       bundleCount++
     }
 
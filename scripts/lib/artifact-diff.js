@@ -0,0 +1,200 @@
+/**
+ * Module artifact diffing
+ *
+ * Compares two module version artifacts (modules/<id>/versions/<version>.json)
+ * with the breaking-change rules from change-detector.js and formats the
+ * result for people (text, markdown) and tools (JSON).
+ */
+
+import fs from 'node:fs'
+import path from 'node:path'
+import { compareSnapshots } from './change-detector.js'
+import { createArtifactSnapshot } from './snapshot.js'
+
+/**
+ * Output formats supported by formatArtifactDiff
+ */
+export const DIFF_FORMATS = ['text', 'markdown', 'json']
+
+/**
+ * Load a module artifact by module id and version
+ *
+ * @param {string} moduleId - Module id (e.g., 'Core')
+ * @param {string} version - Artifact version (e.g., '1.0.0')
+ * @param {string} rootDir - Repository root (defaults to cwd)
+ * @returns {Object} Parsed artifact
+ * @throws {Error} If the artifact does not exist
+ */
+export function loadModuleArtifact(moduleId, version, rootDir = process.cwd()) {
+  const filePath = path.join(rootDir, 'modules', moduleId, 'versions', `${version}.json`)
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Artifact not found: modules/${moduleId}/versions/${version}.json`)
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'))
+}
+
+/**
+ * Compare dependency versions of two artifacts
+ *
+ * @param {Object<string, string>} base - Dependencies of the older artifact
+ * @param {Object<string, string>} pr - Dependencies of the newer artifact
+ * @returns {{added: Object<string, string>, removed: Object<string, string>, changed: Object<string, {from: string, to: string}>}}
+ */
+function diffDependencies(base = {}, pr = {}) {
+  const added = {}
+  const removed = {}
+  const changed = {}
+
+  for (const [moduleId, version] of Object.entries(pr)) {
+    if (!(moduleId in base)) {
+      added[moduleId] = version
+    } else if (base[moduleId] !== version) {
+      changed[moduleId] = { from: base[moduleId], to: version }
+    }
+  }
+  for (const [moduleId, version] of Object.entries(base)) {
+    if (!(moduleId in pr)) {
+      removed[moduleId] = version
+    }
+  }
+
+  return { added, removed, changed }
+}
+
+/**
+ * Compare two module artifacts
+ *
+ * @param {Object} baseArtifact - Older artifact
+ * @param {Object} prArtifact - Newer artifact
+ * @returns {{moduleId: string, from: string, to: string, requiredBump: string, changes: Array, dependencies: Object}} Diff report
+ *
+ * @example
+ * const report = diffArtifacts(loadModuleArtifact('Core', '1.0.0'), loadModuleArtifact('Core', '1.1.0'))
+ * // { moduleId: 'Core', from: '1.0.0', to: '1.1.0', requiredBump: 'minor', changes: [...], dependencies: {...} }
+ */
+export function diffArtifacts(baseArtifact, prArtifact) {
+  const { changes, requiredBump } = compareSnapshots(
+    createArtifactSnapshot(baseArtifact),
+    createArtifactSnapshot(prArtifact)
+  )
+
+  return {
+    moduleId: prArtifact.id,
+    from: baseArtifact.version,
+    to: prArtifact.version,
+    requiredBump: changes.length > 0 ? requiredBump : null,
+    changes,
+    dependencies: diffDependencies(baseArtifact.dependencies, prArtifact.dependencies)
+  }
+}
+
+/**
+ * List dependency changes as human-readable lines
+ *
+ * @param {Object} dependencies - Dependency diff from diffArtifacts
+ * @returns {string[]} Lines like 'Base: 1.0.0 -> 2.0.0'
+ */
+function describeDependencies(dependencies) {
+  return [
+    ...Object.entries(dependencies.added).map(([id, version]) => `${id}: added (${version})`),
+    ...Object.entries(dependencies.removed).map(([id, version]) => `${id}: removed (was ${version})`),
+    ...Object.entries(dependencies.changed).map(([id, { from, to }]) => `${id}: ${from} -> ${to}`)
+  ]
+}
+
+/**
+ * Describe the entity a change applies to
+ *
+ * @param {Object} change - Change record
+ * @returns {string} Entity description like 'properties/Has_name' or 'properties/Has_name (was Has_full_name)'
+ */
+function describeEntity(change) {
+  const renamed = change.previousId ? ` (was ${change.previousId})` : ''
+  return `${change.entityType}/${change.entityId}${renamed}`
+}
+
+/**
+ * Format a diff report as plain text
+ *
+ * @param {Object} report - Report from diffArtifacts
+ * @returns {string} Text report
+ */
+function formatText(report) {
+  let text = `${report.moduleId} ${report.from} -> ${report.to}\n`
+
+  if (report.changes.length === 0) {
+    text += 'No entity changes\n'
+  } else {
+    text += `Required bump: ${report.requiredBump}\n`
+    for (const change of report.changes) {
+      text += `\n${describeEntity(change)} (${change.changeType})\n`
+      for (const finding of change.findings) {
+        text += `  ${finding.severity.padEnd(5)}  ${finding.message} [${finding.rule}]\n`
+      }
+    }
+  }
+
+  const dependencyLines = describeDependencies(report.dependencies)
+  if (dependencyLines.length > 0) {
+    text += '\nDependencies:\n'
+    for (const line of dependencyLines) {
+      text += `  ${line}\n`
+    }
+  }
+
+  return text
+}
+
+/**
+ * Format a diff report as markdown
+ *
+ * @param {Object} report - Report from diffArtifacts
+ * @returns {string} Markdown report
+ */
+function formatMarkdown(report) {
+  let md = `## ${report.moduleId} ${report.from} -> ${report.to}\n\n`
+
+  if (report.changes.length === 0) {
+    md += 'No entity changes.\n'
+  } else {
+    md += `**Required bump:** ${report.requiredBump}\n\n`
+    md += '| Entity | Change | Severity | Rule |\n'
+    md += '|--------|--------|----------|------|\n'
+    for (const change of report.changes) {
+      for (const finding of change.findings) {
+        md += `| \`${describeEntity(change)}\` | ${finding.message.replace(/\|/g, '\\|')} | ${finding.severity} | \`${finding.rule}\` |\n`
+      }
+    }
+  }
+
+  const dependencyLines = describeDependencies(report.dependencies)
+  if (dependencyLines.length > 0) {
+    md += '\n**Dependencies:**\n'
+    for (const line of dependencyLines) {
+      md += `- ${line}\n`
+    }
+  }
+
+  return md
+}
+
+/**
+ * Format a diff report
+ *
+ * @param {Object} report - Report from diffArtifacts
+ * @param {string} format - One of DIFF_FORMATS
+ * @returns {string} Formatted report
+ * @throws {Error} If the format is not supported
+ */
+export function formatArtifactDiff(report, format = 'text') {
+  if (format === 'json') {
+    return JSON.stringify(report, null, 2) + '\n'
+  }
+  if (format === 'markdown') {
+    return formatMarkdown(report)
+  }
+  if (format === 'text') {
+    return formatText(report)
+  }
+  throw new Error(`Invalid format "${format}" (expected one of: ${DIFF_FORMATS.join(', ')})`)
+}
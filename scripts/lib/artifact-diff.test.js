@@ -0,0 +1,90 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert'
+import { diffArtifacts, formatArtifactDiff } from './artifact-diff.js'
+import { createMockArtifact } from '../__fixtures__/mock-artifact.js'
+
+/**
+ * Entities of the Core artifacts being compared
+ */
+const CORE_ENTITIES = {
+  categories: [{ id: 'Agent', label: 'Agent', optional_properties: ['Has_name'] }],
+  properties: [{ id: 'Has_name', label: 'Name', datatype: 'Text', cardinality: 'single' }]
+}
+
+describe('diffArtifacts', () => {
+  test('classifies entity changes between versions', () => {
+    const report = diffArtifacts(
+      createMockArtifact(CORE_ENTITIES),
+      createMockArtifact({
+        ...CORE_ENTITIES,
+        version: '1.1.0',
+        properties: [{ id: 'Has_name', label: 'Name', datatype: 'Text', cardinality: 'multiple' }]
+      })
+    )
+
+    assert.strictEqual(report.moduleId, 'Core')
+    assert.strictEqual(report.from, '1.0.0')
+    assert.strictEqual(report.to, '1.1.0')
+    assert.strictEqual(report.requiredBump, 'minor')
+    assert.strictEqual(report.changes.length, 1)
+    assert.strictEqual(report.changes[0].findings[0].rule, 'property-cardinality-expanded')
+  })
+
+  test('reports no changes for identical contents', () => {
+    const report = diffArtifacts(createMockArtifact(CORE_ENTITIES), createMockArtifact({ ...CORE_ENTITIES, version: '1.0.1' }))
+
+    assert.deepStrictEqual(report.changes, [])
+    assert.strictEqual(report.requiredBump, null)
+  })
+
+  test('reports dependency version changes', () => {
+    const report = diffArtifacts(
+      createMockArtifact({ ...CORE_ENTITIES, dependencies: { Base: '1.0.0', Old: '1.0.0' } }),
+      createMockArtifact({ ...CORE_ENTITIES, version: '2.0.0', dependencies: { Base: '2.0.0', New: '1.0.0' } })
+    )
+
+    assert.deepStrictEqual(report.dependencies, {
+      added: { New: '1.0.0' },
+      removed: { Old: '1.0.0' },
+      changed: { Base: { from: '1.0.0', to: '2.0.0' } }
+    })
+  })
+})
+
+describe('formatArtifactDiff', () => {
+  const report = diffArtifacts(
+    createMockArtifact({ ...CORE_ENTITIES, dependencies: { Base: '1.0.0' } }),
+    createMockArtifact({
+      ...CORE_ENTITIES,
+      version: '2.0.0',
+      dependencies: { Base: '2.0.0' },
+      properties: [{ id: 'Has_name', label: 'Full name', datatype: 'Number', cardinality: 'single' }]
+    })
+  )
+
+  test('text lists every finding per entity', () => {
+    const text = formatArtifactDiff(report, 'text')
+
+    assert.ok(text.startsWith('Core 1.0.0 -> 2.0.0\nRequired bump: major\n'))
+    assert.ok(text.includes('properties/Has_name (major)'))
+    assert.ok(text.includes('datatype changed: Text -> Number [property-datatype-changed]'))
+    assert.ok(text.includes('label changed [field-changed]'))
+    assert.ok(text.includes('Base: 1.0.0 -> 2.0.0'))
+  })
+
+  test('markdown renders a findings table', () => {
+    const md = formatArtifactDiff(report, 'markdown')
+
+    assert.ok(md.startsWith('## Core 1.0.0 -> 2.0.0\n'))
+    assert.ok(md.includes('| `properties/Has_name` | datatype changed: Text -> Number | major | `property-datatype-changed` |'))
+    assert.ok(md.includes('- Base: 1.0.0 -> 2.0.0'))
+  })
+
+  test('json round-trips the report', () => {
+    assert.deepStrictEqual(JSON.parse(formatArtifactDiff(report, 'json')), report)
+  })
+
+  test('rejects unknown formats', () => {
+    assert.throws(() => formatArtifactDiff(report, 'html'), /Invalid format "html"/)
+  })
+})
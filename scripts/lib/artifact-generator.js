@@ -1,6 +1,9 @@
 import fs from 'node:fs'
 import path from 'node:path'
+import semver from 'semver'
 import { MODULE_ENTITY_TYPES } from './constants.js'
+import { resolveCategory } from './inheritance-resolver.js'
+import { getDependencyIds, getDependencyRanges, satisfiesRange } from './dependency-ranges.js'
 
 /**
  * Generate a module version artifact
@@ -9,7 +12,7 @@ import { MODULE_ENTITY_TYPES } from './constants.js'
  * @param {string} version - Version to assign to artifact
  * @param {Object} entityIndex - Entity index from buildEntityIndex()
  * @returns {Object} Module artifact object
- * @throws {Error} If module not found or dependency module not found
+ * @throws {Error} If module not found, dependency module not found, or a dependency is outside its declared range
  */
 export function generateModuleArtifact(moduleId, version, entityIndex) {
   const moduleEntity = entityIndex.modules.get(moduleId)
@@ -17,13 +20,17 @@ export function generateModuleArtifact(moduleId, version, entityIndex) {
     throw new Error(`Module not found: ${moduleId}`)
   }
 
-  // Resolve dependency versions
+  // Resolve dependency versions (pinned to the current version, which must satisfy any declared range)
   const dependencies = {}
-  for (const depId of (moduleEntity.dependencies || [])) {
+  const ranges = getDependencyRanges(moduleEntity)
+  for (const depId of getDependencyIds(moduleEntity)) {
     const depModule = entityIndex.modules.get(depId)
     if (!depModule) {
       throw new Error(`Dependency module not found: ${depId}`)
     }
+    if (ranges[depId] && !satisfiesRange(depModule.version, ranges[depId])) {
+      throw new Error(`Dependency ${depId} ${depModule.version} does not satisfy the range ${ranges[depId]} declared by ${moduleId}`)
+    }
     dependencies[depId] = depModule.version
   }
 
@@ -54,6 +61,16 @@ export function generateModuleArtifact(moduleId, version, entityIndex) {
     artifact[entityType] = entities
   }
 
+  // Add inheritance-resolved schemas so consumers don't re-walk parents
+  const effectiveCategories = {}
+  for (const categoryId of (moduleEntity.categories || [])) {
+    const effective = resolveCategory(categoryId, entityIndex)
+    if (effective) {
+      effectiveCategories[categoryId] = effective
+    }
+  }
+  artifact.effectiveCategories = effectiveCategories
+
   return artifact
 }
 
@@ -65,7 +82,7 @@ export function generateModuleArtifact(moduleId, version, entityIndex) {
  * @param {Object} entityIndex - Entity index from buildEntityIndex()
  * @param {string} ontologyVersion - Current ontology VERSION
  * @returns {Object} Bundle manifest object
- * @throws {Error} If bundle not found or module not found
+ * @throws {Error} If bundle not found, module not found, or a stable bundle includes a pre-release module
  */
 export function generateBundleManifest(bundleId, version, entityIndex, ontologyVersion) {
   const bundleEntity = entityIndex.bundles.get(bundleId)
@@ -80,6 +97,9 @@ export function generateBundleManifest(bundleId, version, entityIndex, ontologyV
     if (!moduleEntity) {
       throw new Error(`Module not found in bundle: ${moduleId}`)
     }
+    if (semver.prerelease(moduleEntity.version) && !semver.prerelease(version)) {
+      throw new Error(`Bundle ${bundleId} ${version} cannot include pre-release module ${moduleId} ${moduleEntity.version}`)
+    }
     modules[moduleId] = moduleEntity.version
   }
 
@@ -123,3 +143,20 @@ export function writeVersionedArtifact(baseDir, entityId, version, artifact) {
 
   return outputPath
 }
+
+/**
+ * Write another rendering of an artifact next to it (e.g., an XML dump or Turtle)
+ *
+ * @param {string} baseDir - Base directory (e.g., 'modules' or 'bundles')
+ * @param {string} entityId - Module or bundle ID
+ * @param {string} version - Version string
+ * @param {string} extension - File extension without the dot (e.g., 'xml')
+ * @param {string} content - File content
+ * @returns {string} Output path where the file was written
+ */
+export function writeVersionedFile(baseDir, entityId, version, extension, content) {
+  const outputPath = path.join(baseDir, entityId, 'versions', `${version}.${extension}`)
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true })
+  fs.writeFileSync(outputPath, content, 'utf8')
+  return outputPath
+}
@@ -139,6 +139,35 @@ describe('generateModuleArtifact', () => {
     assert.deepEqual(artifact.dependencies, { TestModule: '1.0.0' })
   })
 
+  it('pins range dependencies to the current version', () => {
+    const entityIndex = createMockEntityIndex()
+    entityIndex.modules.get('DependentModule').dependencies = { TestModule: '^1.0.0' }
+
+    const artifact = generateModuleArtifact('DependentModule', '2.0.0', entityIndex)
+
+    assert.deepEqual(artifact.dependencies, { TestModule: '1.0.0' })
+  })
+
+  it('pins pre-release dependencies that satisfy the range', () => {
+    const entityIndex = createMockEntityIndex()
+    entityIndex.modules.get('TestModule').version = '1.1.0-beta.1'
+    entityIndex.modules.get('DependentModule').dependencies = { TestModule: '^1.0.0' }
+
+    const artifact = generateModuleArtifact('DependentModule', '2.0.0', entityIndex)
+
+    assert.deepEqual(artifact.dependencies, { TestModule: '1.1.0-beta.1' })
+  })
+
+  it('throws when a dependency is outside its declared range', () => {
+    const entityIndex = createMockEntityIndex()
+    entityIndex.modules.get('DependentModule').dependencies = { TestModule: '^2.0.0' }
+
+    assert.throws(
+      () => generateModuleArtifact('DependentModule', '2.0.0', entityIndex),
+      /Dependency TestModule 1.0.0 does not satisfy the range \^2.0.0 declared by DependentModule/
+    )
+  })
+
   it('throws for missing module', () => {
     const entityIndex = createMockEntityIndex()
 
@@ -197,6 +226,22 @@ describe('generateModuleArtifact', () => {
     assert.deepEqual(artifact.properties, [])
     assert.deepEqual(artifact.subobjects, [])
     assert.deepEqual(artifact.templates, [])
+    assert.deepEqual(artifact.effectiveCategories, {})
+  })
+
+  it('includes inheritance-resolved schemas for module categories', () => {
+    const entityIndex = createMockEntityIndex()
+    entityIndex.categories.get('TestCategory').required_properties = ['TestProperty']
+    entityIndex.categories.get('DependentCategory').parents = ['TestCategory']
+
+    const artifact = generateModuleArtifact('DependentModule', '2.0.0', entityIndex)
+    const effective = artifact.effectiveCategories.DependentCategory
+
+    assert.deepEqual(Object.keys(artifact.effectiveCategories), ['DependentCategory'])
+    assert.deepEqual(effective.ancestors, ['TestCategory'])
+    assert.deepEqual(effective.required_properties, [
+      { id: 'TestProperty', source: 'TestCategory', path: ['DependentCategory', 'TestCategory'] }
+    ])
   })
 })
 
@@ -261,6 +306,25 @@ describe('generateBundleManifest', () => {
     )
   })
 
+  it('throws when a stable bundle includes a pre-release module', () => {
+    const entityIndex = createMockEntityIndex()
+    entityIndex.modules.get('TestModule').version = '1.1.0-beta.1'
+
+    assert.throws(
+      () => generateBundleManifest('TestBundle', '1.1.0', entityIndex, '0.1.0'),
+      /Bundle TestBundle 1.1.0 cannot include pre-release module TestModule 1.1.0-beta.1/
+    )
+  })
+
+  it('allows pre-release modules in a pre-release bundle', () => {
+    const entityIndex = createMockEntityIndex()
+    entityIndex.modules.get('TestModule').version = '1.1.0-beta.1'
+
+    const manifest = generateBundleManifest('TestBundle', '1.1.0-beta.1', entityIndex, '0.1.0')
+
+    assert.deepEqual(manifest.modules, { TestModule: '1.1.0-beta.1' })
+  })
+
   it('generated timestamp is valid ISO 8601', () => {
     const entityIndex = createMockEntityIndex()
     const manifest = generateBundleManifest('TestBundle', '1.0.0', entityIndex, '0.1.0')
@@ -308,6 +372,16 @@ describe('writeVersionedArtifact', () => {
     assert.ok(fs.existsSync(expectedDir))
   })
 
+  it('writes pre-release versions next to releases', () => {
+    const artifact = { id: 'Test', version: '1.1.0-beta.1' }
+    const baseDir = path.join(tempDir, 'modules')
+
+    const outputPath = writeVersionedArtifact(baseDir, 'TestModule', '1.1.0-beta.1', artifact)
+
+    assert.equal(outputPath, path.join(baseDir, 'TestModule', 'versions', '1.1.0-beta.1.json'))
+    assert.deepEqual(JSON.parse(fs.readFileSync(outputPath, 'utf8')), artifact)
+  })
+
   it('writes JSON with 2-space indent', () => {
     const artifact = { id: 'Test', version: '1.0.0', data: { nested: true } }
     const baseDir = path.join(tempDir, 'modules')
@@ -1,8 +1,10 @@
 import { execFileSync } from 'node:child_process'
-import fs from 'node:fs'
-import path from 'node:path'
+import { isDeepStrictEqual } from 'node:util'
 import { detailedDiff } from 'deep-object-diff'
-import { ENTITY_TYPES_SET, BUMP_PRIORITY } from './constants.js'
+import { BUMP_PRIORITY, RESOURCE_METADATA_FIELDS } from './constants.js'
+import { parseEntityPath, isEntityFile } from './path-utils.js'
+import { createGitSnapshot, createWorkingTreeSnapshot } from './snapshot.js'
+import { INHERITED_FIELD_GROUPS, resolveCategory } from './inheritance-resolver.js'
 
 /**
  * Get list of changed files between base branch and HEAD
@@ -25,14 +27,7 @@ export function getChangedFiles(baseBranch = 'origin/main') {
       .trim()
       .split('\n')
       .filter(Boolean)
-      .filter(filePath => {
-        const firstSegment = filePath.split('/')[0]
-        const fileName = filePath.split('/').pop()
-        // Include only entity JSON files (not _schema.json)
-        return ENTITY_TYPES_SET.has(firstSegment) &&
-               filePath.endsWith('.json') &&
-               fileName !== '_schema.json'
-      })
+      .filter(isEntityFile)
   } catch (err) {
     // No changes or git error
     return []
@@ -51,122 +46,142 @@ export function getChangedFiles(baseBranch = 'origin/main') {
  * // { id: 'Name', datatype: 'Text', ... } or null
  */
 export function getBaseEntity(filePath, baseBranch = 'origin/main') {
-  try {
-    const content = execFileSync('git', ['show', `${baseBranch}:${filePath}`], {
-      encoding: 'utf8',
-      stdio: ['pipe', 'pipe', 'pipe']
-    })
-    return JSON.parse(content)
-  } catch (err) {
-    // File doesn't exist on base
-    return null
-  }
+  return createGitSnapshot(baseBranch).readEntity(filePath)
 }
 
 /**
- * Get entity content from current working directory (PR state)
+ * Create a classified change finding
  *
- * @param {string} filePath - Relative path to entity file
- * @param {string} rootDir - Root directory (defaults to cwd)
- * @returns {object|null} Parsed entity or null if doesn't exist
+ * @param {string} rule - Rule id (e.g., 'property-datatype-changed')
+ * @param {'major'|'minor'|'patch'} severity - Bump required by this change
+ * @param {string|null} field - Changed field (null for whole-entity changes)
+ * @param {*} oldValue - Value on the base branch (null if absent)
+ * @param {*} newValue - Value in the PR (null if absent)
+ * @param {string} message - Human-readable description
+ * @returns {{rule: string, severity: string, field: string|null, oldValue: *, newValue: *, message: string}}
  */
-function getPrEntity(filePath, rootDir = process.cwd()) {
-  try {
-    const absolutePath = path.join(rootDir, filePath)
-    const content = fs.readFileSync(absolutePath, 'utf8')
-    return JSON.parse(content)
-  } catch (err) {
-    // File doesn't exist in PR (deleted)
-    return null
+function createFinding(rule, severity, field, oldValue, newValue, message) {
+  return { rule, severity, field, oldValue, newValue, message }
+}
+
+/**
+ * Roll findings up into an entity-level change classification
+ *
+ * The change type is the highest severity among the findings, and the
+ * reason lists every breaking (major) finding.
+ *
+ * @param {Array} findings - Findings from createFinding
+ * @returns {{isBreaking: boolean, changeType: 'major'|'minor'|'patch', reason: string|null, findings: Array}}
+ */
+export function summarizeFindings(findings) {
+  let changeType = 'patch'
+  for (const finding of findings) {
+    if (BUMP_PRIORITY[finding.severity] > BUMP_PRIORITY[changeType]) {
+      changeType = finding.severity
+    }
+  }
+
+  const breaking = findings.filter(finding => finding.severity === 'major')
+
+  return {
+    isBreaking: changeType === 'major',
+    changeType,
+    reason: breaking.length > 0 ? breaking.map(finding => finding.message).join('; ') : null,
+    findings
   }
 }
 
 /**
- * Detect if entity change is breaking and determine change type
+ * Detect every change to an entity and classify the required version bump
+ *
+ * Entity-type rules classify the fields they understand; any other changed
+ * top-level field is reported as a generic addition (minor) or edit (patch).
  *
  * @param {string} entityType - Entity type ('properties', 'categories', etc.)
  * @param {object|null} baseEntity - Entity from base branch (null if new)
  * @param {object|null} prEntity - Entity from PR (null if deleted)
- * @returns {{isBreaking: boolean, changeType: 'major'|'minor'|'patch', reason: string|null}}
+ * @param {object} context - Optional snapshots for inheritance-aware rules
+ * @param {Map<string, object>} context.baseCategories - Categories on the base branch
+ * @param {Map<string, object>} context.prCategories - Categories in the PR
+ * @returns {{isBreaking: boolean, changeType: 'major'|'minor'|'patch', reason: string|null, findings: Array}}
  *
  * @example
  * detectBreakingChange('properties', baseEntity, prEntity)
- * // { isBreaking: true, changeType: 'major', reason: 'datatype changed' }
+ * // {
+ * //   isBreaking: true,
+ * //   changeType: 'major',
+ * //   reason: 'datatype changed: Text -> Number; allowed_values removed: C',
+ * //   findings: [
+ * //     { rule: 'property-datatype-changed', severity: 'major', field: 'datatype', oldValue: 'Text', newValue: 'Number', message: '...' },
+ * //     { rule: 'property-allowed-values-removed', severity: 'major', field: 'allowed_values', oldValue: 'C', newValue: null, message: '...' }
+ * //   ]
+ * // }
  */
-export function detectBreakingChange(entityType, baseEntity, prEntity) {
-  // Deletion is always breaking (major)
+export function detectBreakingChange(entityType, baseEntity, prEntity, context = {}) {
+  // Deletion is always breaking (major), even after a deprecation period
   if (baseEntity && !prEntity) {
-    return {
-      isBreaking: true,
-      changeType: 'major',
-      reason: `${entityType} deleted: ${baseEntity.id}`
+    if (baseEntity.deprecated) {
+      return summarizeFindings([
+        createFinding('deprecated-entity-removed', 'major', null, baseEntity.deprecated, null, `${entityType} removed: ${baseEntity.id} (deprecated since ${baseEntity.deprecated.since})`)
+      ])
     }
+    return summarizeFindings([
+      createFinding('entity-deleted', 'major', null, baseEntity.id, null, `${entityType} deleted: ${baseEntity.id}`)
+    ])
   }
 
   // Addition is never breaking (minor)
   if (!baseEntity && prEntity) {
-    return {
-      isBreaking: false,
-      changeType: 'minor',
-      reason: null
-    }
+    return summarizeFindings([
+      createFinding('entity-added', 'minor', null, null, prEntity.id, `${entityType} added: ${prEntity.id}`)
+    ])
   }
 
   // Both null - shouldn't happen, but treat as patch
   if (!baseEntity && !prEntity) {
-    return {
-      isBreaking: false,
-      changeType: 'patch',
-      reason: null
-    }
+    return summarizeFindings([])
   }
 
   // ID change is always breaking (major) - equivalent to delete + add
   if (baseEntity.id !== prEntity.id) {
-    return {
-      isBreaking: true,
-      changeType: 'major',
-      reason: `id changed: ${baseEntity.id} -> ${prEntity.id}`
-    }
+    return summarizeFindings([
+      createFinding('id-changed', 'major', 'id', baseEntity.id, prEntity.id, `id changed: ${baseEntity.id} -> ${prEntity.id}`)
+    ])
   }
 
   // Get detailed diff
-  const { deleted, updated } = detailedDiff(baseEntity, prEntity)
+  const { added, deleted, updated } = detailedDiff(baseEntity, prEntity)
+
+  // Entity-type-specific rules
+  const findings = checkEntityBreakingChanges(entityType, baseEntity, prEntity, deleted, updated, context)
 
-  // Check entity-type-specific breaking changes
-  const result = checkEntityBreakingChanges(entityType, baseEntity, prEntity, deleted, updated)
-  if (result) {
-    return result
+  // Marking an entity deprecated announces its removal without breaking anything yet
+  if (prEntity.deprecated && !baseEntity.deprecated) {
+    const replacement = prEntity.deprecated.replacement ? ` (use ${prEntity.deprecated.replacement})` : ''
+    findings.push(createFinding('entity-deprecated', 'minor', 'deprecated', null, prEntity.deprecated, `${entityType} deprecated: ${prEntity.id}${replacement}`))
   }
 
-  // Check if there are any changes at all
-  const { added } = detailedDiff(baseEntity, prEntity)
-  const hasAdditions = Object.keys(added).filter(k => k !== '_filePath').length > 0
-  const hasUpdates = Object.keys(updated).filter(k => k !== '_filePath').length > 0
+  // Generic findings for changed fields no rule classified
+  const classifiedFields = new Set(findings.map(finding => finding.field))
+  const changedFields = new Set([...Object.keys(added), ...Object.keys(updated), ...Object.keys(deleted)])
 
-  if (hasAdditions) {
-    return {
-      isBreaking: false,
-      changeType: 'minor',
-      reason: null
+  for (const field of changedFields) {
+    if (field === '_filePath' || classifiedFields.has(field)) {
+      continue
     }
-  }
 
-  if (hasUpdates) {
-    // Non-breaking updates (like label/description changes)
-    return {
-      isBreaking: false,
-      changeType: 'patch',
-      reason: null
+    if (field in added) {
+      // New fields and additions within existing fields expand the entity
+      const rule = field in baseEntity ? 'field-extended' : 'field-added'
+      findings.push(createFinding(rule, 'minor', field, baseEntity[field] ?? null, prEntity[field] ?? null, `${field} ${rule === 'field-added' ? 'added' : 'extended'}`))
+    } else {
+      // Non-breaking updates (like label/description changes)
+      const rule = field in prEntity ? 'field-changed' : 'field-removed'
+      findings.push(createFinding(rule, 'patch', field, baseEntity[field] ?? null, prEntity[field] ?? null, `${field} ${rule === 'field-changed' ? 'changed' : 'removed'}`))
     }
   }
 
-  // No meaningful changes
-  return {
-    isBreaking: false,
-    changeType: 'patch',
-    reason: null
-  }
+  return summarizeFindings(findings)
 }
 
 /**
@@ -177,169 +192,601 @@ export function detectBreakingChange(entityType, baseEntity, prEntity) {
  * @param {object} prEntity - PR entity
  * @param {object} deleted - Deleted fields from detailedDiff
  * @param {object} updated - Updated fields from detailedDiff
- * @returns {{isBreaking: boolean, changeType: 'major'|'minor'|'patch', reason: string}|null}
+ * @param {object} context - Snapshots from detectBreakingChange
+ * @returns {Array} Findings (empty if no rule applies)
  */
-function checkEntityBreakingChanges(entityType, baseEntity, prEntity, deleted, updated) {
+function checkEntityBreakingChanges(entityType, baseEntity, prEntity, deleted, updated, context) {
   if (entityType === 'properties') {
     return checkPropertyBreakingChanges(baseEntity, prEntity, deleted, updated)
   }
 
   if (entityType === 'categories') {
-    return checkCategoryBreakingChanges(baseEntity, prEntity, deleted, updated)
+    return checkCategoryBreakingChanges(baseEntity, prEntity, context)
+  }
+
+  if (entityType === 'subobjects') {
+    return checkSubobjectBreakingChanges(baseEntity, prEntity)
+  }
+
+  if (entityType === 'templates') {
+    return checkTemplateBreakingChanges(baseEntity, prEntity)
+  }
+
+  if (entityType === 'dashboards') {
+    return checkDashboardBreakingChanges(baseEntity, prEntity)
+  }
+
+  if (entityType === 'resources') {
+    return checkResourceBreakingChanges(baseEntity, prEntity)
   }
 
   // modules and bundles: deletion handled above, other changes are minor/patch
+  const findings = []
   if (entityType === 'modules' || entityType === 'bundles') {
-    // Any field deletion in module/bundle that isn't cosmetic
-    const deletedKeys = Object.keys(deleted).filter(k => k !== '_filePath')
-    if (deletedKeys.length > 0) {
-      // Check if any structural field was deleted
-      const structuralFields = new Set(['id', 'label', 'description', 'categories', 'properties'])
-      for (const key of deletedKeys) {
-        if (structuralFields.has(key)) {
-          return {
-            isBreaking: true,
-            changeType: 'major',
-            reason: `field deleted: ${key}`
-          }
-        }
+    // Any structural field deletion in module/bundle is breaking
+    const structuralFields = new Set(['id', 'label', 'description', 'categories', 'properties'])
+    for (const key of Object.keys(deleted)) {
+      if (structuralFields.has(key)) {
+        findings.push(createFinding('structural-field-deleted', 'major', key, baseEntity[key], prEntity[key] ?? null, `field deleted: ${key}`))
       }
     }
   }
 
-  return null
+  return findings
 }
 
 /**
  * Check property-specific breaking changes
  */
 function checkPropertyBreakingChanges(baseEntity, prEntity, deleted, updated) {
+  const findings = []
+
   // datatype change is breaking
   if (updated.datatype !== undefined) {
-    return {
-      isBreaking: true,
-      changeType: 'major',
-      reason: `datatype changed: ${baseEntity.datatype} -> ${prEntity.datatype}`
+    findings.push(createFinding(
+      'property-datatype-changed', 'major', 'datatype', baseEntity.datatype, prEntity.datatype,
+      `datatype changed: ${baseEntity.datatype} -> ${prEntity.datatype}`
+    ))
+  }
+
+  // parent_property: removing or replacing the parent changes which values
+  // queries on the old parent return; adding a parent only extends them
+  if (baseEntity.parent_property !== prEntity.parent_property) {
+    if (baseEntity.parent_property && !prEntity.parent_property) {
+      findings.push(createFinding(
+        'property-parent-removed', 'major', 'parent_property', baseEntity.parent_property, null,
+        `parent_property removed: ${baseEntity.parent_property}`
+      ))
+    } else if (baseEntity.parent_property) {
+      findings.push(createFinding(
+        'property-parent-changed', 'major', 'parent_property', baseEntity.parent_property, prEntity.parent_property,
+        `parent_property changed: ${baseEntity.parent_property} -> ${prEntity.parent_property}`
+      ))
+    } else {
+      findings.push(createFinding(
+        'property-parent-added', 'minor', 'parent_property', null, prEntity.parent_property,
+        `parent_property added: ${prEntity.parent_property}`
+      ))
     }
   }
 
   // cardinality: only breaking if multiple -> single
   if (updated.cardinality !== undefined) {
     if (baseEntity.cardinality === 'multiple' && prEntity.cardinality === 'single') {
-      return {
-        isBreaking: true,
-        changeType: 'major',
-        reason: 'cardinality restricted: multiple -> single'
-      }
+      findings.push(createFinding(
+        'property-cardinality-restricted', 'major', 'cardinality', baseEntity.cardinality, prEntity.cardinality,
+        'cardinality restricted: multiple -> single'
+      ))
+    } else if (baseEntity.cardinality === 'single' && prEntity.cardinality === 'multiple') {
+      findings.push(createFinding(
+        'property-cardinality-expanded', 'minor', 'cardinality', baseEntity.cardinality, prEntity.cardinality,
+        'cardinality expanded: single -> multiple'
+      ))
     }
   }
 
-  // allowed_values: removal is breaking
-  if (baseEntity.allowed_values && prEntity.allowed_values) {
+  // allowed_values: removal is breaking, addition is minor
+  if (Array.isArray(baseEntity.allowed_values) && Array.isArray(prEntity.allowed_values)) {
     const oldSet = new Set(baseEntity.allowed_values)
     const newSet = new Set(prEntity.allowed_values)
 
     for (const val of oldSet) {
       if (!newSet.has(val)) {
-        return {
-          isBreaking: true,
-          changeType: 'major',
-          reason: `allowed_values removed: ${val}`
-        }
+        findings.push(createFinding(
+          'property-allowed-values-removed', 'major', 'allowed_values', val, null,
+          `allowed_values removed: ${val}`
+        ))
       }
     }
 
-    // Addition of allowed_values is minor
     for (const val of newSet) {
       if (!oldSet.has(val)) {
-        return {
-          isBreaking: false,
-          changeType: 'minor',
-          reason: null
-        }
+        findings.push(createFinding(
+          'property-allowed-values-added', 'minor', 'allowed_values', null, val,
+          `allowed_values added: ${val}`
+        ))
       }
     }
   }
 
-  return null
+  return findings
+}
+
+/**
+ * Check required/optional membership changes for a pair of list fields
+ *
+ * Adding a required member or removing an optional member is breaking:
+ * existing instances may lack the new member or still use the removed one.
+ * Adding an optional member is minor.
+ *
+ * @param {object} baseEntity - Base entity
+ * @param {object} prEntity - PR entity
+ * @param {string} rulePrefix - Rule id prefix (e.g., 'subobject')
+ * @param {string} requiredField - Required list field (e.g., 'required_properties')
+ * @param {string} optionalField - Optional list field (e.g., 'optional_properties')
+ * @returns {Array} Findings
+ */
+function checkMembershipChanges(baseEntity, prEntity, rulePrefix, requiredField, optionalField) {
+  const findings = []
+
+  const oldRequired = new Set(baseEntity[requiredField] || [])
+  for (const item of (prEntity[requiredField] || [])) {
+    if (!oldRequired.has(item)) {
+      findings.push(createFinding(`${rulePrefix}-required-added`, 'major', requiredField, null, item, `${requiredField} added: ${item}`))
+    }
+  }
+
+  const oldOptional = new Set(baseEntity[optionalField] || [])
+  const newOptional = new Set(prEntity[optionalField] || [])
+  for (const item of oldOptional) {
+    if (!newOptional.has(item)) {
+      findings.push(createFinding(`${rulePrefix}-optional-removed`, 'major', optionalField, item, null, `${optionalField} removed: ${item}`))
+    }
+  }
+  for (const item of newOptional) {
+    if (!oldOptional.has(item)) {
+      findings.push(createFinding(`${rulePrefix}-optional-added`, 'minor', optionalField, null, item, `${optionalField} added: ${item}`))
+    }
+  }
+
+  return findings
+}
+
+/**
+ * Resolve a category's effective schema within a snapshot of categories
+ *
+ * @param {object} entity - Category entity (takes precedence over the snapshot)
+ * @param {Map<string, object>|undefined} categories - Category snapshot (defaults to the entity alone)
+ * @returns {object} Effective schema from resolveCategory
+ */
+function resolveInSnapshot(entity, categories) {
+  const snapshot = new Map(categories || [])
+  snapshot.set(entity.id, entity)
+  return resolveCategory(entity.id, { categories: snapshot })
+}
+
+/**
+ * Describe an effective item for change reasons, noting where it is inherited from
+ *
+ * @param {{id: string, source: string}} item - Effective schema item
+ * @param {string} categoryId - Category being compared
+ * @param {string} verb - 'inherited from' or 'was inherited from'
+ * @returns {string} Item description
+ */
+function describeItem(item, categoryId, verb) {
+  return item.source === categoryId ? item.id : `${item.id} (${verb} ${item.source})`
 }
 
 /**
  * Check category-specific breaking changes
+ *
+ * Compares effective (inheritance-resolved) schemas so that edits to
+ * `parents` are classified by the properties and subobjects they add or drop:
+ * - Newly required items (own or inherited) are major
+ * - Optional items no longer available are major
+ * - Newly available optional items are minor
+ *
+ * @param {object} baseEntity - Base category
+ * @param {object} prEntity - PR category
+ * @param {object} context - Category snapshots
+ * @param {Map<string, object>} context.baseCategories - Categories on the base branch
+ * @param {Map<string, object>} context.prCategories - Categories in the PR
+ * @returns {Array} Findings
+ */
+function checkCategoryBreakingChanges(baseEntity, prEntity, context = {}) {
+  const baseEffective = resolveInSnapshot(baseEntity, context.baseCategories)
+  const prEffective = resolveInSnapshot(prEntity, context.prCategories)
+  const categoryId = prEntity.id
+  const findings = []
+
+  for (const [requiredField, optionalField] of INHERITED_FIELD_GROUPS) {
+    const baseRequired = new Set(baseEffective[requiredField].map(item => item.id))
+    const prRequired = new Set(prEffective[requiredField].map(item => item.id))
+    const baseAll = new Set([...baseRequired, ...baseEffective[optionalField].map(item => item.id)])
+    const prAll = new Set([...prRequired, ...prEffective[optionalField].map(item => item.id)])
+
+    for (const item of prEffective[requiredField].filter(item => !baseRequired.has(item.id))) {
+      findings.push(createFinding(
+        'category-required-added', 'major', requiredField, null, item.id,
+        `${requiredField} added: ${describeItem(item, categoryId, 'inherited from')}`
+      ))
+    }
+
+    for (const item of baseEffective[optionalField].filter(item => !prAll.has(item.id))) {
+      findings.push(createFinding(
+        'category-optional-removed', 'major', optionalField, item.id, null,
+        `${optionalField} removed: ${describeItem(item, categoryId, 'was inherited from')}`
+      ))
+    }
+
+    for (const item of prEffective[optionalField].filter(item => !baseAll.has(item.id))) {
+      findings.push(createFinding(
+        'category-optional-added', 'minor', optionalField, null, item.id,
+        `${optionalField} added: ${describeItem(item, categoryId, 'inherited from')}`
+      ))
+    }
+  }
+
+  return findings
+}
+
+/**
+ * Check subobject-specific breaking changes
+ */
+function checkSubobjectBreakingChanges(baseEntity, prEntity) {
+  return checkMembershipChanges(baseEntity, prEntity, 'subobject', 'required_properties', 'optional_properties')
+}
+
+/**
+ * Extract the parameter names used in template wikitext
+ *
+ * @param {string|undefined} wikitext - Template wikitext
+ * @returns {Set<string>} Parameter names (e.g., 'value' for {{{value|}}})
+ *
+ * @example
+ * extractTemplateParameters('{{{value|}}} {{{1}}}') // Set { 'value', '1' }
+ */
+export function extractTemplateParameters(wikitext) {
+  const parameters = new Set()
+  for (const match of (wikitext || '').matchAll(/\{\{\{\s*([^{}|]+?)\s*(?=\||\}\}\})/g)) {
+    parameters.add(match[1])
+  }
+  return parameters
+}
+
+/**
+ * Check template-specific breaking changes
+ */
+function checkTemplateBreakingChanges(baseEntity, prEntity) {
+  // Removing or renaming a parameter breaks existing template calls
+  const newParameters = extractTemplateParameters(prEntity.wikitext)
+
+  return [...extractTemplateParameters(baseEntity.wikitext)]
+    .filter(parameter => !newParameters.has(parameter))
+    .map(parameter => createFinding(
+      'template-parameter-removed', 'major', 'wikitext', parameter, null,
+      `template parameter removed or renamed: ${parameter}`
+    ))
+}
+
+/**
+ * Check dashboard-specific breaking changes
  */
-function checkCategoryBreakingChanges(baseEntity, prEntity, deleted, updated) {
-  // required_properties: adding new required = breaking
-  if (baseEntity.required_properties && prEntity.required_properties) {
-    const oldSet = new Set(baseEntity.required_properties)
-    const newSet = new Set(prEntity.required_properties)
-
-    for (const prop of newSet) {
-      if (!oldSet.has(prop)) {
-        return {
-          isBreaking: true,
-          changeType: 'major',
-          reason: `required_properties added: ${prop}`
-        }
+function checkDashboardBreakingChanges(baseEntity, prEntity) {
+  // Removing a page breaks links to it
+  const newPages = new Set((prEntity.pages || []).map(page => page.name))
+
+  return (baseEntity.pages || [])
+    .filter(page => !newPages.has(page.name))
+    .map(page => createFinding(
+      'dashboard-page-removed', 'major', 'pages', page.name, null,
+      `dashboard page removed: ${page.name || '(root)'}`
+    ))
+}
+
+/**
+ * Check resource-specific breaking changes
+ */
+function checkResourceBreakingChanges(baseEntity, prEntity) {
+  // Removing a property value breaks queries that rely on it
+  return Object.keys(baseEntity)
+    .filter(key => !RESOURCE_METADATA_FIELDS.has(key) && !key.startsWith('_') && !(key in prEntity))
+    .map(key => createFinding(
+      'resource-value-removed', 'major', key, baseEntity[key], null,
+      `resource property value removed: ${key}`
+    ))
+}
+
+/**
+ * Minimum content similarity for pairing a deleted and an added entity as a rename
+ */
+export const RENAME_SIMILARITY_THRESHOLD = 0.8
+
+/**
+ * Fields that record a rename rather than describe the entity
+ */
+const RENAME_FIELDS = new Set(['id', 'previous_ids', 'replaced_by', '_filePath'])
+
+/**
+ * Collect the leaf values of an entity as `path=value` tokens
+ *
+ * Array elements share their array's path, so reordering does not lower
+ * similarity. Rename fields are skipped.
+ *
+ * @param {*} value - Entity or nested value
+ * @param {string} prefix - Path of the value
+ * @param {Set<string>} tokens - Accumulated tokens
+ * @returns {Set<string>} Tokens
+ */
+function collectContentTokens(value, prefix = '', tokens = new Set()) {
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      collectContentTokens(item, `${prefix}[]`, tokens)
+    }
+  } else if (value && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      if (prefix === '' && RENAME_FIELDS.has(key)) {
+        continue
       }
+      collectContentTokens(child, prefix ? `${prefix}.${key}` : key, tokens)
     }
-  } else if (!baseEntity.required_properties && prEntity.required_properties?.length > 0) {
-    // Adding required_properties when there were none
-    return {
-      isBreaking: true,
-      changeType: 'major',
-      reason: `required_properties added: ${prEntity.required_properties.join(', ')}`
+  } else {
+    tokens.add(`${prefix}=${JSON.stringify(value)}`)
+  }
+  return tokens
+}
+
+/**
+ * Measure how similar two entities are, ignoring their ids
+ *
+ * Uses the Dice coefficient over leaf values (see collectContentTokens).
+ *
+ * @param {object} a - First entity
+ * @param {object} b - Second entity
+ * @returns {number} Similarity from 0 (nothing shared) to 1 (same content)
+ *
+ * @example
+ * computeSimilarity(
+ *   { id: 'Has_name', datatype: 'Text', cardinality: 'single' },
+ *   { id: 'Has_full_name', datatype: 'Text', cardinality: 'single' }
+ * ) // 1
+ */
+export function computeSimilarity(a, b) {
+  const tokensA = collectContentTokens(a)
+  const tokensB = collectContentTokens(b)
+  const total = tokensA.size + tokensB.size
+  if (total === 0) {
+    return 0
+  }
+
+  let shared = 0
+  for (const token of tokensA) {
+    if (tokensB.has(token)) {
+      shared++
     }
   }
+  return (2 * shared) / total
+}
 
-  // optional_properties: removal is breaking
-  if (baseEntity.optional_properties && prEntity.optional_properties) {
-    const oldSet = new Set(baseEntity.optional_properties)
-    const newSet = new Set(prEntity.optional_properties)
+/**
+ * Pair deleted and added entities of the same type as renames
+ *
+ * Explicit hints win: the added entity lists the old id in `previous_ids`,
+ * or the deleted entity names the new id in `replaced_by`. Remaining
+ * entities are paired by content similarity, most similar first.
+ *
+ * @param {Array<{entityType: string, entityId: string, baseEntity: object}>} deleted - Deleted entries
+ * @param {Array<{entityType: string, entityId: string, prEntity: object}>} added - Added entries
+ * @param {number} threshold - Minimum similarity for an implicit rename
+ * @returns {Array<{from: object, to: object, method: 'explicit'|'similarity', similarity: number}>} Rename pairs
+ */
+function pairRenames(deleted, added, threshold = RENAME_SIMILARITY_THRESHOLD) {
+  const pairs = []
+  const paired = new Set()
+
+  for (const to of added) {
+    const previousIds = to.prEntity.previous_ids || []
+    const from = deleted.find(entry =>
+      !paired.has(entry) &&
+      entry.entityType === to.entityType &&
+      (previousIds.includes(entry.entityId) || entry.baseEntity.replaced_by === to.entityId)
+    )
+    if (from) {
+      pairs.push({ from, to, method: 'explicit', similarity: computeSimilarity(from.baseEntity, to.prEntity) })
+      paired.add(from)
+      paired.add(to)
+    }
+  }
 
-    for (const prop of oldSet) {
-      if (!newSet.has(prop)) {
-        return {
-          isBreaking: true,
-          changeType: 'major',
-          reason: `optional_properties removed: ${prop}`
-        }
+  const candidates = []
+  for (const from of deleted.filter(entry => !paired.has(entry))) {
+    for (const to of added.filter(entry => !paired.has(entry) && entry.entityType === from.entityType)) {
+      const similarity = computeSimilarity(from.baseEntity, to.prEntity)
+      if (similarity >= threshold) {
+        candidates.push({ from, to, method: 'similarity', similarity })
       }
     }
   }
 
-  return null
+  candidates.sort((a, b) => b.similarity - a.similarity)
+  for (const candidate of candidates) {
+    if (!paired.has(candidate.from) && !paired.has(candidate.to)) {
+      pairs.push(candidate)
+      paired.add(candidate.from)
+      paired.add(candidate.to)
+    }
+  }
+
+  return pairs
 }
 
 /**
- * Detect changes in all modified entities and compute required version bump
+ * Classify a renamed entity
  *
- * @param {object} entityIndex - Entity index from buildEntityIndex (unused, for API compatibility)
- * @param {string} baseBranch - Base branch reference
- * @returns {{changes: Array<{file: string, entityType: string, changeType: string, reason: string|null}>, requiredBump: 'major'|'minor'|'patch'}}
+ * A rename is breaking (pages and references use the old id); any other
+ * edit made alongside it is classified as if the id had not changed.
+ *
+ * @param {string} entityType - Entity type
+ * @param {object} baseEntity - Entity under its old id
+ * @param {object} prEntity - Entity under its new id
+ * @param {{method: string, similarity: number}} rename - How the rename was detected
+ * @param {object} context - Snapshots from detectBreakingChange
+ * @returns {{isBreaking: boolean, changeType: 'major'|'minor'|'patch', reason: string|null, findings: Array}}
+ */
+function classifyRename(entityType, baseEntity, prEntity, rename, context) {
+  const detectedBy = rename.method === 'explicit' ? 'explicit' : `${Math.round(rename.similarity * 100)}% similar`
+  const renamed = createFinding(
+    'entity-renamed', 'major', 'id', baseEntity.id, prEntity.id,
+    `${entityType} renamed: ${baseEntity.id} -> ${prEntity.id} (${detectedBy})`
+  )
+
+  const withoutRenameFields = entity => Object.fromEntries(
+    Object.entries(entity).filter(([key]) => key === 'id' || !RENAME_FIELDS.has(key))
+  )
+  const { findings } = detectBreakingChange(
+    entityType,
+    { ...withoutRenameFields(baseEntity), id: prEntity.id },
+    withoutRenameFields(prEntity),
+    context
+  )
+
+  return summarizeFindings([renamed, ...findings])
+}
+
+/**
+ * Build a migration map (old id -> new id) from detected renames
+ *
+ * @param {Array} changes - Changes from compareSnapshots or detectChanges
+ * @returns {Object<string, Object<string, string>>} New ids keyed by entity type, then old id
  *
  * @example
- * const result = detectChanges(entityIndex, 'origin/main')
- * // { changes: [...], requiredBump: 'major' }
+ * buildMigrationMap(changes)
+ * // { properties: { Has_full_name: 'Has_name' }, categories: { Lab_member: 'Member' } }
  */
-export function detectChanges(entityIndex, baseBranch = 'origin/main') {
-  const changedFiles = getChangedFiles(baseBranch)
+export function buildMigrationMap(changes) {
+  const migrations = {}
+  for (const change of changes) {
+    if (!change.previousId) {
+      continue
+    }
+    migrations[change.entityType] = migrations[change.entityType] || {}
+    migrations[change.entityType][change.previousId] = change.entityId
+  }
+  return migrations
+}
+
+/**
+ * Compare two snapshots and classify every changed entity file
+ *
+ * Works on any pair of snapshots from snapshot.js (working tree, directory,
+ * git ref or module artifact), so bumps can be computed without git.
+ *
+ * @param {Object} base - Snapshot of the earlier state
+ * @param {Object} pr - Snapshot of the later state
+ * @param {Object} options - Comparison options
+ * @param {string[]} options.files - Changed files, if already known (skips comparing every file)
+ * @param {Map<string, object>} options.prCategories - Categories of the later state, if already loaded
+ * @param {number} options.similarityThreshold - Minimum similarity for pairing a deleted and an added entity as a rename
+ * @returns {{changes: Array<{file: string, entityType: string, entityId: string, changeType: string, reason: string|null, findings: Array, previousFile?: string, previousId?: string, previousModuleId?: string}>, requiredBump: 'major'|'minor'|'patch'}}
+ *
+ * @example
+ * const result = compareSnapshots(
+ *   createArtifactSnapshot('modules/Core/versions/1.0.0.json'),
+ *   createArtifactSnapshot('modules/Core/versions/1.1.0.json')
+ * )
+ * // { changes: [{ file: 'properties/Has_name.json', changeType: 'major', findings: [...] }], requiredBump: 'major' }
+ */
+export function compareSnapshots(base, pr, { files, prCategories, similarityThreshold } = {}) {
+  let entries
+
+  if (files) {
+    entries = files.map(filePath => ({
+      filePath,
+      ...parseEntityPath(filePath),
+      baseEntity: base.readEntity(filePath),
+      prEntity: pr.readEntity(filePath)
+    }))
+  } else {
+    const allFiles = [...new Set([...base.listFiles(), ...pr.listFiles()])].sort()
+    entries = allFiles
+      .map(filePath => ({
+        filePath,
+        ...parseEntityPath(filePath),
+        baseEntity: base.readEntity(filePath),
+        prEntity: pr.readEntity(filePath)
+      }))
+      .filter(entry => !isDeepStrictEqual(entry.baseEntity, entry.prEntity))
+  }
+
+  // Report a deleted and an added entity of the same type as one rename
+  const renames = pairRenames(
+    entries.filter(entry => entry.baseEntity && !entry.prEntity),
+    entries.filter(entry => !entry.baseEntity && entry.prEntity),
+    similarityThreshold
+  )
+  for (const { from, to, method, similarity } of renames) {
+    Object.assign(to, {
+      baseEntity: from.baseEntity,
+      previousFile: from.filePath,
+      previousId: from.entityId,
+      rename: { method, similarity }
+    })
+  }
+  const renamedFrom = new Set(renames.map(({ from }) => from))
+  entries = entries.filter(entry => !renamedFrom.has(entry))
+
+  // A deleted entity is no longer listed by its module in the later state;
+  // the module's file changes with it, so its base version names the module
+  const baseModules = entries.filter(entry => entry.entityType === 'modules' && entry.baseEntity)
+  for (const entry of entries) {
+    if (entry.baseEntity && !entry.prEntity && entry.entityType !== 'modules') {
+      entry.previousModuleId = baseModules
+        .find(({ baseEntity }) => (baseEntity[entry.entityType] || []).includes(entry.entityId))?.entityId
+    }
+  }
+
+  // Unchanged categories are identical on both sides, so the base snapshot
+  // is the PR snapshot with changed category files swapped for their base versions.
+  // Categories of dependency modules (artifact snapshots only) come from each side.
+  const prOwnCategories = prCategories || readCategories(pr)
+  const prCategoryMap = new Map([...(pr.readDependencyCategories?.() || []), ...prOwnCategories])
+  const baseCategoryMap = new Map([...(base.readDependencyCategories?.() || []), ...prOwnCategories])
+  for (const { entityType, entityId, baseEntity } of entries) {
+    if (entityType !== 'categories') {
+      continue
+    }
+    baseCategoryMap.delete(entityId)
+    if (baseEntity) {
+      baseCategoryMap.set(baseEntity.id, baseEntity)
+    }
+  }
+  const context = { baseCategories: baseCategoryMap, prCategories: prCategoryMap }
+
   const changes = []
   let requiredBump = 'patch'
   let requiredPriority = BUMP_PRIORITY.patch
 
-  for (const filePath of changedFiles) {
-    const entityType = filePath.split('/')[0]
-    const baseEntity = getBaseEntity(filePath, baseBranch)
-    const prEntity = getPrEntity(filePath)
-
-    const result = detectBreakingChange(entityType, baseEntity, prEntity)
+  for (const { filePath, entityType, entityId, baseEntity, prEntity, previousFile, previousId, previousModuleId, rename } of entries) {
+    const result = rename
+      ? classifyRename(entityType, baseEntity, prEntity, rename, context)
+      : detectBreakingChange(entityType, baseEntity, prEntity, context)
 
-    changes.push({
+    const change = {
       file: filePath,
       entityType,
+      entityId,
       changeType: result.changeType,
-      reason: result.reason
-    })
+      reason: result.reason,
+      findings: result.findings
+    }
+    if (rename) {
+      change.previousFile = previousFile
+      change.previousId = previousId
+    }
+    if (previousModuleId) {
+      change.previousModuleId = previousModuleId
+    }
+    changes.push(change)
 
     // Update required bump using priority comparison
     const changePriority = BUMP_PRIORITY[result.changeType] || 0
@@ -351,3 +798,44 @@ export function detectChanges(entityIndex, baseBranch = 'origin/main') {
 
   return { changes, requiredBump }
 }
+
+/**
+ * Read every category in a snapshot, keyed by id
+ *
+ * @param {Object} snapshot - Snapshot from snapshot.js
+ * @returns {Map<string, object>} Categories keyed by id
+ */
+function readCategories(snapshot) {
+  const categories = new Map()
+  for (const filePath of snapshot.listFiles()) {
+    if (parseEntityPath(filePath).entityType !== 'categories') {
+      continue
+    }
+    const category = snapshot.readEntity(filePath)
+    if (category && category.id) {
+      categories.set(category.id, category)
+    }
+  }
+  return categories
+}
+
+/**
+ * Detect changes in all modified entities and compute required version bump
+ *
+ * Compares the base branch with the working tree for files changed since
+ * the merge base (see compareSnapshots).
+ *
+ * @param {object} entityIndex - Entity index from buildEntityIndex (PR state, used for inheritance-aware rules)
+ * @param {string} baseBranch - Base branch reference
+ * @returns {{changes: Array, requiredBump: 'major'|'minor'|'patch'}} Change records as from compareSnapshots
+ *
+ * @example
+ * const result = detectChanges(entityIndex, 'origin/main')
+ * // { changes: [...], requiredBump: 'major' }
+ */
+export function detectChanges(entityIndex, baseBranch = 'origin/main') {
+  return compareSnapshots(createGitSnapshot(baseBranch), createWorkingTreeSnapshot(), {
+    files: getChangedFiles(baseBranch),
+    prCategories: entityIndex?.categories
+  })
+}
@@ -1,6 +1,14 @@
 import { describe, test } from 'node:test'
 import assert from 'node:assert'
-import { detectBreakingChange } from './change-detector.js'
+import {
+  detectBreakingChange,
+  extractTemplateParameters,
+  computeSimilarity,
+  compareSnapshots,
+  buildMigrationMap
+} from './change-detector.js'
+import { createArtifactSnapshot } from './snapshot.js'
+import { createMockArtifact } from '../__fixtures__/mock-artifact.js'
 
 describe('detectBreakingChange', () => {
   describe('Deletion rules', () => {
@@ -45,6 +53,41 @@ describe('detectBreakingChange', () => {
     })
   })
 
+  describe('Deprecation rules', () => {
+    const deprecated = { since: '1.2.0', reason: 'Merged into Has_name', replacement: 'Has_name', removal_version: '2.0.0' }
+
+    test('marking an entity deprecated returns minor', () => {
+      const base = { id: 'Has_nickname', datatype: 'Text' }
+      const pr = { id: 'Has_nickname', datatype: 'Text', deprecated }
+
+      const result = detectBreakingChange('properties', base, pr)
+
+      assert.strictEqual(result.changeType, 'minor')
+      assert.strictEqual(result.findings.length, 1)
+      assert.strictEqual(result.findings[0].rule, 'entity-deprecated')
+      assert.ok(result.findings[0].message.includes('use Has_name'))
+    })
+
+    test('editing a deprecation returns patch', () => {
+      const base = { id: 'Has_nickname', datatype: 'Text', deprecated }
+      const pr = { id: 'Has_nickname', datatype: 'Text', deprecated: { ...deprecated, reason: 'Duplicate of Has_name' } }
+
+      const result = detectBreakingChange('properties', base, pr)
+
+      assert.strictEqual(result.changeType, 'patch')
+    })
+
+    test('removing a deprecated entity returns major with its deprecation', () => {
+      const base = { id: 'Has_nickname', datatype: 'Text', deprecated }
+
+      const result = detectBreakingChange('properties', base, null)
+
+      assert.strictEqual(result.changeType, 'major')
+      assert.strictEqual(result.findings[0].rule, 'deprecated-entity-removed')
+      assert.deepStrictEqual(result.findings[0].oldValue, deprecated)
+    })
+  })
+
   describe('Property breaking changes', () => {
     test('datatype change returns major', () => {
       const base = { id: 'Name', datatype: 'Text' }
@@ -100,6 +143,38 @@ describe('detectBreakingChange', () => {
       assert.strictEqual(result.changeType, 'minor')
     })
 
+    test('parent_property removal returns major', () => {
+      const base = { id: 'Has_work_email', datatype: 'Email', parent_property: 'Has_email' }
+      const pr = { id: 'Has_work_email', datatype: 'Email' }
+
+      const result = detectBreakingChange('properties', base, pr)
+
+      assert.strictEqual(result.isBreaking, true)
+      assert.strictEqual(result.changeType, 'major')
+      assert.ok(result.reason.includes('parent_property removed: Has_email'))
+    })
+
+    test('parent_property change returns major', () => {
+      const base = { id: 'Has_work_email', datatype: 'Email', parent_property: 'Has_email' }
+      const pr = { id: 'Has_work_email', datatype: 'Email', parent_property: 'Has_contact' }
+
+      const result = detectBreakingChange('properties', base, pr)
+
+      assert.strictEqual(result.isBreaking, true)
+      assert.strictEqual(result.changeType, 'major')
+      assert.ok(result.reason.includes('parent_property changed: Has_email -> Has_contact'))
+    })
+
+    test('parent_property addition returns minor', () => {
+      const base = { id: 'Has_work_email', datatype: 'Email' }
+      const pr = { id: 'Has_work_email', datatype: 'Email', parent_property: 'Has_email' }
+
+      const result = detectBreakingChange('properties', base, pr)
+
+      assert.strictEqual(result.isBreaking, false)
+      assert.strictEqual(result.changeType, 'minor')
+    })
+
     test('label change only returns patch', () => {
       const base = { id: 'Name', datatype: 'Text', label: 'Name' }
       const pr = { id: 'Name', datatype: 'Text', label: 'Full Name' }
@@ -197,6 +272,272 @@ describe('detectBreakingChange', () => {
     })
   })
 
+  describe('Category parent changes', () => {
+    const categories = new Map([
+      ['Agent', { id: 'Agent', required_properties: ['Has_name'], optional_properties: ['Has_description'] }],
+      ['Entity', { id: 'Entity', optional_properties: ['Has_description', 'Has_identifier'] }],
+      ['Thing', { id: 'Thing', optional_subobjects: ['Address'] }]
+    ])
+
+    /**
+     * Compare a Person category before and after an edit against the shared parents
+     */
+    function detect(base, pr) {
+      const baseCategories = new Map([...categories, ['Person', base]])
+      const prCategories = new Map([...categories, ['Person', pr]])
+      return detectBreakingChange('categories', base, pr, { baseCategories, prCategories })
+    }
+
+    test('adding a parent with required properties returns major', () => {
+      const result = detect({ id: 'Person' }, { id: 'Person', parents: ['Agent'] })
+
+      assert.strictEqual(result.isBreaking, true)
+      assert.strictEqual(result.changeType, 'major')
+      assert.ok(result.reason.includes('required_properties added: Has_name (inherited from Agent)'))
+    })
+
+    test('removing a parent that provided optional properties returns major', () => {
+      const result = detect({ id: 'Person', parents: ['Entity'] }, { id: 'Person' })
+
+      assert.strictEqual(result.isBreaking, true)
+      assert.ok(result.reason.includes('optional_properties removed: Has_description (was inherited from Entity)'))
+      assert.ok(result.reason.includes('optional_properties removed: Has_identifier (was inherited from Entity)'))
+    })
+
+    test('swapping parents reports every inherited item that changed', () => {
+      const result = detect({ id: 'Person', parents: ['Entity'] }, { id: 'Person', parents: ['Agent'] })
+
+      assert.strictEqual(result.changeType, 'major')
+      assert.ok(result.reason.includes('required_properties added: Has_name (inherited from Agent)'))
+      assert.ok(result.reason.includes('optional_properties removed: Has_identifier (was inherited from Entity)'))
+      // Has_description is still inherited (now via Agent)
+      assert.ok(!result.reason.includes('Has_description'))
+    })
+
+    test('adding a parent with only optional items returns minor', () => {
+      const result = detect({ id: 'Person' }, { id: 'Person', parents: ['Thing'] })
+
+      assert.strictEqual(result.isBreaking, false)
+      assert.strictEqual(result.changeType, 'minor')
+      assert.strictEqual(result.reason, null)
+      assert.ok(result.findings.some(finding => finding.message === 'optional_subobjects added: Address (inherited from Thing)'))
+    })
+
+    test('removing an own optional property still inherited is not breaking', () => {
+      const result = detect(
+        { id: 'Person', parents: ['Entity'], optional_properties: ['Has_identifier'] },
+        { id: 'Person', parents: ['Entity'] }
+      )
+
+      assert.strictEqual(result.isBreaking, false)
+    })
+
+    test('removing a parent with required properties is not breaking', () => {
+      const result = detect({ id: 'Person', parents: ['Agent'], optional_properties: ['Has_description'] }, {
+        id: 'Person',
+        optional_properties: ['Has_description', 'Has_name']
+      })
+
+      assert.strictEqual(result.isBreaking, false)
+    })
+  })
+
+  describe('Full change reporting', () => {
+    test('reports every breaking change, not just the first', () => {
+      const base = { id: 'Status', datatype: 'Text', allowed_values: ['A', 'B', 'C'] }
+      const pr = { id: 'Status', datatype: 'Keyword', allowed_values: ['A'] }
+
+      const result = detectBreakingChange('properties', base, pr)
+
+      assert.strictEqual(result.changeType, 'major')
+      assert.deepStrictEqual(result.findings.map(finding => finding.rule), [
+        'property-datatype-changed',
+        'property-allowed-values-removed',
+        'property-allowed-values-removed'
+      ])
+      assert.ok(result.reason.includes('datatype changed: Text -> Keyword'))
+      assert.ok(result.reason.includes('allowed_values removed: B'))
+      assert.ok(result.reason.includes('allowed_values removed: C'))
+    })
+
+    test('findings record field, old value, new value and severity', () => {
+      const base = { id: 'Name', datatype: 'Text', cardinality: 'multiple' }
+      const pr = { id: 'Name', datatype: 'Text', cardinality: 'single' }
+
+      const result = detectBreakingChange('properties', base, pr)
+
+      assert.deepStrictEqual(result.findings, [{
+        rule: 'property-cardinality-restricted',
+        severity: 'major',
+        field: 'cardinality',
+        oldValue: 'multiple',
+        newValue: 'single',
+        message: 'cardinality restricted: multiple -> single'
+      }])
+    })
+
+    test('unclassified fields are reported alongside rule findings', () => {
+      const base = { id: 'Name', datatype: 'Text', label: 'Name' }
+      const pr = { id: 'Name', datatype: 'Number', label: 'Full Name', display_precision: 2 }
+
+      const result = detectBreakingChange('properties', base, pr)
+
+      const byField = Object.fromEntries(result.findings.map(finding => [finding.field, finding]))
+      assert.strictEqual(byField.datatype.severity, 'major')
+      assert.strictEqual(byField.label.rule, 'field-changed')
+      assert.strictEqual(byField.label.severity, 'patch')
+      assert.strictEqual(byField.display_precision.rule, 'field-added')
+      assert.strictEqual(byField.display_precision.severity, 'minor')
+    })
+
+    test('change type rolls up to the highest severity', () => {
+      const base = { id: 'Name', datatype: 'Text', label: 'Name' }
+      const pr = { id: 'Name', datatype: 'Text', label: 'Full Name', cardinality: 'multiple' }
+
+      const result = detectBreakingChange('properties', base, pr)
+
+      assert.strictEqual(result.changeType, 'minor')
+      assert.strictEqual(result.isBreaking, false)
+      assert.strictEqual(result.reason, null)
+    })
+
+    test('unchanged entity has no findings', () => {
+      const entity = { id: 'Name', datatype: 'Text' }
+
+      const result = detectBreakingChange('properties', entity, { ...entity })
+
+      assert.deepStrictEqual(result.findings, [])
+      assert.strictEqual(result.changeType, 'patch')
+    })
+  })
+
+  describe('Subobject breaking changes', () => {
+    test('adding required_properties returns major', () => {
+      const base = { id: 'Address', required_properties: ['Has_street'] }
+      const pr = { id: 'Address', required_properties: ['Has_street', 'Has_city'] }
+
+      const result = detectBreakingChange('subobjects', base, pr)
+
+      assert.strictEqual(result.isBreaking, true)
+      assert.strictEqual(result.changeType, 'major')
+      assert.ok(result.reason.includes('required_properties added: Has_city'))
+    })
+
+    test('removing optional_properties returns major', () => {
+      const base = { id: 'Address', required_properties: [], optional_properties: ['Has_zip'] }
+      const pr = { id: 'Address', required_properties: [], optional_properties: [] }
+
+      const result = detectBreakingChange('subobjects', base, pr)
+
+      assert.strictEqual(result.isBreaking, true)
+      assert.ok(result.reason.includes('optional_properties removed: Has_zip'))
+    })
+
+    test('adding optional_properties returns minor', () => {
+      const base = { id: 'Address', required_properties: [] }
+      const pr = { id: 'Address', required_properties: [], optional_properties: ['Has_zip'] }
+
+      const result = detectBreakingChange('subobjects', base, pr)
+
+      assert.strictEqual(result.isBreaking, false)
+      assert.strictEqual(result.changeType, 'minor')
+    })
+  })
+
+  describe('Template breaking changes', () => {
+    test('renaming a parameter returns major', () => {
+      const base = { id: 'Property/Page', wikitext: '{{#if:{{{value|}}}|[[{{{value}}}]]}}' }
+      const pr = { id: 'Property/Page', wikitext: '{{#if:{{{page|}}}|[[{{{page}}}]]}}' }
+
+      const result = detectBreakingChange('templates', base, pr)
+
+      assert.strictEqual(result.isBreaking, true)
+      assert.strictEqual(result.changeType, 'major')
+      assert.ok(result.reason.includes('template parameter removed or renamed: value'))
+    })
+
+    test('adding a parameter is not breaking', () => {
+      const base = { id: 'Property/Page', wikitext: '{{{value|}}}' }
+      const pr = { id: 'Property/Page', wikitext: '{{{value|}}} {{{label|}}}' }
+
+      const result = detectBreakingChange('templates', base, pr)
+
+      assert.strictEqual(result.isBreaking, false)
+    })
+
+    test('wikitext change with same parameters is not breaking', () => {
+      const base = { id: 'Property/Page', wikitext: '[[{{{value}}}]]' }
+      const pr = { id: 'Property/Page', wikitext: '<b>[[{{{value}}}]]</b>' }
+
+      const result = detectBreakingChange('templates', base, pr)
+
+      assert.strictEqual(result.isBreaking, false)
+      assert.strictEqual(result.changeType, 'patch')
+    })
+  })
+
+  describe('Dashboard breaking changes', () => {
+    test('removing a page returns major', () => {
+      const base = { id: 'Overview', pages: [{ name: '', wikitext: 'a' }, { name: 'Equipment', wikitext: 'b' }] }
+      const pr = { id: 'Overview', pages: [{ name: '', wikitext: 'a' }] }
+
+      const result = detectBreakingChange('dashboards', base, pr)
+
+      assert.strictEqual(result.isBreaking, true)
+      assert.strictEqual(result.changeType, 'major')
+      assert.ok(result.reason.includes('dashboard page removed: Equipment'))
+    })
+
+    test('adding a page is not breaking', () => {
+      const base = { id: 'Overview', pages: [{ name: '', wikitext: 'a' }] }
+      const pr = { id: 'Overview', pages: [{ name: '', wikitext: 'a' }, { name: 'Equipment', wikitext: 'b' }] }
+
+      const result = detectBreakingChange('dashboards', base, pr)
+
+      assert.strictEqual(result.isBreaking, false)
+    })
+
+    test('editing page wikitext is not breaking', () => {
+      const base = { id: 'Overview', pages: [{ name: '', wikitext: 'a' }] }
+      const pr = { id: 'Overview', pages: [{ name: '', wikitext: 'b' }] }
+
+      const result = detectBreakingChange('dashboards', base, pr)
+
+      assert.strictEqual(result.isBreaking, false)
+    })
+  })
+
+  describe('Resource breaking changes', () => {
+    test('removing a property value returns major', () => {
+      const base = { id: 'Person/John_doe', category: 'Person', Has_name: 'John', Has_email: 'j@example.com' }
+      const pr = { id: 'Person/John_doe', category: 'Person', Has_name: 'John' }
+
+      const result = detectBreakingChange('resources', base, pr)
+
+      assert.strictEqual(result.isBreaking, true)
+      assert.ok(result.reason.includes('resource property value removed: Has_email'))
+    })
+
+    test('removing label is not breaking', () => {
+      const base = { id: 'Person/John_doe', category: 'Person', label: 'John', Has_name: 'John' }
+      const pr = { id: 'Person/John_doe', category: 'Person', Has_name: 'John' }
+
+      const result = detectBreakingChange('resources', base, pr)
+
+      assert.strictEqual(result.isBreaking, false)
+    })
+
+    test('changing a property value is not breaking', () => {
+      const base = { id: 'Person/John_doe', category: 'Person', Has_name: 'John' }
+      const pr = { id: 'Person/John_doe', category: 'Person', Has_name: 'Johnny' }
+
+      const result = detectBreakingChange('resources', base, pr)
+
+      assert.strictEqual(result.isBreaking, false)
+      assert.strictEqual(result.changeType, 'patch')
+    })
+  })
+
   describe('Module/bundle changes', () => {
     test('structural field deleted returns major', () => {
       const base = { id: 'Core', label: 'Core Module', categories: ['Agent'] }
@@ -240,3 +581,142 @@ describe('detectBreakingChange', () => {
     })
   })
 })
+
+describe('extractTemplateParameters', () => {
+  test('collects named and positional parameters', () => {
+    const result = extractTemplateParameters('{{{value|}}} {{{1}}} {{{ label | default }}}')
+
+    assert.deepStrictEqual([...result], ['value', '1', 'label'])
+  })
+
+  test('collects parameters nested in defaults', () => {
+    const result = extractTemplateParameters('{{{first|{{{second|}}}}}}')
+
+    assert.deepStrictEqual([...result].sort(), ['first', 'second'])
+  })
+
+  test('returns empty set for missing wikitext', () => {
+    assert.strictEqual(extractTemplateParameters(undefined).size, 0)
+  })
+})
+
+describe('computeSimilarity', () => {
+  test('ignores ids and rename hints', () => {
+    const a = { id: 'Has_name', label: 'Name', datatype: 'Text' }
+    const b = { id: 'Has_full_name', label: 'Name', datatype: 'Text', previous_ids: ['Has_name'] }
+
+    assert.strictEqual(computeSimilarity(a, b), 1)
+  })
+
+  test('ignores array order', () => {
+    const a = { id: 'Agent', optional_properties: ['Has_name', 'Has_email'] }
+    const b = { id: 'Person', optional_properties: ['Has_email', 'Has_name'] }
+
+    assert.strictEqual(computeSimilarity(a, b), 1)
+  })
+
+  test('returns 0 for unrelated entities', () => {
+    const a = { id: 'Has_name', label: 'Name', datatype: 'Text' }
+    const b = { id: 'Has_age', label: 'Age', datatype: 'Number' }
+
+    assert.strictEqual(computeSimilarity(a, b), 0)
+  })
+})
+
+describe('rename detection', () => {
+  const hasName = { id: 'Has_name', label: 'Name', description: 'Full name', datatype: 'Text', cardinality: 'single' }
+
+  test('pairs a deleted and an added entity with the same content', () => {
+    const result = compareSnapshots(
+      createArtifactSnapshot(createMockArtifact({ properties: [hasName] })),
+      createArtifactSnapshot(createMockArtifact({ properties: [{ ...hasName, id: 'Has_full_name' }] }))
+    )
+
+    const renamed = result.changes.find(change => change.entityType === 'properties')
+    assert.strictEqual(result.changes.filter(change => change.entityType === 'properties').length, 1)
+    assert.strictEqual(renamed.file, 'properties/Has_full_name.json')
+    assert.strictEqual(renamed.previousFile, 'properties/Has_name.json')
+    assert.strictEqual(renamed.previousId, 'Has_name')
+    assert.strictEqual(renamed.changeType, 'major')
+    assert.deepStrictEqual(renamed.findings.map(f => f.rule), ['entity-renamed'])
+    assert.ok(renamed.reason.includes('renamed: Has_name -> Has_full_name'))
+  })
+
+  test('pairs entities named in previous_ids regardless of content', () => {
+    const result = compareSnapshots(
+      createArtifactSnapshot(createMockArtifact({ properties: [hasName] })),
+      createArtifactSnapshot(createMockArtifact({
+        properties: [{
+          id: 'Has_display_name',
+          label: 'Display name',
+          description: 'Name shown on pages',
+          datatype: 'Text',
+          cardinality: 'multiple',
+          previous_ids: ['Has_name']
+        }]
+      }))
+    )
+
+    const renamed = result.changes.find(change => change.entityType === 'properties')
+    assert.strictEqual(renamed.previousId, 'Has_name')
+    assert.ok(renamed.findings[0].message.includes('(explicit)'))
+    // Edits made with the rename are classified as usual
+    assert.ok(renamed.findings.some(f => f.rule === 'property-cardinality-expanded'))
+    assert.ok(renamed.findings.some(f => f.rule === 'field-changed' && f.field === 'label'))
+    assert.ok(!renamed.findings.some(f => f.field === 'previous_ids'))
+  })
+
+  test('pairs a deleted entity with the entity named in its replaced_by', () => {
+    const result = compareSnapshots(
+      createArtifactSnapshot(createMockArtifact({ properties: [{ ...hasName, replaced_by: 'Has_label' }] })),
+      createArtifactSnapshot(createMockArtifact({ properties: [{ id: 'Has_label', label: 'Label', description: 'Page label', datatype: 'Text', cardinality: 'single' }] }))
+    )
+
+    const renamed = result.changes.find(change => change.entityType === 'properties')
+    assert.strictEqual(renamed.previousId, 'Has_name')
+    assert.strictEqual(renamed.entityId, 'Has_label')
+  })
+
+  test('keeps dissimilar entities as a deletion and an addition', () => {
+    const result = compareSnapshots(
+      createArtifactSnapshot(createMockArtifact({ properties: [hasName] })),
+      createArtifactSnapshot(createMockArtifact({ properties: [{ id: 'Has_age', label: 'Age', description: 'Age in years', datatype: 'Number', cardinality: 'single' }] }))
+    )
+
+    const rules = result.changes
+      .filter(change => change.entityType === 'properties')
+      .map(change => change.findings[0].rule)
+      .sort()
+    assert.deepStrictEqual(rules, ['entity-added', 'entity-deleted'])
+  })
+
+  test('similarityThreshold controls implicit pairing', () => {
+    const base = createArtifactSnapshot(createMockArtifact({ properties: [hasName] }))
+    const pr = createArtifactSnapshot(createMockArtifact({ properties: [{ ...hasName, id: 'Has_full_name', label: 'Full name' }] }))
+
+    const strict = compareSnapshots(base, pr, { similarityThreshold: 1 })
+    const lenient = compareSnapshots(base, pr, { similarityThreshold: 0.5 })
+
+    assert.ok(!strict.changes.some(change => change.previousId))
+    assert.ok(lenient.changes.some(change => change.previousId === 'Has_name'))
+  })
+})
+
+describe('buildMigrationMap', () => {
+  test('maps old ids to new ids per entity type', () => {
+    const changes = [
+      { entityType: 'properties', entityId: 'Has_full_name', previousId: 'Has_name' },
+      { entityType: 'categories', entityId: 'Member', previousId: 'Lab_member' },
+      { entityType: 'properties', entityId: 'Has_email' }
+    ]
+
+    assert.deepStrictEqual(buildMigrationMap(changes), {
+      properties: { Has_name: 'Has_full_name' },
+      categories: { Lab_member: 'Member' }
+    })
+  })
+
+  test('returns an empty map without renames', () => {
+    assert.deepStrictEqual(buildMigrationMap([]), {})
+  })
+})
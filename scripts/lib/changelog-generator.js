@@ -0,0 +1,197 @@
+/**
+ * Changelog generation from version cascade results
+ *
+ * Turns the changes of a release into Keep a Changelog style entries for
+ * the root CHANGELOG.md and for each bumped module
+ * (modules/<id>/CHANGELOG.md). Newest entries come first.
+ */
+
+import fs from 'node:fs'
+import path from 'node:path'
+import { buildReverseModuleIndex } from './version-cascade.js'
+import { parseEntityPath } from './path-utils.js'
+
+/**
+ * Changelog sections in display order
+ */
+export const CHANGELOG_SECTIONS = ['Breaking', 'Added', 'Changed', 'Fixed']
+
+/**
+ * Heading written at the top of new changelog files
+ */
+const CHANGELOG_HEADER = '# Changelog\n\nAll notable changes to this ontology are documented in this file.\n'
+
+/**
+ * Pick the changelog section for a change
+ *
+ * - Breaking: major changes
+ * - Added: new entities
+ * - Changed: other minor changes
+ * - Fixed: patch changes (labels, descriptions, ...)
+ *
+ * @param {Object} change - Change from detectChanges
+ * @returns {string} One of CHANGELOG_SECTIONS
+ */
+export function getChangelogSection(change) {
+  if (change.changeType === 'major') {
+    return 'Breaking'
+  }
+  if (change.changeType === 'minor') {
+    const isNew = (change.findings || []).some(finding => finding.rule === 'entity-added')
+    return isNew ? 'Added' : 'Changed'
+  }
+  return 'Fixed'
+}
+
+/**
+ * Format one change as a changelog line
+ *
+ * Entities that still exist are linked to their file; deleted entities are not.
+ *
+ * @param {Object} change - Change from detectChanges
+ * @param {string} linkPrefix - Path from the changelog to the repository root ('' or '../../')
+ * @returns {string} Markdown list item
+ */
+function formatChangeLine(change, linkPrefix) {
+  const { entityType, entityId } = change.entityId ? change : parseEntityPath(change.file)
+  const isDeleted = (change.findings || []).some(finding =>
+    finding.rule === 'entity-deleted' || finding.rule === 'deprecated-entity-removed')
+
+  const name = isDeleted ? `\`${entityId}\`` : `[${entityId}](${linkPrefix}${change.file})`
+  const renamed = change.previousId ? ` (renamed from \`${change.previousId}\`)` : ''
+  const details = change.reason || (change.findings || []).map(finding => finding.message).join('; ')
+
+  return `- ${entityType} ${name}${renamed}${details ? `: ${details}` : ''}\n`
+}
+
+/**
+ * Generate one changelog entry
+ *
+ * @param {Object} options - Entry options
+ * @param {string} options.version - Released version
+ * @param {string} options.date - Release date (YYYY-MM-DD)
+ * @param {Array} options.changes - Changes from detectChanges
+ * @param {Array<{id: string, from: string, to: string}>} options.versions - Module and bundle version bumps to list
+ * @param {string} options.linkPrefix - Path from the changelog to the repository root
+ * @returns {string} Markdown entry starting with `## [version] - date`
+ *
+ * @example
+ * generateChangelogEntry({ version: '2.0.0', date: '2026-01-23', changes, linkPrefix: '' })
+ * // '## [2.0.0] - 2026-01-23\n\n### Breaking\n\n- properties [Has_name](properties/Has_name.json): datatype changed: Text -> Number\n'
+ */
+export function generateChangelogEntry({ version, date, changes = [], versions = [], linkPrefix = '' }) {
+  let md = `## [${version}] - ${date}\n`
+
+  const sections = new Map(CHANGELOG_SECTIONS.map(section => [section, []]))
+  const sorted = [...changes].sort((a, b) => a.file.localeCompare(b.file))
+  for (const change of sorted) {
+    sections.get(getChangelogSection(change)).push(formatChangeLine(change, linkPrefix))
+  }
+
+  for (const [section, lines] of sections) {
+    if (lines.length > 0) {
+      md += `\n### ${section}\n\n${lines.join('')}`
+    }
+  }
+
+  if (versions.length > 0) {
+    md += '\n### Versions\n\n'
+    for (const { id, from, to } of versions) {
+      md += `- ${id}: ${from} -> ${to}\n`
+    }
+  }
+
+  return md
+}
+
+/**
+ * Insert a changelog entry below the header of existing changelog content
+ *
+ * @param {string|null} existing - Current changelog content (null if the file does not exist yet)
+ * @param {string} entry - Entry from generateChangelogEntry
+ * @param {string} version - Version of the entry
+ * @returns {string|null} New content, or null if the version is already recorded
+ */
+export function insertChangelogEntry(existing, entry, version) {
+  const current = existing ?? CHANGELOG_HEADER
+
+  if (current.includes(`## [${version}]`)) {
+    return null
+  }
+
+  // Entries go before the first existing entry (after the header)
+  const firstEntry = current.indexOf('\n## [')
+  return firstEntry === -1
+    ? `${current.trimEnd()}\n\n${entry}`
+    : `${current.slice(0, firstEntry).trimEnd()}\n\n${entry}\n${current.slice(firstEntry + 1)}`
+}
+
+/**
+ * Compute root and per-module changelog entries for a release
+ *
+ * The root changelog lists every change plus module and bundle versions.
+ * Each bumped module's changelog lists the changes to the module and its
+ * own entities, including entities it no longer lists (previousModuleId of
+ * deletions from compareSnapshots). Nothing is written; callers write or preview the contents.
+ *
+ * @param {Object} cascade - Result from calculateVersionCascade
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @param {Object} options - Planning options
+ * @param {string} options.ontologyVersion - New ontology version (root entry version)
+ * @param {string} options.date - Release date (defaults to today, YYYY-MM-DD)
+ * @param {string} options.rootDir - Repository root (defaults to cwd)
+ * @returns {Map<string, string>} New changelog contents keyed by path relative to rootDir
+ *
+ * @example
+ * planChangelogs(cascade, entityIndex, { ontologyVersion: '2.0.0' })
+ * // Map { 'CHANGELOG.md' => '# Changelog\n...', 'modules/Core/CHANGELOG.md' => '# Changelog\n...' }
+ */
+export function planChangelogs(cascade, entityIndex, { ontologyVersion, date = new Date().toISOString().slice(0, 10), rootDir = process.cwd() } = {}) {
+  const planned = new Map()
+  const changes = cascade.changes || []
+  if (changes.length === 0) {
+    return planned
+  }
+
+  const toVersionList = versions => [...versions].map(([id, info]) => ({ id, from: info.current, to: info.new }))
+  const readExisting = relativePath => {
+    const filePath = path.join(rootDir, relativePath)
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null
+  }
+  const plan = (relativePath, entry, version) => {
+    const content = insertChangelogEntry(readExisting(relativePath), entry, version)
+    if (content !== null) {
+      planned.set(relativePath, content)
+    }
+  }
+
+  if (ontologyVersion) {
+    const entry = generateChangelogEntry({
+      version: ontologyVersion,
+      date,
+      changes,
+      versions: [...toVersionList(cascade.moduleVersions || []), ...toVersionList(cascade.bundleVersions || [])]
+    })
+    plan('CHANGELOG.md', entry, ontologyVersion)
+  }
+
+  const reverseIndex = buildReverseModuleIndex(entityIndex)
+  for (const [moduleId, versionInfo] of cascade.moduleVersions || []) {
+    const moduleChanges = changes.filter(change => {
+      const { entityType, entityId } = parseEntityPath(change.file)
+      if (entityType === 'modules') {
+        return entityId === moduleId
+      }
+      // Deleted entities are only listed by their module in the base state
+      return (change.previousModuleId || reverseIndex.get(`${entityType}:${entityId}`)) === moduleId
+    })
+
+    // Modules bumped only through the dependency cascade have no changes of their own
+    const entry = moduleChanges.length > 0
+      ? generateChangelogEntry({ version: versionInfo.new, date, changes: moduleChanges, linkPrefix: '../../' })
+      : `## [${versionInfo.new}] - ${date}\n\n### Changed\n\n- Version bumped for changes in module dependencies\n`
+    plan(`modules/${moduleId}/CHANGELOG.md`, entry, versionInfo.new)
+  }
+
+  return planned
+}
@@ -0,0 +1,215 @@
+import { describe, test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import fs from 'node:fs'
+import path from 'node:path'
+import os from 'node:os'
+import {
+  getChangelogSection,
+  generateChangelogEntry,
+  insertChangelogEntry,
+  planChangelogs
+} from './changelog-generator.js'
+import { createDependencyChainIndex } from '../__fixtures__/mock-entity-index.js'
+
+/**
+ * Create a change record like detectChanges returns
+ */
+function createChange(file, changeType, rule, message) {
+  const [entityType, ...rest] = file.replace(/\.json$/, '').split('/')
+  return {
+    file,
+    entityType,
+    entityId: rest.join('/'),
+    changeType,
+    reason: changeType === 'major' ? message : null,
+    findings: [{ rule, severity: changeType, field: null, oldValue: null, newValue: null, message }]
+  }
+}
+
+describe('getChangelogSection', () => {
+  test('major changes are breaking', () => {
+    assert.strictEqual(getChangelogSection(createChange('properties/Name.json', 'major', 'property-datatype-changed', 'datatype changed')), 'Breaking')
+  })
+
+  test('new entities are added', () => {
+    assert.strictEqual(getChangelogSection(createChange('properties/Name.json', 'minor', 'entity-added', 'properties added: Name')), 'Added')
+  })
+
+  test('other minor changes are changed', () => {
+    assert.strictEqual(getChangelogSection(createChange('properties/Name.json', 'minor', 'property-cardinality-expanded', 'cardinality expanded')), 'Changed')
+  })
+
+  test('patch changes are fixed', () => {
+    assert.strictEqual(getChangelogSection(createChange('properties/Name.json', 'patch', 'field-changed', 'label changed')), 'Fixed')
+  })
+})
+
+describe('generateChangelogEntry', () => {
+  test('groups changes into sections in order with entity links', () => {
+    const entry = generateChangelogEntry({
+      version: '2.0.0',
+      date: '2026-01-23',
+      changes: [
+        createChange('properties/Name.json', 'patch', 'field-changed', 'label changed'),
+        createChange('categories/Agent.json', 'minor', 'entity-added', 'categories added: Agent'),
+        createChange('properties/SerialNumber.json', 'major', 'property-datatype-changed', 'datatype changed: Text -> Number')
+      ]
+    })
+
+    assert.strictEqual(entry, [
+      '## [2.0.0] - 2026-01-23',
+      '',
+      '### Breaking',
+      '',
+      '- properties [SerialNumber](properties/SerialNumber.json): datatype changed: Text -> Number',
+      '',
+      '### Added',
+      '',
+      '- categories [Agent](categories/Agent.json): categories added: Agent',
+      '',
+      '### Fixed',
+      '',
+      '- properties [Name](properties/Name.json): label changed',
+      ''
+    ].join('\n'))
+  })
+
+  test('does not link deleted entities', () => {
+    const entry = generateChangelogEntry({
+      version: '2.0.0',
+      date: '2026-01-23',
+      changes: [createChange('properties/Name.json', 'major', 'entity-deleted', 'properties deleted: Name')]
+    })
+
+    assert.ok(entry.includes('- properties `Name`: properties deleted: Name'))
+  })
+
+  test('notes renames and applies the link prefix', () => {
+    const change = createChange('properties/Full_name.json', 'major', 'entity-renamed', 'properties renamed: Name -> Full_name')
+    change.previousId = 'Name'
+
+    const entry = generateChangelogEntry({ version: '2.0.0', date: '2026-01-23', changes: [change], linkPrefix: '../../' })
+
+    assert.ok(entry.includes('[Full_name](../../properties/Full_name.json) (renamed from `Name`)'))
+  })
+
+  test('lists module and bundle versions', () => {
+    const entry = generateChangelogEntry({
+      version: '2.0.0',
+      date: '2026-01-23',
+      versions: [{ id: 'Core', from: '1.0.0', to: '2.0.0' }]
+    })
+
+    assert.ok(entry.includes('### Versions\n\n- Core: 1.0.0 -> 2.0.0\n'))
+  })
+})
+
+describe('insertChangelogEntry', () => {
+  test('starts a new changelog from the header', () => {
+    const content = insertChangelogEntry(null, '## [1.0.0] - 2026-01-01\n', '1.0.0')
+
+    assert.ok(content.startsWith('# Changelog\n'))
+    assert.ok(content.endsWith('## [1.0.0] - 2026-01-01\n'))
+  })
+
+  test('puts newer entries above older ones', () => {
+    const existing = insertChangelogEntry(null, '## [1.0.0] - 2026-01-01\n', '1.0.0')
+
+    const content = insertChangelogEntry(existing, '## [1.1.0] - 2026-02-01\n', '1.1.0')
+
+    assert.ok(content.startsWith('# Changelog\n'))
+    assert.ok(content.includes('## [1.1.0] - 2026-02-01\n\n## [1.0.0] - 2026-01-01\n'))
+  })
+
+  test('returns null for a version that is already recorded', () => {
+    const existing = insertChangelogEntry(null, '## [1.0.0] - 2026-01-01\n', '1.0.0')
+
+    assert.strictEqual(insertChangelogEntry(existing, '## [1.0.0] - 2026-02-01\n', '1.0.0'), null)
+  })
+})
+
+describe('planChangelogs', () => {
+  let tempDir
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'changelog-plan-test-'))
+  })
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true })
+  })
+
+  function createCascade() {
+    return {
+      changes: [
+        createChange('properties/Name.json', 'major', 'property-datatype-changed', 'datatype changed: Text -> Number')
+      ],
+      moduleVersions: new Map([
+        ['Core', { current: '1.0.0', new: '2.0.0', bump: 'major' }],
+        ['Lab', { current: '1.0.0', new: '2.0.0', bump: 'major' }]
+      ]),
+      bundleVersions: new Map([['Default', { current: '1.0.0', new: '2.0.0', bump: 'major' }]])
+    }
+  }
+
+  test('plans root and per-module changelogs without writing', () => {
+    const planned = planChangelogs(createCascade(), createDependencyChainIndex(), {
+      ontologyVersion: '1.0.0',
+      date: '2026-01-23',
+      rootDir: tempDir
+    })
+
+    assert.deepStrictEqual([...planned.keys()], ['CHANGELOG.md', 'modules/Core/CHANGELOG.md', 'modules/Lab/CHANGELOG.md'])
+    assert.strictEqual(fs.existsSync(path.join(tempDir, 'CHANGELOG.md')), false)
+
+    const root = planned.get('CHANGELOG.md')
+    assert.ok(root.includes('## [1.0.0] - 2026-01-23'))
+    assert.ok(root.includes('- Core: 1.0.0 -> 2.0.0'))
+    assert.ok(root.includes('- Default: 1.0.0 -> 2.0.0'))
+
+    const core = planned.get('modules/Core/CHANGELOG.md')
+    assert.ok(core.includes('## [2.0.0] - 2026-01-23'))
+    assert.ok(core.includes('[Name](../../properties/Name.json)'))
+
+    // Lab only changed through its dependency on Core
+    assert.ok(planned.get('modules/Lab/CHANGELOG.md').includes('changes in module dependencies'))
+  })
+
+  test('lists deleted entities in the changelog of the module that had them', () => {
+    const cascade = createCascade()
+    cascade.changes.push({
+      ...createChange('properties/Has_fax.json', 'major', 'entity-deleted', 'properties deleted: Has_fax'),
+      previousModuleId: 'Core'
+    })
+
+    const planned = planChangelogs(cascade, createDependencyChainIndex(), {
+      date: '2026-01-23',
+      rootDir: tempDir
+    })
+
+    assert.ok(planned.get('modules/Core/CHANGELOG.md').includes('- properties `Has_fax`: properties deleted: Has_fax'))
+    assert.ok(!planned.get('modules/Lab/CHANGELOG.md').includes('Has_fax'))
+  })
+
+  test('inserts entries into existing changelogs', () => {
+    fs.writeFileSync(path.join(tempDir, 'CHANGELOG.md'), insertChangelogEntry(null, '## [0.9.0] - 2026-01-01\n', '0.9.0'))
+
+    const planned = planChangelogs(createCascade(), createDependencyChainIndex(), {
+      ontologyVersion: '1.0.0',
+      date: '2026-01-23',
+      rootDir: tempDir
+    })
+
+    const root = planned.get('CHANGELOG.md')
+    assert.ok(root.indexOf('## [1.0.0]') < root.indexOf('## [0.9.0]'))
+  })
+
+  test('plans nothing without changes', () => {
+    const planned = planChangelogs({ changes: [], moduleVersions: new Map() }, createDependencyChainIndex(), {
+      ontologyVersion: '1.0.0',
+      rootDir: tempDir
+    })
+
+    assert.strictEqual(planned.size, 0)
+  })
+})
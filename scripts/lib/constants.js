@@ -32,3 +32,14 @@ export const GLOB_IGNORE_PATTERNS = [
  * Bump priority levels for comparison
  */
 export const BUMP_PRIORITY = { major: 3, minor: 2, patch: 1 }
+
+/**
+ * Pre-release bump types mapped to the release bump they lead to
+ * (prerelease continues the current pre-release line, so it has none)
+ */
+export const PRERELEASE_BUMPS = { premajor: 'major', preminor: 'minor', prerelease: null }
+
+/**
+ * Resource fields that describe the resource itself rather than property values
+ */
+export const RESOURCE_METADATA_FIELDS = new Set(['id', 'category', 'label', 'description', 'previous_ids', 'replaced_by'])
@@ -2,9 +2,52 @@
  * Constraint validator for entity definitions
  *
  * Checks for overlaps between required and optional arrays
- * (e.g., a property appearing in both required_properties and optional_properties)
+ * (e.g., a property appearing in both required_properties and optional_properties),
+ * for child categories loosening constraints inherited from their ancestors,
+ * and for sub-properties whose datatype is incompatible with their parent property.
  */
 
+import { INHERITED_FIELD_GROUPS, resolveAllCategories } from './inheritance-resolver.js'
+
+/**
+ * Singular labels for inherited field groups, keyed by required field
+ */
+const GROUP_LABELS = {
+  required_properties: 'property',
+  required_subobjects: 'subobject'
+}
+
+/**
+ * Parent datatypes that accept a sub-property's values, beyond its own datatype
+ *
+ * Values of a sub-property are also values of its parent property, so a
+ * sub-property may only specialize string-valued datatypes into Text.
+ */
+const COMPATIBLE_PARENT_DATATYPES = {
+  'Code': ['Text'],
+  'Email': ['Text'],
+  'External identifier': ['Text'],
+  'Keyword': ['Text'],
+  'Telephone number': ['Text'],
+  'URL': ['Text']
+}
+
+/**
+ * Check whether a sub-property datatype is compatible with its parent's
+ *
+ * @param {string} childDatatype - Sub-property datatype
+ * @param {string} parentDatatype - Parent property datatype
+ * @returns {boolean} True if child values are valid parent values
+ *
+ * @example
+ * isDatatypeCompatible('Email', 'Text') // true
+ * isDatatypeCompatible('Text', 'Email') // false
+ */
+export function isDatatypeCompatible(childDatatype, parentDatatype) {
+  return childDatatype === parentDatatype ||
+    (COMPATIBLE_PARENT_DATATYPES[childDatatype] || []).includes(parentDatatype)
+}
+
 /**
  * Find overlap between two arrays
  *
@@ -81,3 +124,139 @@ export function validateConstraints(entityIndex) {
 
   return { errors }
 }
+
+/**
+ * Format an inheritance path for error messages
+ *
+ * @param {string[]} chain - Category ids from child to contributing ancestor
+ * @returns {string} Chain joined with arrows
+ */
+function formatChain(chain) {
+  return chain.join(' -> ')
+}
+
+/**
+ * Collect the status each direct parent gives an inherited item
+ *
+ * @param {string} categoryId - Child category id
+ * @param {string[]} parents - Direct parent ids
+ * @param {Map<string, object>} effectiveCategories - Resolved schemas
+ * @param {string} requiredField - Required field of the group
+ * @param {string} optionalField - Optional field of the group
+ * @returns {Map<string, Array<{required: boolean, chain: string[]}>>} Statuses per item id
+ */
+function collectParentStatuses(categoryId, parents, effectiveCategories, requiredField, optionalField) {
+  const statuses = new Map()
+
+  for (const parentId of parents) {
+    const parent = effectiveCategories.get(parentId)
+    if (!parent) {
+      continue
+    }
+
+    for (const [field, required] of [[requiredField, true], [optionalField, false]]) {
+      for (const item of parent[field]) {
+        if (!statuses.has(item.id)) {
+          statuses.set(item.id, [])
+        }
+        statuses.get(item.id).push({ required, chain: [categoryId, ...item.path] })
+      }
+    }
+  }
+
+  return statuses
+}
+
+/**
+ * Validate that child categories only narrow inherited constraints
+ *
+ * Checks:
+ * - A child listing an inherited required property/subobject as optional
+ * - Parents disagreeing on the status of an item the child inherits from both
+ *   (unless the child resolves it by declaring the item itself)
+ *
+ * Errors include a `chain` of category ids from the child to the ancestor
+ * where the conflicting constraint originates.
+ *
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @param {Map<string, object>} effectiveCategories - Resolved schemas from resolveAllCategories
+ * @returns {{errors: Array}} Validation results
+ */
+export function validateInheritedConstraints(entityIndex, effectiveCategories = resolveAllCategories(entityIndex)) {
+  const errors = []
+
+  for (const [categoryId, category] of entityIndex.categories) {
+    const parents = category.parents || []
+    if (parents.length === 0) {
+      continue
+    }
+
+    for (const [requiredField, optionalField] of INHERITED_FIELD_GROUPS) {
+      const label = GROUP_LABELS[requiredField]
+      const statuses = collectParentStatuses(categoryId, parents, effectiveCategories, requiredField, optionalField)
+      const ownRequired = new Set(category[requiredField] || [])
+      const ownOptional = new Set(category[optionalField] || [])
+
+      for (const [itemId, itemStatuses] of statuses) {
+        const requiredVia = itemStatuses.find(status => status.required)
+        if (!requiredVia) {
+          continue
+        }
+
+        // Child loosens an inherited requirement
+        if (ownOptional.has(itemId)) {
+          errors.push({
+            file: category._filePath,
+            type: `${label}-loosened`,
+            chain: requiredVia.chain,
+            message: `${itemId} is listed in ${optionalField} but is required by ancestor ${requiredVia.chain[requiredVia.chain.length - 1]} (${formatChain(requiredVia.chain)})`
+          })
+          continue
+        }
+
+        // Diamond inheritance: parents disagree and the child doesn't decide
+        const optionalVia = itemStatuses.find(status => !status.required)
+        if (optionalVia && !ownRequired.has(itemId)) {
+          errors.push({
+            file: category._filePath,
+            type: `inherited-${label}-conflict`,
+            chain: requiredVia.chain,
+            message: `${itemId} is inherited as required via ${formatChain(requiredVia.chain)} but as optional via ${formatChain(optionalVia.chain)}`
+          })
+        }
+      }
+    }
+  }
+
+  return { errors }
+}
+
+/**
+ * Validate property hierarchies declared with parent_property
+ *
+ * Missing parents and cycles are reported by the reference and cycle
+ * validators; this only checks datatype compatibility with the parent.
+ *
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {{errors: Array}} Validation results
+ */
+export function validatePropertyHierarchy(entityIndex) {
+  const errors = []
+
+  for (const [propertyId, property] of entityIndex.properties) {
+    const parent = property.parent_property && entityIndex.properties.get(property.parent_property)
+    if (!parent || parent.id === propertyId) {
+      continue
+    }
+
+    if (!isDatatypeCompatible(property.datatype, parent.datatype)) {
+      errors.push({
+        file: property._filePath,
+        type: 'parent-datatype-mismatch',
+        message: `Datatype "${property.datatype}" is not compatible with datatype "${parent.datatype}" of parent property ${parent.id}`
+      })
+    }
+  }
+
+  return { errors }
+}
@@ -1,6 +1,11 @@
 import { describe, test } from 'node:test'
 import assert from 'node:assert'
-import { validateConstraints } from './constraint-validator.js'
+import {
+  validateConstraints,
+  validateInheritedConstraints,
+  validatePropertyHierarchy,
+  isDatatypeCompatible
+} from './constraint-validator.js'
 import { createMockEntityIndex } from '../__fixtures__/mock-entity-index.js'
 
 describe('validateConstraints', () => {
@@ -238,3 +243,249 @@ describe('validateConstraints', () => {
     })
   })
 })
+
+describe('validateInheritedConstraints', () => {
+  describe('Loosening inherited requirements', () => {
+    test('child listing inherited required property as optional returns error', () => {
+      const index = createMockEntityIndex({
+        categories: new Map([
+          ['Agent', {
+            id: 'Agent',
+            required_properties: ['Has_name'],
+            _filePath: 'categories/Agent.json'
+          }],
+          ['Person', {
+            id: 'Person',
+            parents: ['Agent'],
+            optional_properties: ['Has_name'],
+            _filePath: 'categories/Person.json'
+          }]
+        ])
+      })
+
+      const result = validateInheritedConstraints(index)
+
+      assert.strictEqual(result.errors.length, 1)
+      assert.strictEqual(result.errors[0].type, 'property-loosened')
+      assert.strictEqual(result.errors[0].file, 'categories/Person.json')
+      assert.deepStrictEqual(result.errors[0].chain, ['Person', 'Agent'])
+      assert.ok(result.errors[0].message.includes('Has_name'))
+      assert.ok(result.errors[0].message.includes('Person -> Agent'))
+    })
+
+    test('loosening reports full chain to distant ancestor', () => {
+      const index = createMockEntityIndex({
+        categories: new Map([
+          ['Agent', { id: 'Agent', required_properties: ['Has_name'] }],
+          ['Person', { id: 'Person', parents: ['Agent'] }],
+          ['Student', {
+            id: 'Student',
+            parents: ['Person'],
+            optional_properties: ['Has_name'],
+            _filePath: 'categories/Student.json'
+          }]
+        ])
+      })
+
+      const result = validateInheritedConstraints(index)
+
+      assert.strictEqual(result.errors.length, 1)
+      assert.deepStrictEqual(result.errors[0].chain, ['Student', 'Person', 'Agent'])
+    })
+
+    test('child redeclaring ancestor subobject with weaker status returns error', () => {
+      const index = createMockEntityIndex({
+        categories: new Map([
+          ['Organization', { id: 'Organization', required_subobjects: ['Address'] }],
+          ['Company', {
+            id: 'Company',
+            parents: ['Organization'],
+            optional_subobjects: ['Address'],
+            _filePath: 'categories/Company.json'
+          }]
+        ])
+      })
+
+      const result = validateInheritedConstraints(index)
+
+      assert.strictEqual(result.errors.length, 1)
+      assert.strictEqual(result.errors[0].type, 'subobject-loosened')
+      assert.ok(result.errors[0].message.includes('Address'))
+    })
+
+    test('narrowing inherited optional property to required passes', () => {
+      const index = createMockEntityIndex({
+        categories: new Map([
+          ['Agent', { id: 'Agent', optional_properties: ['Has_email'] }],
+          ['Person', { id: 'Person', parents: ['Agent'], required_properties: ['Has_email'] }]
+        ])
+      })
+
+      const result = validateInheritedConstraints(index)
+
+      assert.strictEqual(result.errors.length, 0)
+    })
+
+    test('redeclaring inherited required property as required passes', () => {
+      const index = createMockEntityIndex({
+        categories: new Map([
+          ['Agent', { id: 'Agent', required_properties: ['Has_name'] }],
+          ['Person', { id: 'Person', parents: ['Agent'], required_properties: ['Has_name'] }]
+        ])
+      })
+
+      const result = validateInheritedConstraints(index)
+
+      assert.strictEqual(result.errors.length, 0)
+    })
+  })
+
+  describe('Diamond inheritance', () => {
+    test('parents disagreeing on property status returns error', () => {
+      const index = createMockEntityIndex({
+        categories: new Map([
+          ['Student', { id: 'Student', optional_properties: ['Has_email'] }],
+          ['Employee', { id: 'Employee', required_properties: ['Has_email'] }],
+          ['Working_student', {
+            id: 'Working_student',
+            parents: ['Student', 'Employee'],
+            _filePath: 'categories/Working_student.json'
+          }]
+        ])
+      })
+
+      const result = validateInheritedConstraints(index)
+
+      assert.strictEqual(result.errors.length, 1)
+      assert.strictEqual(result.errors[0].type, 'inherited-property-conflict')
+      assert.deepStrictEqual(result.errors[0].chain, ['Working_student', 'Employee'])
+      assert.ok(result.errors[0].message.includes('Working_student -> Employee'))
+      assert.ok(result.errors[0].message.includes('Working_student -> Student'))
+    })
+
+    test('child declaring the property required resolves the conflict', () => {
+      const index = createMockEntityIndex({
+        categories: new Map([
+          ['Student', { id: 'Student', optional_properties: ['Has_email'] }],
+          ['Employee', { id: 'Employee', required_properties: ['Has_email'] }],
+          ['Working_student', {
+            id: 'Working_student',
+            parents: ['Student', 'Employee'],
+            required_properties: ['Has_email']
+          }]
+        ])
+      })
+
+      const result = validateInheritedConstraints(index)
+
+      assert.strictEqual(result.errors.length, 0)
+    })
+
+    test('shared ancestor through both parents is not a conflict', () => {
+      const index = createMockEntityIndex({
+        categories: new Map([
+          ['Agent', { id: 'Agent', required_properties: ['Has_name'] }],
+          ['Student', { id: 'Student', parents: ['Agent'] }],
+          ['Researcher', { id: 'Researcher', parents: ['Agent'] }],
+          ['Research_student', { id: 'Research_student', parents: ['Student', 'Researcher'] }]
+        ])
+      })
+
+      const result = validateInheritedConstraints(index)
+
+      assert.strictEqual(result.errors.length, 0)
+    })
+  })
+
+  describe('Invalid graphs', () => {
+    test('missing parent is ignored', () => {
+      const index = createMockEntityIndex({
+        categories: new Map([
+          ['Person', { id: 'Person', parents: ['Missing'], optional_properties: ['Has_name'] }]
+        ])
+      })
+
+      const result = validateInheritedConstraints(index)
+
+      assert.strictEqual(result.errors.length, 0)
+    })
+
+    test('empty entity index returns no errors', () => {
+      const result = validateInheritedConstraints(createMockEntityIndex())
+
+      assert.strictEqual(result.errors.length, 0)
+    })
+  })
+})
+
+describe('validatePropertyHierarchy', () => {
+  /**
+   * Build an index with a parent and child property
+   */
+  function hierarchyIndex(parentDatatype, childDatatype) {
+    return createMockEntityIndex({
+      properties: new Map([
+        ['Has_contact', { id: 'Has_contact', datatype: parentDatatype, _filePath: 'properties/Has_contact.json' }],
+        ['Has_work_email', {
+          id: 'Has_work_email',
+          datatype: childDatatype,
+          parent_property: 'Has_contact',
+          _filePath: 'properties/Has_work_email.json'
+        }]
+      ])
+    })
+  }
+
+  test('same datatype as parent passes', () => {
+    const result = validatePropertyHierarchy(hierarchyIndex('Email', 'Email'))
+
+    assert.strictEqual(result.errors.length, 0)
+  })
+
+  test('string datatype specializing Text passes', () => {
+    const result = validatePropertyHierarchy(hierarchyIndex('Text', 'Email'))
+
+    assert.strictEqual(result.errors.length, 0)
+  })
+
+  test('incompatible datatype returns error', () => {
+    const result = validatePropertyHierarchy(hierarchyIndex('Number', 'Email'))
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].type, 'parent-datatype-mismatch')
+    assert.strictEqual(result.errors[0].file, 'properties/Has_work_email.json')
+    assert.ok(result.errors[0].message.includes('Has_contact'))
+  })
+
+  test('generalizing a parent datatype returns error', () => {
+    const result = validatePropertyHierarchy(hierarchyIndex('Email', 'Text'))
+
+    assert.strictEqual(result.errors.length, 1)
+  })
+
+  test('missing parent is left to reference validation', () => {
+    const index = createMockEntityIndex({
+      properties: new Map([
+        ['Has_child', { id: 'Has_child', datatype: 'Text', parent_property: 'Has_missing', _filePath: 'properties/Has_child.json' }]
+      ])
+    })
+
+    const result = validatePropertyHierarchy(index)
+
+    assert.strictEqual(result.errors.length, 0)
+  })
+})
+
+describe('isDatatypeCompatible', () => {
+  test('identical datatypes are compatible', () => {
+    assert.strictEqual(isDatatypeCompatible('Quantity', 'Quantity'), true)
+  })
+
+  test('Keyword may specialize Text', () => {
+    assert.strictEqual(isDatatypeCompatible('Keyword', 'Text'), true)
+  })
+
+  test('Text may not specialize Page', () => {
+    assert.strictEqual(isDatatypeCompatible('Text', 'Page'), false)
+  })
+})
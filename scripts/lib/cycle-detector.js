@@ -1,4 +1,5 @@
 import { DepGraph } from 'dependency-graph'
+import { getDependencyIds } from './dependency-ranges.js'
 
 /**
  * Build a dependency graph from entities using a custom dependency extractor
@@ -95,7 +96,7 @@ export function detectCycles(entityIndex) {
   // Check module dependency cycles (GRPH-02)
   const moduleGraph = buildEntityGraph(
     entityIndex.modules,
-    entity => entity.dependencies || []
+    getDependencyIds
   )
   errors.push(...checkForCycles(
     moduleGraph,
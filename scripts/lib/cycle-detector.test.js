@@ -155,6 +155,20 @@ describe('detectCycles', () => {
       assert.strictEqual(moduleErrors.length, 0)
     })
 
+    test('detects cycles through range dependencies', () => {
+      const index = createMockEntityIndex({
+        modules: new Map([
+          ['ModA', { id: 'ModA', dependencies: { ModB: '^1.0.0' }, categories: [], properties: [] }],
+          ['ModB', { id: 'ModB', dependencies: { ModA: '^1.0.0' }, categories: [], properties: [] }]
+        ])
+      })
+
+      const result = detectCycles(index)
+
+      const moduleErrors = result.errors.filter(e => e.type.includes('module'))
+      assert.strictEqual(moduleErrors.length, 1)
+    })
+
     test('complex valid tree passes', () => {
       const index = createMockEntityIndex({
         modules: new Map([
@@ -0,0 +1,120 @@
+/**
+ * Module dependency version ranges
+ *
+ * Module dependencies are either a list of module ids or a map of module
+ * ids to semver ranges (e.g., { "Core": "^1.0.0" }). Ranges are checked
+ * against the dependency's current version, or the version the cascade
+ * is about to give it.
+ */
+
+import semver from 'semver'
+
+/**
+ * Range matching options: pre-releases (e.g., 1.1.0-beta.1 of a preminor
+ * override) satisfy a range like any other version, so ^1.0.0 accepts
+ * 1.1.0-beta.1 but not 2.0.0-beta.1
+ */
+const RANGE_OPTIONS = { includePrerelease: true }
+
+/**
+ * Check whether a version satisfies a dependency range
+ *
+ * @param {string} version - Dependency version
+ * @param {string} range - Declared semver range
+ * @returns {boolean} True if the version is within the range
+ *
+ * @example
+ * satisfiesRange('1.1.0-beta.1', '^1.0.0') // true
+ * satisfiesRange('2.0.0-beta.1', '^1.0.0') // false
+ */
+export function satisfiesRange(version, range) {
+  return semver.satisfies(version, range, RANGE_OPTIONS)
+}
+
+/**
+ * Get the ids of a module's dependencies
+ *
+ * @param {Object} moduleEntity - Module entity
+ * @returns {string[]} Dependency module ids
+ *
+ * @example
+ * getDependencyIds({ dependencies: ['Core'] }) // ['Core']
+ * getDependencyIds({ dependencies: { Core: '^1.0.0' } }) // ['Core']
+ */
+export function getDependencyIds(moduleEntity) {
+  const dependencies = moduleEntity?.dependencies
+  if (!dependencies) return []
+  if (Array.isArray(dependencies)) return dependencies
+  return Object.keys(dependencies)
+}
+
+/**
+ * Get the declared version ranges of a module's dependencies
+ *
+ * @param {Object} moduleEntity - Module entity
+ * @returns {Object<string, string>} Ranges keyed by dependency id (empty for id lists)
+ */
+export function getDependencyRanges(moduleEntity) {
+  const dependencies = moduleEntity?.dependencies
+  if (!dependencies || Array.isArray(dependencies)) return {}
+  return dependencies
+}
+
+/**
+ * Check declared dependency ranges against dependency versions
+ *
+ * Without new versions, current versions must satisfy every range. With
+ * the new versions from calculateVersionCascade, a bump that takes a
+ * dependency out of a dependent's range is reported as breaking it.
+ *
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @param {Object} versions - New versions from calculateVersionCascade
+ * @param {Map<string, {current: string, new: string, bump: string}>} versions.moduleVersions - New module versions
+ * @returns {{errors: Array<{file: string, type: string, message: string}>}}
+ *
+ * @example
+ * validateDependencyRanges(entityIndex, { moduleVersions: new Map([['Core', { current: '1.4.0', new: '2.0.0', bump: 'major' }]]) })
+ * // { errors: [{ file: 'modules/Lab.json', type: 'dependency-range-broken',
+ * //   message: 'Core 2.0.0 (major bump from 1.4.0) is outside the range ^1.0.0 declared by Lab; ...' }] }
+ */
+export function validateDependencyRanges(entityIndex, { moduleVersions = new Map() } = {}) {
+  const errors = []
+
+  for (const [moduleId, moduleEntity] of entityIndex.modules) {
+    const file = moduleEntity._filePath || `modules/${moduleId}.json`
+
+    for (const [depId, range] of Object.entries(getDependencyRanges(moduleEntity))) {
+      if (!semver.validRange(range)) {
+        errors.push({
+          file,
+          type: 'invalid-dependency-range',
+          message: `Dependency ${depId} of ${moduleId} has an invalid version range "${range}"`
+        })
+        continue
+      }
+
+      // Missing dependencies are reported by reference validation
+      const current = entityIndex.modules.get(depId)?.version
+      if (!current) continue
+
+      const next = moduleVersions.get(depId)
+      if (next?.new) {
+        if (!satisfiesRange(next.new, range)) {
+          errors.push({
+            file,
+            type: 'dependency-range-broken',
+            message: `${depId} ${next.new} (${next.bump} bump from ${current}) is outside the range ${range} declared by ${moduleId}; update the range in ${moduleId} if it works with the new version`
+          })
+        }
+      } else if (!satisfiesRange(current, range)) {
+        errors.push({
+          file,
+          type: 'dependency-range-unsatisfied',
+          message: `${depId} ${current} does not satisfy the range ${range} declared by ${moduleId}`
+        })
+      }
+    }
+  }
+
+  return { errors }
+}
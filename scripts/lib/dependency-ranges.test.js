@@ -0,0 +1,128 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert'
+import {
+  getDependencyIds,
+  getDependencyRanges,
+  satisfiesRange,
+  validateDependencyRanges
+} from './dependency-ranges.js'
+import { createDependencyChainIndex } from '../__fixtures__/mock-entity-index.js'
+
+/**
+ * Dependency chain index where Lab declares a range for Core
+ */
+function createRangeIndex(range) {
+  const index = createDependencyChainIndex()
+  index.modules.get('Lab').dependencies = { Core: range }
+  return index
+}
+
+describe('getDependencyIds', () => {
+  test('reads id lists', () => {
+    assert.deepStrictEqual(getDependencyIds({ dependencies: ['Core'] }), ['Core'])
+  })
+
+  test('reads range maps', () => {
+    assert.deepStrictEqual(getDependencyIds({ dependencies: { Core: '^1.0.0', Lab: '~2.1.0' } }), ['Core', 'Lab'])
+  })
+
+  test('returns an empty list without dependencies', () => {
+    assert.deepStrictEqual(getDependencyIds({}), [])
+  })
+})
+
+describe('getDependencyRanges', () => {
+  test('returns declared ranges', () => {
+    assert.deepStrictEqual(getDependencyRanges({ dependencies: { Core: '^1.0.0' } }), { Core: '^1.0.0' })
+  })
+
+  test('id lists declare no ranges', () => {
+    assert.deepStrictEqual(getDependencyRanges({ dependencies: ['Core'] }), {})
+  })
+})
+
+describe('satisfiesRange', () => {
+  test('accepts pre-releases within the range', () => {
+    assert.strictEqual(satisfiesRange('1.1.0-beta.1', '^1.0.0'), true)
+  })
+
+  test('rejects pre-releases of the next major version', () => {
+    assert.strictEqual(satisfiesRange('2.0.0-beta.1', '^1.0.0'), false)
+  })
+})
+
+describe('validateDependencyRanges', () => {
+  test('passes when current versions satisfy the ranges', () => {
+    const { errors } = validateDependencyRanges(createRangeIndex('^1.0.0'))
+
+    assert.deepStrictEqual(errors, [])
+  })
+
+  test('reports an unsatisfied range', () => {
+    const { errors } = validateDependencyRanges(createRangeIndex('^2.0.0'))
+
+    assert.strictEqual(errors.length, 1)
+    assert.strictEqual(errors[0].type, 'dependency-range-unsatisfied')
+    assert.strictEqual(errors[0].file, 'modules/Lab.json')
+    assert.ok(errors[0].message.includes('Core 1.0.0 does not satisfy the range ^2.0.0 declared by Lab'))
+  })
+
+  test('reports an invalid range', () => {
+    const { errors } = validateDependencyRanges(createRangeIndex('one point oh'))
+
+    assert.strictEqual(errors.length, 1)
+    assert.strictEqual(errors[0].type, 'invalid-dependency-range')
+  })
+
+  test('reports a bump that leaves the declared range', () => {
+    const moduleVersions = new Map([['Core', { current: '1.0.0', new: '2.0.0', bump: 'major' }]])
+
+    const { errors } = validateDependencyRanges(createRangeIndex('^1.0.0'), { moduleVersions })
+
+    assert.strictEqual(errors.length, 1)
+    assert.strictEqual(errors[0].type, 'dependency-range-broken')
+    assert.ok(errors[0].message.startsWith('Core 2.0.0 (major bump from 1.0.0) is outside the range ^1.0.0 declared by Lab'))
+  })
+
+  test('accepts a bump within the declared range', () => {
+    const moduleVersions = new Map([['Core', { current: '1.0.0', new: '1.1.0', bump: 'minor' }]])
+
+    const { errors } = validateDependencyRanges(createRangeIndex('^1.0.0'), { moduleVersions })
+
+    assert.deepStrictEqual(errors, [])
+  })
+
+  test('accepts a pre-release bump within the declared range', () => {
+    const moduleVersions = new Map([['Core', { current: '1.0.0', new: '1.1.0-beta.1', bump: 'preminor' }]])
+
+    const { errors } = validateDependencyRanges(createRangeIndex('^1.0.0'), { moduleVersions })
+
+    assert.deepStrictEqual(errors, [])
+  })
+
+  test('reports a pre-release bump that leaves the declared range', () => {
+    const moduleVersions = new Map([['Core', { current: '1.0.0', new: '2.0.0-beta.1', bump: 'premajor' }]])
+
+    const { errors } = validateDependencyRanges(createRangeIndex('^1.0.0'), { moduleVersions })
+
+    assert.strictEqual(errors.length, 1)
+    assert.strictEqual(errors[0].type, 'dependency-range-broken')
+  })
+
+  test('accepts a current pre-release within the declared range', () => {
+    const index = createRangeIndex('^1.0.0')
+    index.modules.get('Core').version = '1.1.0-beta.2'
+
+    const { errors } = validateDependencyRanges(index)
+
+    assert.deepStrictEqual(errors, [])
+  })
+
+  test('ignores dependencies declared as id lists', () => {
+    const moduleVersions = new Map([['Core', { current: '1.0.0', new: '2.0.0', bump: 'major' }]])
+
+    const { errors } = validateDependencyRanges(createDependencyChainIndex(), { moduleVersions })
+
+    assert.deepStrictEqual(errors, [])
+  })
+})
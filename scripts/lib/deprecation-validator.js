@@ -0,0 +1,170 @@
+/**
+ * Deprecation validator
+ *
+ * Entities are retired in two steps: first marked with a `deprecated` block
+ * (since, reason, replacement, removal_version), then deleted once the
+ * ontology reaches the removal version. Versions in the block are ontology
+ * versions (the VERSION file).
+ */
+
+import semver from 'semver'
+import { REFERENCE_FIELDS } from './reference-validator.js'
+import { RESOURCE_METADATA_FIELDS } from './constants.js'
+
+/**
+ * Entity types that can be deprecated
+ */
+export const DEPRECATABLE_TYPES = ['categories', 'properties', 'subobjects', 'templates']
+
+/**
+ * Describe a deprecation for messages
+ *
+ * @param {object} deprecated - Deprecated block
+ * @returns {string} Description like 'deprecated since 1.2.0: reason; use Has_label instead'
+ */
+function describeDeprecation(deprecated) {
+  let text = `deprecated since ${deprecated.since}: ${deprecated.reason}`
+  if (deprecated.replacement) {
+    text += `; use ${deprecated.replacement} instead`
+  }
+  return text
+}
+
+/**
+ * Validate deprecation blocks and references to deprecated entities
+ *
+ * Errors: a replacement that does not exist (or is the entity itself), and a
+ * removal version that is not later than the deprecation version.
+ * Warnings: a non-deprecated entity (or a resource) referencing a deprecated one.
+ * Module and bundle membership is not a reference, so it is not reported.
+ *
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {{errors: Array, warnings: Array}} Validation results
+ *
+ * @example
+ * validateDeprecations(entityIndex)
+ * // { errors: [], warnings: [{ file: 'categories/Person.json', type: 'deprecated-reference',
+ * //                            message: 'Field "optional_properties" references deprecated properties "Has_nickname" (...)' }] }
+ */
+export function validateDeprecations(entityIndex) {
+  const errors = []
+  const warnings = []
+
+  // Deprecation blocks
+  for (const entityType of DEPRECATABLE_TYPES) {
+    for (const [entityId, entity] of entityIndex[entityType]) {
+      const { deprecated } = entity
+      if (!deprecated) {
+        continue
+      }
+
+      if (deprecated.replacement !== undefined) {
+        if (deprecated.replacement === entityId) {
+          errors.push({
+            file: entity._filePath,
+            type: 'invalid-deprecation',
+            message: `Deprecated ${entityType} "${entityId}" names itself as its replacement`
+          })
+        } else if (!entityIndex[entityType].has(deprecated.replacement)) {
+          errors.push({
+            file: entity._filePath,
+            type: 'invalid-deprecation',
+            message: `Replacement "${deprecated.replacement}" does not exist in ${entityType}`
+          })
+        }
+      }
+
+      if (deprecated.removal_version && !semver.gt(deprecated.removal_version, deprecated.since)) {
+        errors.push({
+          file: entity._filePath,
+          type: 'invalid-deprecation',
+          message: `Removal version ${deprecated.removal_version} must be later than deprecation version ${deprecated.since}`
+        })
+      }
+    }
+  }
+
+  // References from non-deprecated entities
+  for (const entityType of DEPRECATABLE_TYPES) {
+    const fieldMap = REFERENCE_FIELDS[entityType] || {}
+
+    for (const entity of entityIndex[entityType].values()) {
+      if (entity.deprecated) {
+        continue
+      }
+
+      for (const [fieldName, targetType] of Object.entries(fieldMap)) {
+        const refs = Array.isArray(entity[fieldName]) ? entity[fieldName] : [entity[fieldName]]
+        for (const refId of refs.filter(Boolean)) {
+          const target = entityIndex[targetType].get(refId)
+          if (target && target.deprecated) {
+            warnings.push({
+              file: entity._filePath,
+              type: 'deprecated-reference',
+              message: `Field "${fieldName}" references deprecated ${targetType} "${refId}" (${describeDeprecation(target.deprecated)})`
+            })
+          }
+        }
+      }
+    }
+  }
+
+  // Resources use their category and property keys
+  for (const resource of entityIndex.resources.values()) {
+    const category = entityIndex.categories.get(resource.category)
+    if (category && category.deprecated) {
+      warnings.push({
+        file: resource._filePath,
+        type: 'deprecated-reference',
+        message: `Resource uses deprecated category "${resource.category}" (${describeDeprecation(category.deprecated)})`
+      })
+    }
+
+    for (const key of Object.keys(resource)) {
+      if (RESOURCE_METADATA_FIELDS.has(key) || key.startsWith('_')) {
+        continue
+      }
+      const property = entityIndex.properties.get(key)
+      if (property && property.deprecated) {
+        warnings.push({
+          file: resource._filePath,
+          type: 'deprecated-reference',
+          message: `Resource uses deprecated property "${key}" (${describeDeprecation(property.deprecated)})`
+        })
+      }
+    }
+  }
+
+  return { errors, warnings }
+}
+
+/**
+ * Refuse removal of deprecated entities before their removal version
+ *
+ * @param {Array} changes - Changes from detectChanges (with findings)
+ * @param {string} releaseVersion - Ontology version the changes will be released in
+ * @returns {{errors: Array}} Validation results
+ *
+ * @example
+ * validateRemovals(changes, '2.0.0')
+ * // { errors: [{ file: 'properties/Has_nickname.json', type: 'premature-removal',
+ * //              message: 'properties "Has_nickname" is scheduled for removal in 3.0.0, ...' }] }
+ */
+export function validateRemovals(changes, releaseVersion) {
+  const errors = []
+
+  for (const change of changes) {
+    for (const finding of change.findings || []) {
+      const removalVersion = finding.rule === 'deprecated-entity-removed' ? finding.oldValue.removal_version : null
+      if (removalVersion && semver.lt(releaseVersion, removalVersion)) {
+        errors.push({
+          file: change.file,
+          type: 'premature-removal',
+          message: `${change.entityType} "${change.entityId}" is scheduled for removal in ${removalVersion}, but this change would be released in ${releaseVersion}`
+        })
+      }
+    }
+  }
+
+  return { errors }
+}
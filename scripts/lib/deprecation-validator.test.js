@@ -0,0 +1,148 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert'
+import { validateDeprecations, validateRemovals } from './deprecation-validator.js'
+import { createMockEntityIndex } from '../__fixtures__/mock-entity-index.js'
+
+/**
+ * Create an index where Has_nickname is deprecated in favour of Has_name
+ */
+function createDeprecationIndex({ deprecated = {}, person = {}, resources = [] } = {}) {
+  return createMockEntityIndex({
+    categories: new Map([
+      ['Person', {
+        id: 'Person',
+        optional_properties: ['Has_name', 'Has_nickname'],
+        _filePath: 'categories/Person.json',
+        ...person
+      }]
+    ]),
+    properties: new Map([
+      ['Has_name', { id: 'Has_name', datatype: 'Text', _filePath: 'properties/Has_name.json' }],
+      ['Has_nickname', {
+        id: 'Has_nickname',
+        datatype: 'Text',
+        deprecated: { since: '1.2.0', reason: 'Merged into Has_name', replacement: 'Has_name', ...deprecated },
+        _filePath: 'properties/Has_nickname.json'
+      }]
+    ]),
+    resources: new Map(resources.map(resource => [resource.id, {
+      _filePath: `resources/${resource.id}.json`,
+      ...resource
+    }]))
+  })
+}
+
+describe('validateDeprecations', () => {
+  test('warns when a category references a deprecated property', () => {
+    const result = validateDeprecations(createDeprecationIndex())
+
+    assert.strictEqual(result.errors.length, 0)
+    assert.strictEqual(result.warnings.length, 1)
+    assert.strictEqual(result.warnings[0].type, 'deprecated-reference')
+    assert.strictEqual(result.warnings[0].file, 'categories/Person.json')
+    assert.ok(result.warnings[0].message.includes('"Has_nickname"'))
+    assert.ok(result.warnings[0].message.includes('use Has_name instead'))
+  })
+
+  test('does not warn when the referencing entity is deprecated too', () => {
+    const index = createDeprecationIndex({
+      person: { deprecated: { since: '1.2.0', reason: 'Use Agent' } }
+    })
+
+    const result = validateDeprecations(index)
+
+    assert.strictEqual(result.warnings.length, 0)
+  })
+
+  test('warns when a resource uses a deprecated property', () => {
+    const index = createDeprecationIndex({
+      person: { optional_properties: ['Has_name'] },
+      resources: [{ id: 'Person/Jane', category: 'Person', Has_nickname: 'JD' }]
+    })
+
+    const result = validateDeprecations(index)
+
+    assert.strictEqual(result.warnings.length, 1)
+    assert.strictEqual(result.warnings[0].file, 'resources/Person/Jane.json')
+  })
+
+  test('warns when a resource uses a deprecated category', () => {
+    const index = createDeprecationIndex({
+      person: { optional_properties: ['Has_name'], deprecated: { since: '1.2.0', reason: 'Use Agent' } },
+      resources: [{ id: 'Person/Jane', category: 'Person' }]
+    })
+
+    const result = validateDeprecations(index)
+
+    assert.strictEqual(result.warnings.length, 1)
+    assert.ok(result.warnings[0].message.includes('deprecated category "Person"'))
+  })
+
+  test('missing replacement is an error', () => {
+    const result = validateDeprecations(createDeprecationIndex({ deprecated: { replacement: 'Has_alias' } }))
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].type, 'invalid-deprecation')
+    assert.ok(result.errors[0].message.includes('Has_alias'))
+  })
+
+  test('self replacement is an error', () => {
+    const result = validateDeprecations(createDeprecationIndex({ deprecated: { replacement: 'Has_nickname' } }))
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.ok(result.errors[0].message.includes('itself'))
+  })
+
+  test('removal version must be later than the deprecation version', () => {
+    const result = validateDeprecations(createDeprecationIndex({ deprecated: { removal_version: '1.2.0' } }))
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.ok(result.errors[0].message.includes('must be later than'))
+  })
+})
+
+describe('validateRemovals', () => {
+  function createRemoval(deprecated) {
+    return {
+      file: 'properties/Has_nickname.json',
+      entityType: 'properties',
+      entityId: 'Has_nickname',
+      changeType: 'major',
+      findings: [{ rule: 'deprecated-entity-removed', severity: 'major', field: null, oldValue: deprecated, newValue: null }]
+    }
+  }
+
+  test('refuses removal before the removal version', () => {
+    const changes = [createRemoval({ since: '1.2.0', reason: 'Merged', removal_version: '3.0.0' })]
+
+    const result = validateRemovals(changes, '2.0.0')
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].type, 'premature-removal')
+    assert.strictEqual(result.errors[0].file, 'properties/Has_nickname.json')
+  })
+
+  test('allows removal at or after the removal version', () => {
+    const changes = [createRemoval({ since: '1.2.0', reason: 'Merged', removal_version: '2.0.0' })]
+
+    assert.strictEqual(validateRemovals(changes, '2.0.0').errors.length, 0)
+    assert.strictEqual(validateRemovals(changes, '3.1.0').errors.length, 0)
+  })
+
+  test('allows removal when no removal version is declared', () => {
+    const changes = [createRemoval({ since: '1.2.0', reason: 'Merged' })]
+
+    assert.strictEqual(validateRemovals(changes, '2.0.0').errors.length, 0)
+  })
+
+  test('ignores other changes', () => {
+    const changes = [{
+      file: 'properties/Has_name.json',
+      entityType: 'properties',
+      entityId: 'Has_name',
+      findings: [{ rule: 'entity-deleted', severity: 'major', field: null, oldValue: 'Has_name', newValue: null }]
+    }]
+
+    assert.strictEqual(validateRemovals(changes, '2.0.0').errors.length, 0)
+  })
+})
@@ -1,7 +1,7 @@
 import fg from 'fast-glob'
 import fs from 'node:fs'
 import path from 'node:path'
-import { ENTITY_TYPES_SET, GLOB_IGNORE_PATTERNS } from './constants.js'
+import { ENTITY_TYPES, ENTITY_TYPES_SET, GLOB_IGNORE_PATTERNS, MODULE_ENTITY_TYPES } from './constants.js'
 
 /**
  * Build an index of all entities in the project
@@ -85,3 +85,39 @@ export async function buildEntityIndex(rootDir = process.cwd()) {
 
   return index
 }
+
+/**
+ * Build an entity index from a module version artifact
+ *
+ * Embedded entities are indexed at their usual file paths, and the module
+ * itself is indexed with its entity lists and pinned dependency versions,
+ * so code written against buildEntityIndex() also works on released modules.
+ *
+ * @param {Object} artifact - Parsed module artifact (modules/<id>/versions/<version>.json)
+ * @returns {Object} Entity index with Maps for each entity type
+ *
+ * @example
+ * const index = createEntityIndexFromArtifact(loadModuleArtifact('Core', '1.0.0'))
+ * index.modules.get('Core') // { id: 'Core', version: '1.0.0', categories: ['Agent', ...], ... }
+ */
+export function createEntityIndexFromArtifact(artifact) {
+  const index = Object.fromEntries(ENTITY_TYPES.map(entityType => [entityType, new Map()]))
+
+  const moduleEntity = {
+    id: artifact.id,
+    version: artifact.version,
+    dependencies: { ...(artifact.dependencies || {}) },
+    _filePath: `modules/${artifact.id}.json`
+  }
+
+  for (const entityType of MODULE_ENTITY_TYPES) {
+    const entities = artifact[entityType] || []
+    moduleEntity[entityType] = entities.map(entity => entity.id)
+    for (const entity of entities) {
+      index[entityType].set(entity.id, { ...entity, _filePath: `${entityType}/${entity.id}.json` })
+    }
+  }
+  index.modules.set(artifact.id, moduleEntity)
+
+  return index
+}
@@ -1,6 +1,6 @@
 import { describe, test, beforeEach, afterEach } from 'node:test'
 import assert from 'node:assert'
-import { buildEntityIndex } from './entity-index.js'
+import { buildEntityIndex, createEntityIndexFromArtifact } from './entity-index.js'
 import { createEntityTempDir } from '../__fixtures__/temp-dir.js'
 
 describe('buildEntityIndex', () => {
@@ -132,3 +132,33 @@ describe('buildEntityIndex', () => {
     // No way to check 'unknown' as it's not an indexed type
   })
 })
+
+describe('createEntityIndexFromArtifact', () => {
+  const artifact = {
+    id: 'Core',
+    version: '1.2.0',
+    dependencies: { Base: '1.0.0' },
+    categories: [{ id: 'Person', label: 'Person', parents: ['Agent'] }],
+    properties: [{ id: 'Has_name', label: 'Name', datatype: 'Text', cardinality: 'single' }],
+    subobjects: [],
+    templates: [{ id: 'Property/Page', label: 'Page', wikitext: '[[{{{value}}}]]' }]
+  }
+
+  test('indexes embedded entities at their file paths', () => {
+    const index = createEntityIndexFromArtifact(artifact)
+
+    assert.strictEqual(index.properties.get('Has_name').datatype, 'Text')
+    assert.strictEqual(index.templates.get('Property/Page')._filePath, 'templates/Property/Page.json')
+    assert.strictEqual(index.resources.size, 0)
+    assert.strictEqual(index.bundles.size, 0)
+  })
+
+  test('indexes the module with its entity lists and dependencies', () => {
+    const moduleEntity = createEntityIndexFromArtifact(artifact).modules.get('Core')
+
+    assert.strictEqual(moduleEntity.version, '1.2.0')
+    assert.deepStrictEqual(moduleEntity.dependencies, { Base: '1.0.0' })
+    assert.deepStrictEqual(moduleEntity.categories, ['Person'])
+    assert.deepStrictEqual(moduleEntity.dashboards, [])
+  })
+})
@@ -0,0 +1,265 @@
+/**
+ * Page Forms generation
+ *
+ * Builds a Page Forms `Form:` page and a matching infobox-style `Template:`
+ * page for each category from its effective (inherited) properties, and a
+ * `Template:` page for each subobject so forms can embed subobjects as
+ * `{{{for template}}}` sections. Input types are picked from each
+ * property's datatype, cardinality and value constraints.
+ */
+
+import { resolveAllCategories } from './inheritance-resolver.js'
+import { getValueSourceCategory } from './value-checker.js'
+
+/**
+ * Input types for datatypes that have a dedicated Page Forms input
+ */
+const DATATYPE_INPUT_TYPES = {
+  Boolean: 'checkbox',
+  Code: 'textarea',
+  Date: 'datepicker'
+}
+
+/**
+ * Get the Page Forms field parameters for a property
+ *
+ * - `allowed_values` → dropdown of the values (checkboxes for multiple values)
+ * - `Allows_value_from_category` → autocompletion from the category (tokens for multiple values)
+ * - multiple-cardinality Page → tokens
+ * - Date → datepicker, Boolean → checkbox, Code → textarea
+ * - anything else → text
+ *
+ * Multiple-cardinality fields are lists delimited by `,`.
+ *
+ * @param {Object} property - Property entity
+ * @param {Object} options - Field options
+ * @param {boolean} options.required - Whether the field is mandatory
+ * @returns {string[]} Field parameters (without the field name)
+ *
+ * @example
+ * getFieldParameters({ id: 'Has_status', datatype: 'Text', cardinality: 'single', allowed_values: ['active', 'retired'] }, { required: true })
+ * // ['input type=dropdown', 'values=active,retired', 'mandatory']
+ */
+export function getFieldParameters(property, { required = false } = {}) {
+  const multiple = property.cardinality === 'multiple'
+  const valueCategory = getValueSourceCategory(property)
+  const params = []
+
+  if (Array.isArray(property.allowed_values)) {
+    params.push(`input type=${multiple ? 'checkboxes' : 'dropdown'}`, `values=${property.allowed_values.join(',')}`)
+  } else if (valueCategory) {
+    params.push(`input type=${multiple ? 'tokens' : 'combobox'}`, `values from category=${valueCategory}`)
+  } else if (property.datatype === 'Page' && multiple) {
+    params.push('input type=tokens')
+  } else {
+    params.push(`input type=${DATATYPE_INPUT_TYPES[property.datatype] || 'text'}`)
+  }
+
+  if (multiple) params.push('list', 'delimiter=,')
+  if (required) params.push('mandatory')
+
+  return params
+}
+
+/**
+ * Render the form rows of a list of properties
+ *
+ * @param {Array<{id: string, required: boolean}>} fields - Property ids in form order
+ * @param {Object} entityIndex - Entity index
+ * @returns {string[]} Lines of a `formtable`
+ */
+function renderFieldTable(fields, entityIndex) {
+  const lines = ['{| class="formtable"']
+  fields.forEach(({ id, required }, position) => {
+    // Properties of other modules may be missing from artifact indexes; fall back to a text input
+    const property = entityIndex.properties.get(id) || { id, datatype: 'Text', cardinality: 'single' }
+    if (position > 0) lines.push('|-')
+    lines.push(`! ${property.label || id}:`, `| {{{field|${id}|${getFieldParameters(property, { required }).join('|')}}}}`)
+  })
+  lines.push('|}')
+  return lines
+}
+
+/**
+ * Get the fields of a category form from its effective schema (required first)
+ *
+ * @param {Object} effective - Effective schema from resolveCategory
+ * @returns {Array<{id: string, required: boolean}>} Fields
+ */
+function getCategoryFields(effective) {
+  return [
+    ...effective.required_properties.map(({ id }) => ({ id, required: true })),
+    ...effective.optional_properties.map(({ id }) => ({ id, required: false }))
+  ]
+}
+
+/**
+ * Get the fields of a subobject section
+ *
+ * @param {Object} subobject - Subobject entity
+ * @returns {Array<{id: string, required: boolean}>} Fields
+ */
+function getSubobjectFields(subobject) {
+  return [
+    ...(subobject.required_properties || []).map(id => ({ id, required: true })),
+    ...(subobject.optional_properties || []).map(id => ({ id, required: false }))
+  ]
+}
+
+/**
+ * Render the value of a template parameter, annotated with its property
+ *
+ * @param {Object} property - Property entity (or a fallback with id and cardinality)
+ * @returns {string} Wikitext
+ */
+function renderAnnotatedValue(property) {
+  const param = `{{{${property.id}|}}}`
+  const displayTemplate = property.has_display_template?.replace(/^Template:/, '')
+
+  if (displayTemplate) {
+    const sep = property.cardinality === 'multiple' ? '|+sep=,' : ''
+    return `{{#set:${property.id}=${param}${sep}}}{{${displayTemplate}|value=${param}}}`
+  }
+  if (property.cardinality === 'multiple') {
+    return `{{#arraymap:${param}|,|@@item@@|[[${property.id}::@@item@@]]|,&#32;}}`
+  }
+  return `[[${property.id}::${param}]]`
+}
+
+/**
+ * Render the usage note shown on a template page
+ *
+ * @param {string} templateId - Template name
+ * @param {string[]} params - Parameter names
+ * @returns {string} `<noinclude>` block (without a trailing newline, which would be transcluded)
+ */
+function renderTemplateUsage(templateId, params) {
+  return [
+    '<noinclude>',
+    'This template is generated from the Labki ontology. It should be called in the following format:',
+    '<pre>',
+    `{{${templateId}`,
+    ...params.map(param => `|${param}=`),
+    '}}',
+    '</pre>',
+    '</noinclude>'
+  ].join('\n')
+}
+
+/**
+ * Generate the Page Forms form of a category
+ *
+ * The category's template is filled by the main section; each effective
+ * subobject gets a multiple-instance `{{{for template}}}` section, with at
+ * least one instance if the subobject is required.
+ *
+ * @param {Object} effective - Effective schema from resolveCategory
+ * @param {Object} entityIndex - Entity index
+ * @returns {string} Form page text
+ *
+ * @example
+ * generateCategoryForm(resolveCategory('Person', entityIndex), entityIndex)
+ * // '<noinclude>\n{{#forminput:form=Person|autofocus}}\n</noinclude><includeonly>\n{{{for template|Person}}}\n...'
+ */
+export function generateCategoryForm(effective, entityIndex) {
+  const lines = [
+    '<noinclude>',
+    `{{#forminput:form=${effective.id}|autofocus}}`,
+    '</noinclude><includeonly>',
+    `{{{for template|${effective.id}}}}`,
+    ...renderFieldTable(getCategoryFields(effective), entityIndex),
+    '{{{end template}}}'
+  ]
+
+  const subobjects = [
+    ...effective.required_subobjects.map(({ id }) => ({ id, required: true })),
+    ...effective.optional_subobjects.map(({ id }) => ({ id, required: false }))
+  ]
+  for (const { id, required } of subobjects) {
+    const subobject = entityIndex.subobjects.get(id)
+    if (!subobject) continue
+
+    const minimum = required ? '|minimum instances=1' : ''
+    lines.push(
+      '',
+      `{{{for template|${id}|multiple|label=${subobject.label || id}${minimum}}}}`,
+      ...renderFieldTable(getSubobjectFields(subobject), entityIndex),
+      '{{{end template}}}'
+    )
+  }
+
+  lines.push('', "'''Free text:'''", '', '{{{standard input|free text|rows=10}}}', '</includeonly>')
+  return lines.join('\n')
+}
+
+/**
+ * Generate the infobox template of a category
+ *
+ * Each property is shown in a row and annotated on the page; pages using
+ * the template are placed in the category.
+ *
+ * @param {Object} effective - Effective schema from resolveCategory
+ * @param {Object} entityIndex - Entity index
+ * @returns {string} Template page text
+ */
+export function generateCategoryTemplate(effective, entityIndex) {
+  const fields = getCategoryFields(effective)
+  const rows = fields.flatMap(({ id }, position) => {
+    const property = entityIndex.properties.get(id) || { id, cardinality: 'single' }
+    return [...(position > 0 ? ['|-'] : []), `! ${property.label || id}`, `| ${renderAnnotatedValue(property)}`]
+  })
+
+  return renderTemplateUsage(effective.id, fields.map(({ id }) => id)) + [
+    '<includeonly>{| class="wikitable infobox"',
+    `! colspan="2" | ${entityIndex.categories.get(effective.id)?.label || effective.id}`,
+    '|-',
+    ...rows,
+    '|}',
+    `[[Category:${effective.id}]]</includeonly>`
+  ].join('\n')
+}
+
+/**
+ * Generate the template that stores one instance of a subobject
+ *
+ * @param {Object} subobject - Subobject entity
+ * @param {Object} entityIndex - Entity index
+ * @returns {string} Template page text
+ */
+export function generateSubobjectTemplate(subobject, entityIndex) {
+  const fields = getSubobjectFields(subobject)
+  const params = fields.map(({ id }) => {
+    const sep = entityIndex.properties.get(id)?.cardinality === 'multiple' ? '|+sep=,' : ''
+    return `|${id}={{{${id}|}}}${sep}`
+  })
+
+  return renderTemplateUsage(subobject.id, fields.map(({ id }) => id)) + [
+    '<includeonly>{{#subobject:',
+    ...params,
+    '}}</includeonly>'
+  ].join('\n')
+}
+
+/**
+ * Generate the Form: and Template: pages of every category and subobject
+ *
+ * @param {Object} entityIndex - Entity index from buildEntityIndex() or createEntityIndexFromArtifact()
+ * @param {Object} options - Generation options
+ * @param {Map<string, Object>} options.effectiveCategories - Effective schemas (defaults to resolving the index)
+ * @returns {Array<{namespace: string, title: string, text: string}>} Pages
+ */
+export function generateFormPages(entityIndex, { effectiveCategories = resolveAllCategories(entityIndex) } = {}) {
+  const pages = []
+
+  for (const effective of effectiveCategories.values()) {
+    pages.push(
+      { namespace: 'Form', title: effective.id, text: generateCategoryForm(effective, entityIndex) },
+      { namespace: 'Template', title: effective.id, text: generateCategoryTemplate(effective, entityIndex) }
+    )
+  }
+  for (const [id, subobject] of entityIndex.subobjects) {
+    pages.push({ namespace: 'Template', title: id, text: generateSubobjectTemplate(subobject, entityIndex) })
+  }
+
+  return pages
+}
@@ -0,0 +1,149 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert'
+import {
+  getFieldParameters,
+  generateCategoryForm,
+  generateCategoryTemplate,
+  generateSubobjectTemplate,
+  generateFormPages
+} from './form-generator.js'
+import { resolveCategory } from './inheritance-resolver.js'
+
+function createIndex() {
+  return {
+    categories: new Map([
+      ['Agent', { id: 'Agent', label: 'Agent', required_properties: ['Has_name'] }],
+      ['Person', {
+        id: 'Person',
+        label: 'Person',
+        parents: ['Agent'],
+        optional_properties: ['Has_birthday', 'Has_member_of'],
+        required_subobjects: ['Address']
+      }]
+    ]),
+    properties: new Map([
+      ['Has_name', { id: 'Has_name', label: 'Name', datatype: 'Text', cardinality: 'single' }],
+      ['Has_birthday', { id: 'Has_birthday', label: 'Birthday', datatype: 'Date', cardinality: 'single' }],
+      ['Has_member_of', { id: 'Has_member_of', label: 'Member of', datatype: 'Page', cardinality: 'multiple', Allows_value_from_category: 'Organization' }],
+      ['Has_street', { id: 'Has_street', label: 'Street', datatype: 'Text', cardinality: 'single' }],
+      ['Has_phone', { id: 'Has_phone', label: 'Phone', datatype: 'Telephone number', cardinality: 'multiple' }]
+    ]),
+    subobjects: new Map([
+      ['Address', { id: 'Address', label: 'Address', required_properties: ['Has_street'], optional_properties: ['Has_phone'] }]
+    ]),
+    templates: new Map(),
+    modules: new Map(),
+    bundles: new Map(),
+    dashboards: new Map(),
+    resources: new Map()
+  }
+}
+
+describe('getFieldParameters', () => {
+  test('picks a datepicker for dates', () => {
+    assert.deepStrictEqual(getFieldParameters({ datatype: 'Date', cardinality: 'single' }), ['input type=datepicker'])
+  })
+
+  test('picks tokens for multiple-cardinality pages', () => {
+    assert.deepStrictEqual(
+      getFieldParameters({ datatype: 'Page', cardinality: 'multiple' }),
+      ['input type=tokens', 'list', 'delimiter=,']
+    )
+  })
+
+  test('picks a dropdown of allowed values', () => {
+    assert.deepStrictEqual(
+      getFieldParameters({ datatype: 'Text', cardinality: 'single', allowed_values: ['active', 'retired'] }, { required: true }),
+      ['input type=dropdown', 'values=active,retired', 'mandatory']
+    )
+    assert.deepStrictEqual(
+      getFieldParameters({ datatype: 'Text', cardinality: 'multiple', allowed_values: ['red', 'blue'] }),
+      ['input type=checkboxes', 'values=red,blue', 'list', 'delimiter=,']
+    )
+  })
+
+  test('autocompletes values from a category', () => {
+    assert.deepStrictEqual(
+      getFieldParameters({ datatype: 'Page', cardinality: 'single', Allows_value_from_category: 'Organization' }),
+      ['input type=combobox', 'values from category=Organization']
+    )
+    assert.deepStrictEqual(
+      getFieldParameters({ datatype: 'Page', cardinality: 'multiple', allowed_values: { from_category: 'Person' } }),
+      ['input type=tokens', 'values from category=Person', 'list', 'delimiter=,']
+    )
+  })
+
+  test('falls back to a text input', () => {
+    assert.deepStrictEqual(getFieldParameters({ datatype: 'Email', cardinality: 'single' }), ['input type=text'])
+    assert.deepStrictEqual(getFieldParameters({ datatype: 'Boolean', cardinality: 'single' }), ['input type=checkbox'])
+  })
+})
+
+describe('generateCategoryForm', () => {
+  test('includes inherited properties and subobject sections', () => {
+    const index = createIndex()
+    const form = generateCategoryForm(resolveCategory('Person', index), index)
+
+    assert.ok(form.includes('{{#forminput:form=Person|autofocus}}'))
+    assert.ok(form.includes('{{{for template|Person}}}'))
+    assert.ok(form.includes('! Name:\n| {{{field|Has_name|input type=text|mandatory}}}'))
+    assert.ok(form.includes('{{{field|Has_birthday|input type=datepicker}}}'))
+    assert.ok(form.includes('{{{field|Has_member_of|input type=tokens|values from category=Organization|list|delimiter=,}}}'))
+    assert.ok(form.includes('{{{for template|Address|multiple|label=Address|minimum instances=1}}}'))
+    assert.ok(form.includes('{{{field|Has_street|input type=text|mandatory}}}'))
+    assert.ok(form.includes('{{{standard input|free text|rows=10}}}'))
+  })
+
+  test('lists required fields before optional ones', () => {
+    const index = createIndex()
+    const form = generateCategoryForm(resolveCategory('Person', index), index)
+
+    assert.ok(form.indexOf('Has_name') < form.indexOf('Has_birthday'))
+  })
+})
+
+describe('generateCategoryTemplate', () => {
+  test('annotates each property and sets the category', () => {
+    const index = createIndex()
+    const template = generateCategoryTemplate(resolveCategory('Person', index), index)
+
+    assert.ok(template.startsWith('<noinclude>'))
+    assert.ok(template.includes('</noinclude><includeonly>{| class="wikitable infobox"'))
+    assert.ok(template.includes('| [[Has_name::{{{Has_name|}}}]]'))
+    assert.ok(template.includes('| {{#arraymap:{{{Has_member_of|}}}|,|@@item@@|[[Has_member_of::@@item@@]]|,&#32;}}'))
+    assert.ok(template.endsWith('[[Category:Person]]</includeonly>'))
+  })
+
+  test('renders values with the property display template', () => {
+    const index = createIndex()
+    index.properties.get('Has_member_of').has_display_template = 'Template:Property/Page'
+
+    const template = generateCategoryTemplate(resolveCategory('Person', index), index)
+
+    assert.ok(template.includes('| {{#set:Has_member_of={{{Has_member_of|}}}|+sep=,}}{{Property/Page|value={{{Has_member_of|}}}}}'))
+  })
+})
+
+describe('generateSubobjectTemplate', () => {
+  test('stores the values in a subobject', () => {
+    const index = createIndex()
+
+    assert.ok(generateSubobjectTemplate(index.subobjects.get('Address'), index).endsWith(
+      '<includeonly>{{#subobject:\n|Has_street={{{Has_street|}}}\n|Has_phone={{{Has_phone|}}}|+sep=,\n}}</includeonly>'
+    ))
+  })
+})
+
+describe('generateFormPages', () => {
+  test('generates a form and template per category and a template per subobject', () => {
+    const pages = generateFormPages(createIndex())
+
+    assert.deepStrictEqual(pages.map(page => `${page.namespace}:${page.title}`), [
+      'Form:Agent',
+      'Template:Agent',
+      'Form:Person',
+      'Template:Person',
+      'Template:Address'
+    ])
+  })
+})
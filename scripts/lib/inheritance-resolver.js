@@ -0,0 +1,213 @@
+/**
+ * Inheritance resolver for category definitions
+ *
+ * Walks the `parents` chain of each category and computes its effective
+ * (inheritance-resolved) schema, following the rules in SCHEMA.md:
+ * - A category inherits all properties and subobjects from every parent
+ * - Inherited items retain their required/optional status
+ * - Items inherited from multiple parents are included only once
+ * - If any contributor marks an item required, it is required (narrowing wins)
+ */
+
+/**
+ * Field groups resolved through inheritance, paired as [required, optional]
+ */
+export const INHERITED_FIELD_GROUPS = [
+  ['required_properties', 'optional_properties'],
+  ['required_subobjects', 'optional_subobjects']
+]
+
+/**
+ * Merge a contributed item into an accumulated item map
+ *
+ * New items are added; existing optional items are upgraded when a
+ * contributor marks them required. Otherwise the first contributor wins,
+ * so a category's own declarations take precedence over its parents and
+ * earlier parents take precedence over later ones.
+ *
+ * @param {Map<string, object>} items - Accumulated items keyed by id
+ * @param {{id: string, required: boolean, source: string, path: string[]}} item - Contributed item
+ */
+function mergeItem(items, item) {
+  const existing = items.get(item.id)
+  if (!existing || (item.required && !existing.required)) {
+    items.set(item.id, item)
+  }
+}
+
+/**
+ * Resolve a single category, memoizing results in the cache
+ *
+ * @param {string} categoryId - Category to resolve
+ * @param {Map<string, object>} categories - Category map from entity index
+ * @param {Map<string, object|null>} cache - Memoized results
+ * @param {Set<string>} stack - Categories currently being resolved (cycle guard)
+ * @returns {object|null} Internal resolution with item Maps, or null if unresolvable
+ */
+function resolveInternal(categoryId, categories, cache, stack) {
+  if (cache.has(categoryId)) {
+    return cache.get(categoryId)
+  }
+
+  const category = categories.get(categoryId)
+
+  // Missing categories and cycles are reported by the reference and cycle
+  // validators; here they simply contribute nothing
+  if (!category || stack.has(categoryId)) {
+    return null
+  }
+
+  stack.add(categoryId)
+
+  const groups = {}
+  for (const [requiredField, optionalField] of INHERITED_FIELD_GROUPS) {
+    const items = new Map()
+
+    // Own declarations first (required before optional)
+    for (const id of (category[requiredField] || [])) {
+      mergeItem(items, { id, required: true, source: categoryId, path: [categoryId] })
+    }
+    for (const id of (category[optionalField] || [])) {
+      mergeItem(items, { id, required: false, source: categoryId, path: [categoryId] })
+    }
+
+    groups[requiredField] = items
+  }
+
+  const ancestors = []
+  for (const parentId of (category.parents || [])) {
+    const parent = resolveInternal(parentId, categories, cache, stack)
+    if (!parent) {
+      continue
+    }
+
+    for (const ancestorId of [parentId, ...parent.ancestors]) {
+      if (!ancestors.includes(ancestorId)) {
+        ancestors.push(ancestorId)
+      }
+    }
+
+    for (const [requiredField] of INHERITED_FIELD_GROUPS) {
+      for (const item of parent.groups[requiredField].values()) {
+        mergeItem(groups[requiredField], { ...item, path: [categoryId, ...item.path] })
+      }
+    }
+  }
+
+  stack.delete(categoryId)
+
+  const resolved = { id: categoryId, ancestors, groups }
+  cache.set(categoryId, resolved)
+  return resolved
+}
+
+/**
+ * Convert an internal resolution into the public effective schema shape
+ *
+ * @param {object} resolved - Internal resolution from resolveInternal
+ * @param {object} category - Category entity
+ * @returns {object} Effective schema
+ */
+function toEffectiveSchema(resolved, category) {
+  const effective = {
+    id: resolved.id,
+    parents: [...(category.parents || [])],
+    ancestors: [...resolved.ancestors]
+  }
+
+  for (const [requiredField, optionalField] of INHERITED_FIELD_GROUPS) {
+    const items = [...resolved.groups[requiredField].values()]
+    effective[requiredField] = items
+      .filter(item => item.required)
+      .map(({ id, source, path }) => ({ id, source, path: [...path] }))
+    effective[optionalField] = items
+      .filter(item => !item.required)
+      .map(({ id, source, path }) => ({ id, source, path: [...path] }))
+  }
+
+  return effective
+}
+
+/**
+ * Resolve the effective schema of a single category
+ *
+ * @param {string} categoryId - Category to resolve
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {object|null} Effective schema, or null if the category does not exist
+ *
+ * @example
+ * resolveCategory('Person', entityIndex)
+ * // {
+ * //   id: 'Person',
+ * //   parents: ['Agent'],
+ * //   ancestors: ['Agent'],
+ * //   required_properties: [{ id: 'Has_name', source: 'Agent', path: ['Person', 'Agent'] }],
+ * //   optional_properties: [{ id: 'Has_email', source: 'Person', path: ['Person'] }, ...],
+ * //   required_subobjects: [],
+ * //   optional_subobjects: [{ id: 'Address', source: 'Person', path: ['Person'] }]
+ * // }
+ */
+export function resolveCategory(categoryId, entityIndex) {
+  const category = entityIndex.categories.get(categoryId)
+  if (!category) {
+    return null
+  }
+
+  const resolved = resolveInternal(categoryId, entityIndex.categories, new Map(), new Set())
+  return toEffectiveSchema(resolved, category)
+}
+
+/**
+ * Resolve the effective schema of every category in the index
+ *
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {Map<string, object>} Map from category id to effective schema
+ *
+ * @example
+ * const effective = resolveAllCategories(entityIndex)
+ * effective.get('Person').required_properties.map(p => p.id) // ['Has_name']
+ */
+export function resolveAllCategories(entityIndex) {
+  const cache = new Map()
+  const effective = new Map()
+
+  for (const [categoryId, category] of entityIndex.categories) {
+    const resolved = resolveInternal(categoryId, entityIndex.categories, cache, new Set())
+    effective.set(categoryId, toEffectiveSchema(resolved, category))
+  }
+
+  return effective
+}
+
+/**
+ * Get the ids of all properties allowed by an effective schema
+ *
+ * @param {object} effective - Effective schema from resolveCategory
+ * @returns {Set<string>} Required and optional property ids
+ */
+export function getEffectivePropertyIds(effective) {
+  return new Set([
+    ...effective.required_properties.map(item => item.id),
+    ...effective.optional_properties.map(item => item.id)
+  ])
+}
+
+/**
+ * Check whether a category is the given category or one of its descendants
+ *
+ * @param {string} categoryId - Category to test
+ * @param {string} ancestorId - Expected category or ancestor
+ * @param {Map<string, object>} effectiveCategories - Resolved schemas from resolveAllCategories
+ * @returns {boolean} True if categoryId is ancestorId or inherits from it
+ *
+ * @example
+ * isCategoryOrDescendant('Person', 'Agent', effective) // true
+ */
+export function isCategoryOrDescendant(categoryId, ancestorId, effectiveCategories) {
+  if (categoryId === ancestorId) {
+    return true
+  }
+
+  const effective = effectiveCategories.get(categoryId)
+  return Boolean(effective && effective.ancestors.includes(ancestorId))
+}
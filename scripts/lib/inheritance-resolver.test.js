@@ -0,0 +1,262 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert'
+import {
+  resolveCategory,
+  resolveAllCategories,
+  getEffectivePropertyIds,
+  isCategoryOrDescendant
+} from './inheritance-resolver.js'
+import { createMockEntityIndex } from '../__fixtures__/mock-entity-index.js'
+
+/**
+ * Map effective items to their ids for concise assertions
+ */
+function ids(items) {
+  return items.map(item => item.id)
+}
+
+describe('resolveCategory', () => {
+  describe('Single inheritance', () => {
+    test('category without parents resolves to own declarations', () => {
+      const index = createMockEntityIndex({
+        categories: new Map([
+          ['Agent', {
+            id: 'Agent',
+            required_properties: ['Has_name'],
+            optional_properties: ['Has_description'],
+            _filePath: 'categories/Agent.json'
+          }]
+        ])
+      })
+
+      const result = resolveCategory('Agent', index)
+
+      assert.deepStrictEqual(result.ancestors, [])
+      assert.deepStrictEqual(result.required_properties, [
+        { id: 'Has_name', source: 'Agent', path: ['Agent'] }
+      ])
+      assert.deepStrictEqual(ids(result.optional_properties), ['Has_description'])
+      assert.deepStrictEqual(result.required_subobjects, [])
+      assert.deepStrictEqual(result.optional_subobjects, [])
+    })
+
+    test('child inherits parent properties with provenance', () => {
+      const index = createMockEntityIndex({
+        categories: new Map([
+          ['Agent', { id: 'Agent', required_properties: ['Has_name'] }],
+          ['Person', { id: 'Person', parents: ['Agent'], optional_properties: ['Has_email'] }]
+        ])
+      })
+
+      const result = resolveCategory('Person', index)
+
+      assert.deepStrictEqual(result.parents, ['Agent'])
+      assert.deepStrictEqual(result.ancestors, ['Agent'])
+      assert.deepStrictEqual(result.required_properties, [
+        { id: 'Has_name', source: 'Agent', path: ['Person', 'Agent'] }
+      ])
+      assert.deepStrictEqual(result.optional_properties, [
+        { id: 'Has_email', source: 'Person', path: ['Person'] }
+      ])
+    })
+
+    test('inheritance chain can be multiple levels deep', () => {
+      const index = createMockEntityIndex({
+        categories: new Map([
+          ['Agent', { id: 'Agent', required_properties: ['Has_name'] }],
+          ['Person', { id: 'Person', parents: ['Agent'] }],
+          ['Student', { id: 'Student', parents: ['Person'], optional_subobjects: ['Address'] }]
+        ])
+      })
+
+      const result = resolveCategory('Student', index)
+
+      assert.deepStrictEqual(result.ancestors, ['Person', 'Agent'])
+      assert.deepStrictEqual(result.required_properties[0].path, ['Student', 'Person', 'Agent'])
+      assert.deepStrictEqual(ids(result.optional_subobjects), ['Address'])
+    })
+  })
+
+  describe('Multiple inheritance', () => {
+    test('property inherited from multiple parents is included once', () => {
+      const index = createMockEntityIndex({
+        categories: new Map([
+          ['Agent', { id: 'Agent', required_properties: ['Has_name'] }],
+          ['Student', { id: 'Student', parents: ['Agent'], optional_properties: ['Has_major'] }],
+          ['Researcher', { id: 'Researcher', parents: ['Agent'], optional_properties: ['Has_orcid'] }],
+          ['Research_student', { id: 'Research_student', parents: ['Student', 'Researcher'] }]
+        ])
+      })
+
+      const result = resolveCategory('Research_student', index)
+
+      assert.deepStrictEqual(result.ancestors, ['Student', 'Agent', 'Researcher'])
+      assert.deepStrictEqual(ids(result.required_properties), ['Has_name'])
+      assert.deepStrictEqual(result.required_properties[0].path, ['Research_student', 'Student', 'Agent'])
+      assert.deepStrictEqual(ids(result.optional_properties), ['Has_major', 'Has_orcid'])
+    })
+
+    test('required status wins when parents disagree', () => {
+      const index = createMockEntityIndex({
+        categories: new Map([
+          ['Loose', { id: 'Loose', optional_properties: ['Has_email'] }],
+          ['Strict', { id: 'Strict', required_properties: ['Has_email'] }],
+          ['Child', { id: 'Child', parents: ['Loose', 'Strict'] }]
+        ])
+      })
+
+      const result = resolveCategory('Child', index)
+
+      assert.deepStrictEqual(result.required_properties, [
+        { id: 'Has_email', source: 'Strict', path: ['Child', 'Strict'] }
+      ])
+      assert.deepStrictEqual(result.optional_properties, [])
+    })
+  })
+
+  describe('Own declarations', () => {
+    test('child can narrow inherited optional property to required', () => {
+      const index = createMockEntityIndex({
+        categories: new Map([
+          ['Agent', { id: 'Agent', optional_properties: ['Has_email'] }],
+          ['Person', { id: 'Person', parents: ['Agent'], required_properties: ['Has_email'] }]
+        ])
+      })
+
+      const result = resolveCategory('Person', index)
+
+      assert.deepStrictEqual(result.required_properties, [
+        { id: 'Has_email', source: 'Person', path: ['Person'] }
+      ])
+      assert.deepStrictEqual(result.optional_properties, [])
+    })
+
+    test('child redeclaring inherited required as optional stays required', () => {
+      const index = createMockEntityIndex({
+        categories: new Map([
+          ['Agent', { id: 'Agent', required_properties: ['Has_name'] }],
+          ['Person', { id: 'Person', parents: ['Agent'], optional_properties: ['Has_name'] }]
+        ])
+      })
+
+      const result = resolveCategory('Person', index)
+
+      assert.deepStrictEqual(result.required_properties[0].source, 'Agent')
+      assert.deepStrictEqual(result.optional_properties, [])
+    })
+
+    test('child redeclaring with same status keeps own provenance', () => {
+      const index = createMockEntityIndex({
+        categories: new Map([
+          ['Agent', { id: 'Agent', required_properties: ['Has_name'] }],
+          ['Person', { id: 'Person', parents: ['Agent'], required_properties: ['Has_name'] }]
+        ])
+      })
+
+      const result = resolveCategory('Person', index)
+
+      assert.strictEqual(result.required_properties.length, 1)
+      assert.strictEqual(result.required_properties[0].source, 'Person')
+    })
+  })
+
+  describe('Invalid graphs', () => {
+    test('returns null for unknown category', () => {
+      const index = createMockEntityIndex()
+
+      assert.strictEqual(resolveCategory('Missing', index), null)
+    })
+
+    test('missing parent contributes nothing', () => {
+      const index = createMockEntityIndex({
+        categories: new Map([
+          ['Person', { id: 'Person', parents: ['Missing'], optional_properties: ['Has_email'] }]
+        ])
+      })
+
+      const result = resolveCategory('Person', index)
+
+      assert.deepStrictEqual(result.ancestors, [])
+      assert.deepStrictEqual(ids(result.optional_properties), ['Has_email'])
+    })
+
+    test('inheritance cycle terminates', () => {
+      const index = createMockEntityIndex({
+        categories: new Map([
+          ['CatA', { id: 'CatA', parents: ['CatB'], required_properties: ['Has_a'] }],
+          ['CatB', { id: 'CatB', parents: ['CatA'], required_properties: ['Has_b'] }]
+        ])
+      })
+
+      const result = resolveCategory('CatA', index)
+
+      assert.deepStrictEqual(ids(result.required_properties), ['Has_a', 'Has_b'])
+    })
+  })
+})
+
+describe('resolveAllCategories', () => {
+  test('resolves every category in the index', () => {
+    const index = createMockEntityIndex({
+      categories: new Map([
+        ['Agent', { id: 'Agent', required_properties: ['Has_name'] }],
+        ['Person', { id: 'Person', parents: ['Agent'] }],
+        ['Organization', { id: 'Organization', parents: ['Agent'] }]
+      ])
+    })
+
+    const result = resolveAllCategories(index)
+
+    assert.deepStrictEqual([...result.keys()], ['Agent', 'Person', 'Organization'])
+    assert.deepStrictEqual(ids(result.get('Organization').required_properties), ['Has_name'])
+  })
+
+  test('empty index returns empty map', () => {
+    const result = resolveAllCategories(createMockEntityIndex())
+
+    assert.strictEqual(result.size, 0)
+  })
+})
+
+describe('getEffectivePropertyIds', () => {
+  test('combines required and optional property ids', () => {
+    const index = createMockEntityIndex({
+      categories: new Map([
+        ['Agent', { id: 'Agent', required_properties: ['Has_name'] }],
+        ['Person', { id: 'Person', parents: ['Agent'], optional_properties: ['Has_email'] }]
+      ])
+    })
+
+    const result = getEffectivePropertyIds(resolveCategory('Person', index))
+
+    assert.deepStrictEqual([...result], ['Has_name', 'Has_email'])
+  })
+})
+
+describe('isCategoryOrDescendant', () => {
+  const index = createMockEntityIndex({
+    categories: new Map([
+      ['Agent', { id: 'Agent' }],
+      ['Person', { id: 'Person', parents: ['Agent'] }],
+      ['Student', { id: 'Student', parents: ['Person'] }],
+      ['Organization', { id: 'Organization', parents: ['Agent'] }]
+    ])
+  })
+  const effective = resolveAllCategories(index)
+
+  test('category matches itself', () => {
+    assert.strictEqual(isCategoryOrDescendant('Person', 'Person', effective), true)
+  })
+
+  test('transitive descendant matches ancestor', () => {
+    assert.strictEqual(isCategoryOrDescendant('Student', 'Agent', effective), true)
+  })
+
+  test('sibling does not match', () => {
+    assert.strictEqual(isCategoryOrDescendant('Organization', 'Person', effective), false)
+  })
+
+  test('unknown category does not match', () => {
+    assert.strictEqual(isCategoryOrDescendant('Robot', 'Agent', effective), false)
+  })
+})
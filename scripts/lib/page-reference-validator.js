@@ -0,0 +1,113 @@
+/**
+ * Page reference validator for resource values
+ *
+ * Resolves values of Page-typed (or category-sourced) properties to other
+ * resources. A value must be the id of an existing resource, and when the
+ * property declares Allows_value_from_category the target must belong to
+ * that category or one of its descendants.
+ */
+
+import { resolveAllCategories, isCategoryOrDescendant } from './inheritance-resolver.js'
+import { getValueSourceCategory } from './value-checker.js'
+
+/**
+ * Strictness levels for dangling page links
+ * - error: dangling links fail validation
+ * - warning: dangling links are reported but do not fail validation
+ * - off: dangling links are not reported
+ */
+export const PAGE_LINK_STRICTNESS_LEVELS = ['error', 'warning', 'off']
+
+/**
+ * Default strictness for dangling page links
+ */
+export const DEFAULT_PAGE_LINK_STRICTNESS = 'warning'
+
+/**
+ * Check whether a property's values link to other pages
+ *
+ * @param {object} property - Property definition
+ * @returns {boolean} True for Page datatype or category-sourced values
+ */
+function isPageReferenceProperty(property) {
+  return property.datatype === 'Page' || getValueSourceCategory(property) !== null
+}
+
+/**
+ * Validate page references in all resources
+ *
+ * Wrong-category targets are always errors. Dangling links (values that
+ * are not the id of any resource) are reported according to `strictness`.
+ *
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @param {Map<string, object>} effectiveCategories - Resolved schemas from resolveAllCategories
+ * @param {Object} options - Validation options
+ * @param {string} options.strictness - One of PAGE_LINK_STRICTNESS_LEVELS
+ * @returns {{errors: Array, warnings: Array}} Validation results
+ *
+ * @example
+ * validatePageReferences(entityIndex, effective, { strictness: 'error' })
+ * // { errors: [{ file: 'resources/Person/John_doe.json', type: 'dangling-page-link',
+ * //              property: 'Has_employer', message: '...' }], warnings: [] }
+ */
+export function validatePageReferences(
+  entityIndex,
+  effectiveCategories = resolveAllCategories(entityIndex),
+  { strictness = DEFAULT_PAGE_LINK_STRICTNESS } = {}
+) {
+  if (!PAGE_LINK_STRICTNESS_LEVELS.includes(strictness)) {
+    throw new Error(`Invalid page link strictness "${strictness}" (expected one of: ${PAGE_LINK_STRICTNESS_LEVELS.join(', ')})`)
+  }
+
+  const errors = []
+  const warnings = []
+
+  for (const resource of entityIndex.resources.values()) {
+    const file = resource._filePath
+
+    for (const [key, value] of Object.entries(resource)) {
+      const property = entityIndex.properties.get(key)
+      if (!property || !isPageReferenceProperty(property)) {
+        continue
+      }
+
+      const sourceCategory = getValueSourceCategory(property)
+      const values = Array.isArray(value) ? value : [value]
+
+      for (const single of values) {
+        // Non-string and empty values are reported by value checks
+        if (typeof single !== 'string' || single.trim() === '') {
+          continue
+        }
+
+        const targetId = single.trim()
+        const target = entityIndex.resources.get(targetId)
+
+        if (!target) {
+          if (strictness !== 'off') {
+            const expected = sourceCategory ? ` in category ${sourceCategory}` : ''
+            const findings = strictness === 'error' ? errors : warnings
+            findings.push({
+              file,
+              type: 'dangling-page-link',
+              property: key,
+              message: `Property "${key}" links to "${targetId}", which is not an existing resource${expected}`
+            })
+          }
+          continue
+        }
+
+        if (sourceCategory && !isCategoryOrDescendant(target.category, sourceCategory, effectiveCategories)) {
+          errors.push({
+            file,
+            type: 'page-reference-category',
+            property: key,
+            message: `Property "${key}" links to "${targetId}" (category ${target.category}), but only allows values from category ${sourceCategory}`
+          })
+        }
+      }
+    }
+  }
+
+  return { errors, warnings }
+}
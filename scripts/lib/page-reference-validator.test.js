@@ -0,0 +1,136 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert'
+import { validatePageReferences } from './page-reference-validator.js'
+import { resolveAllCategories } from './inheritance-resolver.js'
+import { createResourceTestIndex } from '../__fixtures__/mock-entity-index.js'
+
+/**
+ * Validate page references in a resource test index
+ */
+function validate(resources, options) {
+  const index = createResourceTestIndex([
+    { id: 'Organization/Acme', category: 'Organization', Has_name: 'Acme' },
+    { id: 'Person/Jane_doe', category: 'Person', Has_name: 'Jane Doe' },
+    ...resources
+  ])
+  return validatePageReferences(index, resolveAllCategories(index), options)
+}
+
+describe('validatePageReferences', () => {
+  describe('Resolution', () => {
+    test('link to existing resource in the allowed category passes', () => {
+      const result = validate([
+        { id: 'Person/John_doe', category: 'Person', Has_name: 'John Doe', Has_employer: 'Organization/Acme' }
+      ])
+
+      assert.strictEqual(result.errors.length, 0)
+      assert.strictEqual(result.warnings.length, 0)
+    })
+
+    test('link to resource in a descendant category passes', () => {
+      const index = createResourceTestIndex([
+        { id: 'Organization/Acme', category: 'Organization', Has_name: 'Acme' },
+        { id: 'Person/John_doe', category: 'Person', Has_name: 'John Doe', Has_member_of: 'Organization/Acme' }
+      ])
+      index.properties.set('Has_member_of', { id: 'Has_member_of', datatype: 'Page', Allows_value_from_category: 'Agent' })
+
+      const result = validatePageReferences(index, resolveAllCategories(index))
+
+      assert.strictEqual(result.errors.length, 0)
+    })
+
+    test('Page property without category accepts any existing resource', () => {
+      const result = validate([
+        { id: 'Person/John_doe', category: 'Person', Has_name: 'John Doe', Has_homepage: ['Person/Jane_doe', 'Organization/Acme'] }
+      ])
+
+      assert.strictEqual(result.errors.length, 0)
+      assert.strictEqual(result.warnings.length, 0)
+    })
+
+    test('link to resource in another category returns error', () => {
+      const result = validate([
+        { id: 'Person/John_doe', category: 'Person', Has_name: 'John Doe', Has_employer: 'Person/Jane_doe' }
+      ])
+
+      assert.strictEqual(result.errors.length, 1)
+      assert.strictEqual(result.errors[0].type, 'page-reference-category')
+      assert.strictEqual(result.errors[0].property, 'Has_employer')
+      assert.strictEqual(result.errors[0].file, 'resources/Person/John_doe.json')
+      assert.ok(result.errors[0].message.includes('category Organization'))
+    })
+
+    test('object form of allowed_values is treated the same way', () => {
+      const index = createResourceTestIndex([
+        { id: 'Person/Jane_doe', category: 'Person', Has_name: 'Jane Doe' },
+        { id: 'Person/John_doe', category: 'Person', Has_name: 'John Doe', Has_sponsor: 'Person/Jane_doe' }
+      ])
+      index.properties.set('Has_sponsor', { id: 'Has_sponsor', datatype: 'Page', allowed_values: { from_category: 'Organization' } })
+
+      const result = validatePageReferences(index, resolveAllCategories(index))
+
+      assert.strictEqual(result.errors.length, 1)
+      assert.strictEqual(result.errors[0].type, 'page-reference-category')
+    })
+
+    test('non-Page properties are ignored', () => {
+      const result = validate([
+        { id: 'Person/John_doe', category: 'Person', Has_name: 'Organization/Missing' }
+      ])
+
+      assert.strictEqual(result.errors.length, 0)
+      assert.strictEqual(result.warnings.length, 0)
+    })
+  })
+
+  describe('Dangling links', () => {
+    const resources = [
+      { id: 'Person/John_doe', category: 'Person', Has_name: 'John Doe', Has_employer: 'Organization/Missing' }
+    ]
+
+    test('are warnings by default', () => {
+      const result = validate(resources)
+
+      assert.strictEqual(result.errors.length, 0)
+      assert.strictEqual(result.warnings.length, 1)
+      assert.strictEqual(result.warnings[0].type, 'dangling-page-link')
+      assert.ok(result.warnings[0].message.includes('Organization/Missing'))
+    })
+
+    test('are errors with strictness error', () => {
+      const result = validate(resources, { strictness: 'error' })
+
+      assert.strictEqual(result.errors.length, 1)
+      assert.strictEqual(result.errors[0].type, 'dangling-page-link')
+      assert.strictEqual(result.warnings.length, 0)
+    })
+
+    test('are not reported with strictness off', () => {
+      const result = validate(resources, { strictness: 'off' })
+
+      assert.strictEqual(result.errors.length, 0)
+      assert.strictEqual(result.warnings.length, 0)
+    })
+
+    test('each dangling value in an array is reported', () => {
+      const result = validate([
+        { id: 'Person/John_doe', category: 'Person', Has_name: 'John Doe', Has_homepage: ['Person/Nobody', 'Person/Jane_doe', 'Person/Ghost'] }
+      ])
+
+      assert.strictEqual(result.warnings.length, 2)
+    })
+
+    test('wrong category is an error even with strictness off', () => {
+      const result = validate([
+        { id: 'Person/John_doe', category: 'Person', Has_name: 'John Doe', Has_employer: 'Person/Jane_doe' }
+      ], { strictness: 'off' })
+
+      assert.strictEqual(result.errors.length, 1)
+      assert.strictEqual(result.errors[0].type, 'page-reference-category')
+    })
+  })
+
+  test('invalid strictness throws', () => {
+    assert.throws(() => validate([], { strictness: 'loud' }), /Invalid page link strictness "loud"/)
+  })
+})
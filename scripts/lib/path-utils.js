@@ -1,17 +1,63 @@
+import { ENTITY_TYPES_SET } from './constants.js'
+
+/**
+ * Derive an entity id from a path relative to its schema directory
+ *
+ * Ids of nested entities include their subdirectories, so
+ * `Property/Page.json` (under templates/) has id `Property/Page`.
+ *
+ * @param {string} relativePath - Path relative to the entity type directory
+ * @returns {string} Entity id
+ *
+ * @example
+ * toEntityId('Property/Page.json') // 'Property/Page'
+ * toEntityId('Property\\Page.json') // 'Property/Page'
+ */
+export function toEntityId(relativePath) {
+  return relativePath.replace(/\\/g, '/').replace(/\.json$/, '')
+}
+
 /**
  * Parse entity type and ID from a file path
  *
+ * The id is the path relative to the entity type directory (see toEntityId),
+ * matching the id that validation requires inside the file.
+ *
  * @param {string} filePath - File path like 'properties/Name.json'
  * @returns {{entityType: string, entityId: string}} Parsed entity info
  *
  * @example
  * parseEntityPath('properties/Name.json')
  * // { entityType: 'properties', entityId: 'Name' }
+ *
+ * parseEntityPath('templates/Property/Page.json')
+ * // { entityType: 'templates', entityId: 'Property/Page' }
  */
 export function parseEntityPath(filePath) {
-  const parts = filePath.split('/')
+  const parts = filePath.replace(/\\/g, '/').replace(/^\.\//, '').split('/')
   return {
     entityType: parts[0],
-    entityId: parts[parts.length - 1].replace('.json', '')
+    entityId: toEntityId(parts.slice(1).join('/'))
   }
 }
+
+/**
+ * Check whether a path is an entity file
+ *
+ * Entity files are JSON files under an entity type directory, excluding
+ * `_schema.json` and generated `versions/` artifacts.
+ *
+ * @param {string} filePath - Path relative to the ontology root
+ * @returns {boolean} True for entity files
+ *
+ * @example
+ * isEntityFile('templates/Property/Page.json') // true
+ * isEntityFile('modules/Core/versions/1.0.0.json') // false
+ */
+export function isEntityFile(filePath) {
+  const parts = filePath.replace(/\\/g, '/').split('/')
+  return ENTITY_TYPES_SET.has(parts[0]) &&
+    filePath.endsWith('.json') &&
+    parts[parts.length - 1] !== '_schema.json' &&
+    !parts.includes('versions')
+}
@@ -1,6 +1,6 @@
 import { describe, test } from 'node:test'
 import assert from 'node:assert'
-import { parseEntityPath } from './path-utils.js'
+import { parseEntityPath, toEntityId, isEntityFile } from './path-utils.js'
 
 describe('parseEntityPath', () => {
   test('extracts entity type from path', () => {
@@ -15,11 +15,29 @@ describe('parseEntityPath', () => {
     assert.strictEqual(result.entityId, 'Name')
   })
 
-  test('handles nested paths', () => {
-    const result = parseEntityPath('categories/nested/Agent.json')
+  test('nested paths keep subdirectories in the id', () => {
+    const result = parseEntityPath('templates/Property/Page.json')
 
-    assert.strictEqual(result.entityType, 'categories')
-    assert.strictEqual(result.entityId, 'Agent')
+    assert.strictEqual(result.entityType, 'templates')
+    assert.strictEqual(result.entityId, 'Property/Page')
+  })
+
+  test('nested resource paths keep the category directory in the id', () => {
+    const result = parseEntityPath('resources/Person/John_doe.json')
+
+    assert.strictEqual(result.entityType, 'resources')
+    assert.strictEqual(result.entityId, 'Person/John_doe')
+  })
+
+  test('normalizes Windows separators and leading ./', () => {
+    assert.deepStrictEqual(parseEntityPath('templates\\Property\\Page.json'), {
+      entityType: 'templates',
+      entityId: 'Property/Page'
+    })
+    assert.deepStrictEqual(parseEntityPath('./properties/Name.json'), {
+      entityType: 'properties',
+      entityId: 'Name'
+    })
   })
 
   test('handles all entity types', () => {
@@ -38,3 +56,35 @@ describe('parseEntityPath', () => {
     assert.strictEqual(result.entityId, 'Has_Display_Template')
   })
 })
+
+describe('toEntityId', () => {
+  test('strips .json extension', () => {
+    assert.strictEqual(toEntityId('Name.json'), 'Name')
+  })
+
+  test('keeps nested directories', () => {
+    assert.strictEqual(toEntityId('Property/Page.json'), 'Property/Page')
+  })
+
+  test('normalizes Windows separators', () => {
+    assert.strictEqual(toEntityId('Property\\Page.json'), 'Property/Page')
+  })
+})
+
+describe('isEntityFile', () => {
+  test('accepts entity files, including nested ones', () => {
+    assert.strictEqual(isEntityFile('properties/Has_name.json'), true)
+    assert.strictEqual(isEntityFile('templates/Property/Page.json'), true)
+  })
+
+  test('rejects schema files and version artifacts', () => {
+    assert.strictEqual(isEntityFile('properties/_schema.json'), false)
+    assert.strictEqual(isEntityFile('modules/Core/versions/1.0.0.json'), false)
+  })
+
+  test('rejects files outside entity type directories', () => {
+    assert.strictEqual(isEntityFile('package.json'), false)
+    assert.strictEqual(isEntityFile('docs/example.json'), false)
+    assert.strictEqual(isEntityFile('properties/README.md'), false)
+  })
+})
@@ -0,0 +1,405 @@
+/**
+ * OWL/RDF export of module artifacts as Turtle
+ *
+ * Each module version becomes an owl:Ontology whose IRIs live under a
+ * stable base IRI, so the same entity has the same IRI in every release:
+ *
+ *   <base>module/<id>           ontology (versionIRI <base>module/<id>/<version>)
+ *   <base>category/<id>         owl:Class
+ *   <base>property/<id>         owl:DatatypeProperty or owl:ObjectProperty
+ *   <base>subobject/<id>        owl:ObjectProperty linking a resource to its subobject values
+ *   <base>resource/<id>         individual of its category
+ */
+
+import { RESOURCE_METADATA_FIELDS } from './constants.js'
+import { getValueSourceCategory } from './value-checker.js'
+
+/**
+ * Base IRI of the published ontology
+ */
+export const DEFAULT_BASE_IRI = 'https://labki.org/ontology/'
+
+/**
+ * XSD datatypes of SMW datatypes stored as literals
+ *
+ * Datatypes missing here (Page, Record, Reference) hold nodes rather than
+ * literals and are exported as object properties. Date values are typed by
+ * their precision instead (see DATE_XSD_DATATYPES).
+ */
+export const SMW_XSD_DATATYPES = {
+  'Annotation URI': 'xsd:anyURI',
+  Boolean: 'xsd:boolean',
+  Code: 'xsd:string',
+  Email: 'xsd:string',
+  'External identifier': 'xsd:string',
+  'Geographic coordinates': 'xsd:string',
+  Keyword: 'xsd:string',
+  'Monolingual text': 'rdf:langString',
+  Number: 'xsd:decimal',
+  Quantity: 'xsd:string',
+  'Telephone number': 'xsd:string',
+  Temperature: 'xsd:string',
+  Text: 'xsd:string',
+  URL: 'xsd:anyURI'
+}
+
+/**
+ * XSD datatypes of Date values, from year to point in time
+ *
+ * SMW dates may be a year (`2024`), a month (`2024-05`), a day
+ * (`2024-05-01`) or a point in time (`2024-05-01T10:30`), see value-checker.js.
+ */
+export const DATE_XSD_DATATYPES = ['xsd:gYear', 'xsd:gYearMonth', 'xsd:date', 'xsd:dateTime']
+
+/**
+ * Standard prefixes used by the exported documents
+ */
+const STANDARD_PREFIXES = {
+  owl: 'http://www.w3.org/2002/07/owl#',
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+  xsd: 'http://www.w3.org/2001/XMLSchema#'
+}
+
+/**
+ * Get the namespaces of entity IRIs under a base IRI
+ *
+ * @param {string} baseIri - Base IRI (ending in /)
+ * @returns {{category: string, property: string, subobject: string, resource: string}} Namespace IRIs keyed by prefix
+ */
+export function getEntityNamespaces(baseIri = DEFAULT_BASE_IRI) {
+  return {
+    category: `${baseIri}category/`,
+    property: `${baseIri}property/`,
+    subobject: `${baseIri}subobject/`,
+    resource: `${baseIri}resource/`
+  }
+}
+
+/**
+ * Render the @prefix lines of a Turtle document
+ *
+ * @param {Object<string, string>} prefixes - Namespace IRIs keyed by prefix
+ * @returns {string[]} Prefix lines
+ */
+export function renderPrefixes(prefixes) {
+  return Object.entries(prefixes).map(([prefix, iri]) => `@prefix ${prefix}: <${iri}> .`)
+}
+
+/**
+ * Render a name in a namespace, as a prefixed name when the id allows it
+ *
+ * Ids with characters that are not valid in a prefixed name (e.g., the `/`
+ * of hierarchical resource ids) are written as full IRIs.
+ *
+ * @param {Object<string, string>} namespaces - Namespace IRIs from getEntityNamespaces
+ * @param {string} prefix - Namespace prefix ('category', 'property', 'subobject' or 'resource')
+ * @param {string} id - Entity id
+ * @returns {string} Turtle term
+ *
+ * @example
+ * renderName(getEntityNamespaces(), 'category', 'Person') // 'category:Person'
+ * renderName(getEntityNamespaces(), 'resource', 'Person/John_doe') // '<https://labki.org/ontology/resource/Person/John_doe>'
+ */
+export function renderName(namespaces, prefix, id) {
+  if (/^[A-Za-z_][A-Za-z0-9_-]*$/.test(id)) {
+    return `${prefix}:${id}`
+  }
+  return `<${namespaces[prefix]}${encodeURI(id)}>`
+}
+
+/**
+ * Render a Turtle string literal
+ *
+ * @param {*} value - Literal value
+ * @returns {string} Quoted and escaped literal
+ */
+export function renderString(value) {
+  const escaped = String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t')
+  return `"${escaped}"`
+}
+
+/**
+ * Render a literal of an XSD datatype
+ *
+ * Strings are written as plain literals and booleans as `true`/`false`
+ * (resources may also use yes/no/1/0, see value-checker.js).
+ *
+ * @param {*} value - Literal value
+ * @param {string|undefined} datatype - Datatype from SMW_XSD_DATATYPES (undefined for plain strings)
+ * @returns {string} Turtle literal
+ *
+ * @example
+ * renderLiteral(2.5, 'xsd:decimal') // '"2.5"^^xsd:decimal'
+ */
+export function renderLiteral(value, datatype) {
+  if (!datatype || datatype === 'xsd:string' || datatype === 'rdf:langString') {
+    return renderString(value)
+  }
+  if (datatype === 'xsd:boolean') {
+    return ['true', 'yes', '1'].includes(String(value).toLowerCase()) ? 'true' : 'false'
+  }
+  return `${renderString(value)}^^${datatype}`
+}
+
+/**
+ * Render a Date value as a literal of the XSD datatype matching its precision
+ *
+ * Years are padded to four digits and times without seconds get `:00`, as
+ * the XSD lexical forms require.
+ *
+ * @param {string|number} value - Date value (YYYY, YYYY-MM, YYYY-MM-DD or YYYY-MM-DDThh:mm[:ss], or an integer year)
+ * @returns {string} Turtle literal
+ *
+ * @example
+ * renderDate('2024-05-01') // '"2024-05-01"^^xsd:date'
+ * renderDate(2024) // '"2024"^^xsd:gYear'
+ * renderDate('2024-05-01T10:30Z') // '"2024-05-01T10:30:00Z"^^xsd:dateTime'
+ */
+export function renderDate(value) {
+  const match = String(value).match(/^(-?)(\d+)((?:-\d{2}){0,2})(T.*)?$/)
+  if (!match) {
+    return renderString(value)
+  }
+
+  const [, sign, year, monthDay, time] = match
+  const precision = time ? 3 : monthDay.length / 3
+  const lexical = `${sign}${year.padStart(4, '0')}${monthDay}${(time || '').replace(/^(T\d{2}:\d{2})(?!:)/, '$1:00')}`
+  return `${renderString(lexical)}^^${DATE_XSD_DATATYPES[precision]}`
+}
+
+/**
+ * Render a literal of an SMW datatype
+ *
+ * @param {*} value - Literal value
+ * @param {string|undefined} smwDatatype - SMW datatype (e.g., 'Number', 'Date')
+ * @returns {string} Turtle literal
+ *
+ * @example
+ * renderTypedLiteral(2.5, 'Number') // '"2.5"^^xsd:decimal'
+ * renderTypedLiteral('2024-05', 'Date') // '"2024-05"^^xsd:gYearMonth'
+ */
+export function renderTypedLiteral(value, smwDatatype) {
+  if (smwDatatype === 'Date') {
+    return renderDate(value)
+  }
+  return renderLiteral(value, SMW_XSD_DATATYPES[smwDatatype])
+}
+
+/**
+ * Render a subject with its predicate-object pairs as a Turtle statement
+ *
+ * @param {string} subject - Subject term
+ * @param {Array<[string, string|string[]]>} predicates - Predicates with one or more objects
+ * @returns {string} Statement ending in ' .'
+ */
+export function renderStatement(subject, predicates) {
+  const lines = predicates
+    .filter(([, objects]) => !Array.isArray(objects) || objects.length > 0)
+    .map(([predicate, objects]) => `    ${predicate} ${[].concat(objects).join(', ')}`)
+  return `${subject}\n${lines.join(' ;\n')} .`
+}
+
+/**
+ * Sort entities by id for stable output
+ *
+ * @param {Object[]} entities - Entities
+ * @returns {Object[]} Sorted copy
+ */
+function sortById(entities = []) {
+  return [...entities].sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+}
+
+/**
+ * Render the label, comment and deprecation of an entity
+ *
+ * @param {Object} entity - Entity
+ * @returns {Array<[string, string]>} Predicates
+ */
+function renderAnnotations(entity) {
+  const predicates = []
+  if (entity.label) predicates.push(['rdfs:label', renderString(entity.label)])
+  if (entity.description) predicates.push(['rdfs:comment', renderString(entity.description)])
+  if (entity.deprecated) predicates.push(['owl:deprecated', 'true'])
+  return predicates
+}
+
+/**
+ * Render a category as an owl:Class
+ *
+ * @param {Object} category - Category entity
+ * @param {Object<string, string>} namespaces - Namespace IRIs from getEntityNamespaces
+ * @returns {string} Turtle statement
+ */
+function renderCategory(category, namespaces) {
+  return renderStatement(renderName(namespaces, 'category', category.id), [
+    ['a', 'owl:Class'],
+    ...renderAnnotations(category),
+    ['rdfs:subClassOf', (category.parents || []).map(parentId => renderName(namespaces, 'category', parentId))]
+  ])
+}
+
+/**
+ * Render a property as an owl:ObjectProperty or owl:DatatypeProperty
+ *
+ * Page properties range over the category their values come from, if any,
+ * and Date properties over the union of DATE_XSD_DATATYPES. Single-cardinality
+ * properties are also functional.
+ *
+ * @param {Object} property - Property entity
+ * @param {Object<string, string>} namespaces - Namespace IRIs from getEntityNamespaces
+ * @returns {string} Turtle statement
+ */
+function renderProperty(property, namespaces) {
+  const datatype = property.datatype === 'Date'
+    ? `[ a rdfs:Datatype ; owl:unionOf ( ${DATE_XSD_DATATYPES.join(' ')} ) ]`
+    : SMW_XSD_DATATYPES[property.datatype]
+  const types = [datatype ? 'owl:DatatypeProperty' : 'owl:ObjectProperty']
+  if (property.cardinality === 'single') types.push('owl:FunctionalProperty')
+
+  const valueCategory = getValueSourceCategory(property)
+  const range = datatype || (valueCategory ? renderName(namespaces, 'category', valueCategory) : [])
+
+  return renderStatement(renderName(namespaces, 'property', property.id), [
+    ['a', types],
+    ...renderAnnotations(property),
+    ['rdfs:subPropertyOf', property.parent_property ? renderName(namespaces, 'property', property.parent_property) : []],
+    ['rdfs:range', range]
+  ])
+}
+
+/**
+ * Render a resource value as a Turtle object
+ *
+ * @param {*} value - Property value
+ * @param {Object|undefined} property - Property entity (undefined if not in the artifact)
+ * @param {Map<string, Object>} properties - Properties by id
+ * @param {Object<string, string>} namespaces - Namespace IRIs from getEntityNamespaces
+ * @returns {string} Turtle object
+ */
+function renderValue(value, property, properties, namespaces) {
+  if (value !== null && typeof value === 'object') {
+    // Record and Reference values become blank nodes of their fields
+    const fields = Object.entries(value).map(([fieldId, fieldValue]) =>
+      `${renderName(namespaces, 'property', fieldId)} ${renderValue(fieldValue, properties.get(fieldId), properties, namespaces)}`
+    )
+    return `[ ${fields.join(' ; ')} ]`
+  }
+  if (property?.datatype === 'Page') {
+    return renderName(namespaces, 'resource', String(value))
+  }
+  return renderTypedLiteral(value, property?.datatype)
+}
+
+/**
+ * Render a subobject as the owl:ObjectProperty linking resources to its values
+ *
+ * @param {Object} subobject - Subobject entity
+ * @param {Object<string, string>} namespaces - Namespace IRIs from getEntityNamespaces
+ * @returns {string} Turtle statement
+ */
+function renderSubobject(subobject, namespaces) {
+  return renderStatement(renderName(namespaces, 'subobject', subobject.id), [
+    ['a', 'owl:ObjectProperty'],
+    ...renderAnnotations(subobject)
+  ])
+}
+
+/**
+ * Get the namespace prefix of a resource key
+ *
+ * Keys defined in the artifact are looked up; keys from dependency modules
+ * fall back to the id conventions (properties start with Has_ or Is_).
+ *
+ * @param {string} key - Resource key
+ * @param {Map<string, Object>} properties - Properties by id
+ * @param {Set<string>} subobjectIds - Subobject ids
+ * @returns {string} 'property' or 'subobject'
+ */
+function getResourceKeyPrefix(key, properties, subobjectIds) {
+  if (properties.has(key)) {
+    return 'property'
+  }
+  if (subobjectIds.has(key)) {
+    return 'subobject'
+  }
+  return /^(Has|Is)_/.test(key) ? 'property' : 'subobject'
+}
+
+/**
+ * Render a resource as an individual of its category
+ *
+ * Property values use the property's predicate; subobject values become
+ * blank nodes of their property values, linked with the subobject's predicate.
+ *
+ * @param {Object} resource - Resource entity
+ * @param {Map<string, Object>} properties - Properties by id
+ * @param {Set<string>} subobjectIds - Subobject ids
+ * @param {Object<string, string>} namespaces - Namespace IRIs from getEntityNamespaces
+ * @returns {string} Turtle statement
+ */
+function renderResource(resource, properties, subobjectIds, namespaces) {
+  const predicates = [
+    ['a', ['owl:NamedIndividual', renderName(namespaces, 'category', resource.category)]],
+    ...renderAnnotations(resource)
+  ]
+
+  for (const [key, value] of Object.entries(resource)) {
+    if (RESOURCE_METADATA_FIELDS.has(key) || key.startsWith('_')) {
+      continue
+    }
+    const prefix = getResourceKeyPrefix(key, properties, subobjectIds)
+    const property = properties.get(key)
+    const values = Array.isArray(value) ? value : [value]
+    predicates.push([
+      renderName(namespaces, prefix, key),
+      values.map(single => renderValue(single, property, properties, namespaces))
+    ])
+  }
+
+  return renderStatement(renderName(namespaces, 'resource', resource.id), predicates)
+}
+
+/**
+ * Serialize a module artifact as an OWL ontology in Turtle
+ *
+ * @param {Object} artifact - Module artifact (modules/<id>/versions/<version>.json)
+ * @param {Object} options - Export options
+ * @param {string} options.baseIri - Base IRI (defaults to DEFAULT_BASE_IRI)
+ * @returns {string} Turtle document
+ *
+ * @example
+ * exportArtifactTurtle(loadModuleArtifact('Core', '1.0.0'))
+ * // '@prefix owl: <http://www.w3.org/2002/07/owl#> .\n...\n<https://labki.org/ontology/module/Core>\n    a owl:Ontology ;...'
+ */
+export function exportArtifactTurtle(artifact, { baseIri = DEFAULT_BASE_IRI } = {}) {
+  const namespaces = getEntityNamespaces(baseIri)
+  const properties = new Map((artifact.properties || []).map(property => [property.id, property]))
+  const subobjectIds = new Set((artifact.subobjects || []).map(subobject => subobject.id))
+
+  const ontology = renderStatement(`<${baseIri}module/${artifact.id}>`, [
+    ['a', 'owl:Ontology'],
+    ['owl:versionIRI', `<${baseIri}module/${artifact.id}/${artifact.version}>`],
+    ['owl:versionInfo', renderString(artifact.version)],
+    ['owl:imports', Object.entries(artifact.dependencies || {})
+      .map(([moduleId, version]) => `<${baseIri}module/${moduleId}/${version}>`)]
+  ])
+
+  const statements = [
+    ontology,
+    ...sortById(artifact.categories).map(category => renderCategory(category, namespaces)),
+    ...sortById(artifact.properties).map(property => renderProperty(property, namespaces)),
+    ...sortById(artifact.subobjects).map(subobject => renderSubobject(subobject, namespaces)),
+    ...sortById(artifact.resources).map(resource => renderResource(resource, properties, subobjectIds, namespaces))
+  ]
+
+  return [
+    renderPrefixes({ ...STANDARD_PREFIXES, ...namespaces }).join('\n'),
+    ...statements
+  ].join('\n\n') + '\n'
+}
@@ -0,0 +1,188 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert'
+import {
+  DEFAULT_BASE_IRI,
+  getEntityNamespaces,
+  renderName,
+  renderString,
+  renderLiteral,
+  renderDate,
+  renderTypedLiteral,
+  renderStatement,
+  exportArtifactTurtle
+} from './rdf-exporter.js'
+import { createMockArtifact } from '../__fixtures__/mock-artifact.js'
+
+/**
+ * Lab artifact with an entity of each kind the Turtle export serializes
+ */
+const LAB_ARTIFACT = {
+  id: 'Lab',
+  version: '1.2.0',
+  dependencies: { Core: '1.0.0' },
+  categories: [
+    { id: 'Person', label: 'Person', description: 'A human being', parents: ['Agent'] },
+    { id: 'Equipment', label: 'Equipment', description: 'Lab equipment' }
+  ],
+  properties: [
+    { id: 'Has_name', label: 'Name', description: 'Name', datatype: 'Text', cardinality: 'single' },
+    { id: 'Has_work_email', label: 'Work email', datatype: 'Email', cardinality: 'multiple', parent_property: 'Has_email' },
+    { id: 'Has_owner', label: 'Owner', datatype: 'Page', cardinality: 'single', Allows_value_from_category: 'Person' },
+    { id: 'Has_weight', label: 'Weight', datatype: 'Number', cardinality: 'single' },
+    { id: 'Is_active', label: 'Active', datatype: 'Boolean', cardinality: 'single' },
+    { id: 'Has_purchase_date', label: 'Purchase date', datatype: 'Date', cardinality: 'single' }
+  ],
+  subobjects: [{ id: 'Calibration', label: 'Calibration', description: 'A calibration record' }],
+  resources: [
+    {
+      id: 'Equipment/Scale',
+      category: 'Equipment',
+      label: 'Scale',
+      Has_owner: 'Person/John_doe',
+      Has_weight: 2.5,
+      Is_active: 'yes',
+      Calibration: [{ Has_weight: 1, Has_name: 'Factory' }]
+    }
+  ]
+}
+
+describe('Turtle helpers', () => {
+  const namespaces = getEntityNamespaces()
+
+  test('renders safe ids as prefixed names and others as full IRIs', () => {
+    assert.strictEqual(renderName(namespaces, 'category', 'Person'), 'category:Person')
+    assert.strictEqual(renderName(namespaces, 'resource', 'Person/John_doe'), `<${DEFAULT_BASE_IRI}resource/Person/John_doe>`)
+    assert.strictEqual(renderName(namespaces, 'resource', 'Person/Jöhn doe'), `<${DEFAULT_BASE_IRI}resource/Person/J%C3%B6hn%20doe>`)
+  })
+
+  test('renders typed literals', () => {
+    assert.strictEqual(renderLiteral('text', 'xsd:string'), '"text"')
+    assert.strictEqual(renderLiteral(42, 'xsd:decimal'), '"42"^^xsd:decimal')
+    assert.strictEqual(renderLiteral('no', 'xsd:boolean'), 'false')
+  })
+
+  test('types dates by their precision', () => {
+    assert.strictEqual(renderDate('2024-05-01'), '"2024-05-01"^^xsd:date')
+    assert.strictEqual(renderDate('2024-05'), '"2024-05"^^xsd:gYearMonth')
+    assert.strictEqual(renderDate('2024'), '"2024"^^xsd:gYear')
+    assert.strictEqual(renderDate(2024), '"2024"^^xsd:gYear')
+    assert.strictEqual(renderDate('2024-05-01T10:30:15Z'), '"2024-05-01T10:30:15Z"^^xsd:dateTime')
+  })
+
+  test('completes dates to their XSD lexical form', () => {
+    assert.strictEqual(renderDate(800), '"0800"^^xsd:gYear')
+    assert.strictEqual(renderDate('-44'), '"-0044"^^xsd:gYear')
+    assert.strictEqual(renderDate('2024-05-01T10:30'), '"2024-05-01T10:30:00"^^xsd:dateTime')
+    assert.strictEqual(renderDate('2024-05-01T10:30+02:00'), '"2024-05-01T10:30:00+02:00"^^xsd:dateTime')
+  })
+
+  test('renders literals of SMW datatypes', () => {
+    assert.strictEqual(renderTypedLiteral(2.5, 'Number'), '"2.5"^^xsd:decimal')
+    assert.strictEqual(renderTypedLiteral('2024-05-01', 'Date'), '"2024-05-01"^^xsd:date')
+    assert.strictEqual(renderTypedLiteral('Page title', undefined), '"Page title"')
+  })
+
+  test('escapes string literals', () => {
+    assert.strictEqual(renderString('Say "hi"\n\\o/'), '"Say \\"hi\\"\\n\\\\o/"')
+  })
+
+  test('renders statements and skips predicates without objects', () => {
+    assert.strictEqual(
+      renderStatement('category:Person', [['a', 'owl:Class'], ['rdfs:subClassOf', []], ['rdfs:label', ['"A"', '"B"']]]),
+      'category:Person\n    a owl:Class ;\n    rdfs:label "A", "B" .'
+    )
+  })
+})
+
+describe('exportArtifactTurtle', () => {
+  test('declares a versioned ontology importing its dependencies', () => {
+    const turtle = exportArtifactTurtle(createMockArtifact(LAB_ARTIFACT))
+
+    assert.ok(turtle.startsWith('@prefix owl: <http://www.w3.org/2002/07/owl#> .\n'))
+    assert.ok(turtle.includes(`@prefix category: <${DEFAULT_BASE_IRI}category/> .`))
+    assert.ok(turtle.includes(
+      `<${DEFAULT_BASE_IRI}module/Lab>\n    a owl:Ontology ;\n` +
+      `    owl:versionIRI <${DEFAULT_BASE_IRI}module/Lab/1.2.0> ;\n` +
+      '    owl:versionInfo "1.2.0" ;\n' +
+      `    owl:imports <${DEFAULT_BASE_IRI}module/Core/1.0.0> .`
+    ))
+  })
+
+  test('serializes categories as classes with their parents', () => {
+    const turtle = exportArtifactTurtle(createMockArtifact(LAB_ARTIFACT))
+
+    assert.ok(turtle.includes('category:Person\n    a owl:Class ;\n    rdfs:label "Person" ;\n    rdfs:comment "A human being" ;\n    rdfs:subClassOf category:Agent .'))
+    assert.ok(turtle.indexOf('category:Equipment\n') < turtle.indexOf('category:Person\n'))
+  })
+
+  test('serializes properties by datatype and cardinality', () => {
+    const turtle = exportArtifactTurtle(createMockArtifact(LAB_ARTIFACT))
+
+    assert.ok(turtle.includes('property:Has_name\n    a owl:DatatypeProperty, owl:FunctionalProperty ;'))
+    assert.ok(turtle.includes('property:Has_work_email\n    a owl:DatatypeProperty ;\n    rdfs:label "Work email" ;\n    rdfs:subPropertyOf property:Has_email ;\n    rdfs:range xsd:string .'))
+    assert.ok(turtle.includes('property:Has_owner\n    a owl:ObjectProperty, owl:FunctionalProperty ;\n    rdfs:label "Owner" ;\n    rdfs:range category:Person .'))
+    assert.ok(turtle.includes('    rdfs:range xsd:decimal .'))
+  })
+
+  test('serializes resources as individuals of their category', () => {
+    const turtle = exportArtifactTurtle(createMockArtifact(LAB_ARTIFACT))
+
+    assert.ok(turtle.includes(
+      `<${DEFAULT_BASE_IRI}resource/Equipment/Scale>\n` +
+      '    a owl:NamedIndividual, category:Equipment ;\n' +
+      '    rdfs:label "Scale" ;\n' +
+      `    property:Has_owner <${DEFAULT_BASE_IRI}resource/Person/John_doe> ;\n` +
+      '    property:Has_weight "2.5"^^xsd:decimal ;\n' +
+      '    property:Is_active true ;\n' +
+      '    subobject:Calibration [ property:Has_weight "1"^^xsd:decimal ; property:Has_name "Factory" ] .'
+    ))
+  })
+
+  test('tells properties and subobjects apart by their definitions', () => {
+    const turtle = exportArtifactTurtle(createMockArtifact({
+      ...LAB_ARTIFACT,
+      properties: [...LAB_ARTIFACT.properties, { id: 'Serial_number', label: 'Serial number', datatype: 'Text', cardinality: 'single' }],
+      subobjects: [{ id: 'Has_part', label: 'Part' }],
+      resources: [{ id: 'Equipment/Scale', category: 'Equipment', Serial_number: 'SN-1', Has_part: [{ Has_name: 'Pan' }], Maintenance: [{ Has_name: 'Yearly' }] }]
+    }))
+
+    assert.ok(turtle.includes('    property:Serial_number "SN-1" ;'))
+    assert.ok(turtle.includes('    subobject:Has_part [ property:Has_name "Pan" ] ;'))
+    assert.ok(turtle.includes('    subobject:Maintenance [ property:Has_name "Yearly" ] .'))
+  })
+
+  test('serializes dates with the datatype of their precision', () => {
+    const turtle = exportArtifactTurtle(createMockArtifact({
+      ...LAB_ARTIFACT,
+      resources: [{ id: 'Equipment/Scale', category: 'Equipment', Has_purchase_date: '2024-05-01' }]
+    }))
+
+    assert.ok(turtle.includes(
+      'property:Has_purchase_date\n    a owl:DatatypeProperty, owl:FunctionalProperty ;\n    rdfs:label "Purchase date" ;\n' +
+      '    rdfs:range [ a rdfs:Datatype ; owl:unionOf ( xsd:gYear xsd:gYearMonth xsd:date xsd:dateTime ) ] .'
+    ))
+    assert.ok(turtle.includes('    property:Has_purchase_date "2024-05-01"^^xsd:date .'))
+  })
+
+  test('serializes subobjects as object properties', () => {
+    const turtle = exportArtifactTurtle(createMockArtifact(LAB_ARTIFACT))
+
+    assert.ok(turtle.includes('subobject:Calibration\n    a owl:ObjectProperty ;\n    rdfs:label "Calibration" ;\n    rdfs:comment "A calibration record" .'))
+  })
+
+  test('marks deprecated entities', () => {
+    const turtle = exportArtifactTurtle(createMockArtifact({
+      ...LAB_ARTIFACT,
+      properties: [{ id: 'Has_fax', label: 'Fax', datatype: 'Text', cardinality: 'single', deprecated: { since: '1.1.0' } }]
+    }))
+
+    assert.ok(turtle.includes('    owl:deprecated true ;'))
+  })
+
+  test('uses the given base IRI', () => {
+    const turtle = exportArtifactTurtle(createMockArtifact(LAB_ARTIFACT), { baseIri: 'https://example.org/onto/' })
+
+    assert.ok(turtle.includes('@prefix category: <https://example.org/onto/category/> .'))
+    assert.ok(turtle.includes('<https://example.org/onto/module/Lab>'))
+  })
+})
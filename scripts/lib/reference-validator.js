@@ -66,12 +66,13 @@ function getModuleScope(graph, moduleId) {
 /**
  * Normalize a reference value to an array
  *
- * @param {*} value - Reference value (string, array, or undefined)
+ * @param {*} value - Reference value (string, array, map keyed by ID, or undefined)
  * @returns {string[]} Array of reference IDs
  */
 function normalizeToArray(value) {
   if (!value) return []
   if (Array.isArray(value)) return value
+  if (typeof value === 'object') return Object.keys(value)
   return [value]
 }
 
@@ -236,6 +236,27 @@ describe('validateReferences', () => {
       assert.strictEqual(selfRefErrors.length, 1)
     })
 
+    test('module dependency in a range map references itself returns error', () => {
+      const index = createMockEntityIndex({
+        modules: new Map([
+          ['SelfDep', {
+            id: 'SelfDep',
+            dependencies: { SelfDep: '^1.0.0' },
+            categories: [],
+            properties: [],
+            subobjects: [],
+            templates: [],
+            _filePath: 'modules/SelfDep.json'
+          }]
+        ])
+      })
+
+      const result = validateReferences(index)
+
+      const selfRefErrors = result.errors.filter(e => e.type === 'self-reference')
+      assert.strictEqual(selfRefErrors.length, 1)
+    })
+
     test('valid non-self-reference passes', () => {
       const index = createMockEntityIndex({
         categories: new Map([
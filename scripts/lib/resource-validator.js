@@ -0,0 +1,143 @@
+/**
+ * Resource validator for resource instances
+ *
+ * Checks each resource against the effective (inheritance-resolved) schema
+ * of its category: allowed keys, required properties, cardinality, property
+ * values, and that the resource lives in the directory named after its category.
+ */
+
+import path from 'node:path'
+import { RESOURCE_METADATA_FIELDS } from './constants.js'
+import { resolveAllCategories, getEffectivePropertyIds } from './inheritance-resolver.js'
+import { checkValue } from './value-checker.js'
+
+/**
+ * Get the category directory a resource file lives in
+ *
+ * @param {string} filePath - Resource path like 'resources/Person/John_doe.json'
+ * @returns {string} Directory relative to resources/ (e.g., 'Person'), or '' at top level
+ */
+function getResourceDirectory(filePath) {
+  const relativeDir = path.posix.dirname(filePath.replace(/\\/g, '/'))
+  return relativeDir.split('/').slice(1).join('/')
+}
+
+/**
+ * Check whether a resource value is present (not null, empty string or empty array)
+ *
+ * @param {*} value - Resource property value
+ * @returns {boolean} True if a value is provided
+ */
+function hasValue(value) {
+  if (value === undefined || value === null || value === '') return false
+  if (Array.isArray(value)) return value.length > 0
+  return true
+}
+
+/**
+ * Validate all resources in the entity index
+ *
+ * Checks:
+ * - `category` references an existing category
+ * - The resource directory matches its `category`
+ * - Every non-metadata key is a property (or subobject) the category allows, including inherited ones
+ * - All required properties (including inherited ones) are present
+ * - Single-cardinality properties are not given arrays
+ * - Each value matches the property datatype and value constraints
+ *
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @param {Map<string, object>} effectiveCategories - Resolved schemas from resolveAllCategories
+ * @returns {{errors: Array}} Validation results
+ */
+export function validateResources(entityIndex, effectiveCategories = resolveAllCategories(entityIndex)) {
+  const errors = []
+
+  for (const [resourceId, resource] of entityIndex.resources) {
+    const file = resource._filePath
+
+    const effective = effectiveCategories.get(resource.category)
+    if (!effective) {
+      errors.push({
+        file,
+        type: 'missing-reference',
+        message: `Missing reference in field "category": "${resource.category}" does not exist in categories`
+      })
+      continue
+    }
+
+    // Resources live under resources/<Category>/
+    const directory = getResourceDirectory(file)
+    if (directory !== resource.category) {
+      errors.push({
+        file,
+        type: 'resource-category-mismatch',
+        message: `Resource ${resourceId} is in directory "${directory || 'resources'}" but its category is "${resource.category}"`
+      })
+    }
+
+    const allowedProperties = getEffectivePropertyIds(effective)
+    const allowedSubobjects = new Set([
+      ...effective.required_subobjects.map(item => item.id),
+      ...effective.optional_subobjects.map(item => item.id)
+    ])
+
+    for (const [key, value] of Object.entries(resource)) {
+      if (RESOURCE_METADATA_FIELDS.has(key) || key.startsWith('_') || allowedSubobjects.has(key)) {
+        continue
+      }
+
+      if (!allowedProperties.has(key)) {
+        errors.push({
+          file,
+          type: 'resource-unknown-property',
+          message: `Property "${key}" is not allowed by category ${resource.category} (or its ancestors)`
+        })
+        continue
+      }
+
+      // Missing property definitions are reported by reference validation
+      const property = entityIndex.properties.get(key)
+      if (!property) {
+        continue
+      }
+
+      if (property.cardinality === 'single' && Array.isArray(value)) {
+        errors.push({
+          file,
+          type: 'resource-cardinality',
+          message: `Property "${key}" has single cardinality but was given ${value.length} value(s) as an array`
+        })
+      }
+
+      // Check every provided value (missing values are reported below)
+      const values = Array.isArray(value) ? value : [value]
+      values.forEach((single, position) => {
+        if (!hasValue(single)) {
+          return
+        }
+        const label = values.length > 1 ? `${key}[${position}]` : key
+        for (const problem of checkValue(single, property)) {
+          errors.push({
+            file,
+            type: 'invalid-value',
+            property: key,
+            message: `Invalid value for "${label}": ${problem}`
+          })
+        }
+      })
+    }
+
+    for (const item of effective.required_properties) {
+      if (!hasValue(resource[item.id])) {
+        const inherited = item.source !== resource.category ? ` (inherited from ${item.source})` : ''
+        errors.push({
+          file,
+          type: 'resource-missing-property',
+          message: `Required property "${item.id}" of category ${resource.category} is missing${inherited}`
+        })
+      }
+    }
+  }
+
+  return { errors }
+}
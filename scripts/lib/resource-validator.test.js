@@ -0,0 +1,188 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert'
+import { validateResources } from './resource-validator.js'
+import { createResourceTestIndex } from '../__fixtures__/mock-entity-index.js'
+
+describe('validateResources', () => {
+  describe('Valid resources', () => {
+    test('resource with inherited required property passes', () => {
+      const index = createResourceTestIndex([
+        { id: 'Person/John_doe', category: 'Person', label: 'John Doe', Has_name: 'John Doe', Has_email: 'john@example.com' }
+      ])
+
+      const result = validateResources(index)
+
+      assert.strictEqual(result.errors.length, 0)
+    })
+
+    test('multiple-cardinality property accepts array', () => {
+      const index = createResourceTestIndex([
+        { id: 'Person/John_doe', category: 'Person', Has_name: 'John Doe', Has_email: ['a@example.com', 'b@example.com'] }
+      ])
+
+      const result = validateResources(index)
+
+      assert.strictEqual(result.errors.length, 0)
+    })
+
+    test('allowed subobject key is accepted', () => {
+      const index = createResourceTestIndex([
+        { id: 'Person/John_doe', category: 'Person', Has_name: 'John Doe', Address: { Has_city: 'Springfield' } }
+      ])
+
+      const result = validateResources(index)
+
+      assert.strictEqual(result.errors.length, 0)
+    })
+
+    test('empty index returns no errors', () => {
+      const result = validateResources(createResourceTestIndex())
+
+      assert.strictEqual(result.errors.length, 0)
+    })
+  })
+
+  describe('Category checks', () => {
+    test('unknown category returns missing-reference error', () => {
+      const index = createResourceTestIndex([
+        { id: 'Robot/R2', category: 'Robot', Has_name: 'R2' }
+      ])
+
+      const result = validateResources(index)
+
+      assert.strictEqual(result.errors.length, 1)
+      assert.strictEqual(result.errors[0].type, 'missing-reference')
+      assert.ok(result.errors[0].message.includes('Robot'))
+    })
+
+    test('directory not matching category returns error', () => {
+      const index = createResourceTestIndex([
+        { id: 'Person/Acme', category: 'Organization', Has_name: 'Acme' }
+      ])
+
+      const result = validateResources(index)
+
+      assert.strictEqual(result.errors.length, 1)
+      assert.strictEqual(result.errors[0].type, 'resource-category-mismatch')
+      assert.ok(result.errors[0].message.includes('"Person"'))
+    })
+
+    test('top-level resource returns category mismatch', () => {
+      const index = createResourceTestIndex([
+        { id: 'Acme', category: 'Organization', Has_name: 'Acme' }
+      ])
+
+      const result = validateResources(index)
+
+      assert.strictEqual(result.errors.length, 1)
+      assert.strictEqual(result.errors[0].type, 'resource-category-mismatch')
+    })
+  })
+
+  describe('Property checks', () => {
+    test('property not allowed by category returns error', () => {
+      const index = createResourceTestIndex([
+        { id: 'Person/John_doe', category: 'Person', Has_name: 'John Doe', Has_website: 'https://example.com' }
+      ])
+
+      const result = validateResources(index)
+
+      assert.strictEqual(result.errors.length, 1)
+      assert.strictEqual(result.errors[0].type, 'resource-unknown-property')
+      assert.ok(result.errors[0].message.includes('Has_website'))
+    })
+
+    test('missing inherited required property returns error', () => {
+      const index = createResourceTestIndex([
+        { id: 'Person/John_doe', category: 'Person', Has_email: 'john@example.com' }
+      ])
+
+      const result = validateResources(index)
+
+      assert.strictEqual(result.errors.length, 1)
+      assert.strictEqual(result.errors[0].type, 'resource-missing-property')
+      assert.ok(result.errors[0].message.includes('Has_name'))
+      assert.ok(result.errors[0].message.includes('inherited from Agent'))
+    })
+
+    test('empty value counts as missing', () => {
+      const index = createResourceTestIndex([
+        { id: 'Agent/Someone', category: 'Agent', Has_name: '' }
+      ])
+
+      const result = validateResources(index)
+
+      assert.strictEqual(result.errors.length, 1)
+      assert.strictEqual(result.errors[0].type, 'resource-missing-property')
+      assert.ok(!result.errors[0].message.includes('inherited'))
+    })
+
+    test('array for single-cardinality property returns error', () => {
+      const index = createResourceTestIndex([
+        { id: 'Person/John_doe', category: 'Person', Has_name: ['John', 'Johnny'] }
+      ])
+
+      const result = validateResources(index)
+
+      assert.strictEqual(result.errors.length, 1)
+      assert.strictEqual(result.errors[0].type, 'resource-cardinality')
+      assert.ok(result.errors[0].message.includes('Has_name'))
+    })
+
+    test('errors from multiple resources all returned', () => {
+      const index = createResourceTestIndex([
+        { id: 'Person/A', category: 'Person' },
+        { id: 'Organization/B', category: 'Organization', Has_name: 'B', Has_email: 'b@example.com' }
+      ])
+
+      const result = validateResources(index)
+
+      assert.strictEqual(result.errors.length, 2)
+      assert.deepStrictEqual(
+        result.errors.map(e => e.file),
+        ['resources/Person/A.json', 'resources/Organization/B.json']
+      )
+    })
+  })
+
+  describe('Value checks', () => {
+    test('value not matching datatype returns invalid-value error', () => {
+      const index = createResourceTestIndex([
+        { id: 'Person/John_doe', category: 'Person', Has_name: 'John Doe', Has_email: 'not-an-email' }
+      ])
+
+      const result = validateResources(index)
+
+      assert.strictEqual(result.errors.length, 1)
+      assert.strictEqual(result.errors[0].type, 'invalid-value')
+      assert.strictEqual(result.errors[0].property, 'Has_email')
+      assert.strictEqual(result.errors[0].file, 'resources/Person/John_doe.json')
+      assert.ok(result.errors[0].message.includes('email address'))
+    })
+
+    test('each invalid value in an array is reported with its position', () => {
+      const index = createResourceTestIndex([
+        { id: 'Person/John_doe', category: 'Person', Has_name: 'John Doe', Has_email: ['ok@example.com', 'bad', 'also bad'] }
+      ])
+
+      const result = validateResources(index)
+
+      assert.strictEqual(result.errors.length, 2)
+      assert.ok(result.errors[0].message.includes('Has_email[1]'))
+      assert.ok(result.errors[1].message.includes('Has_email[2]'))
+    })
+
+    test('allowed_values constraint applies to resource values', () => {
+      const index = createResourceTestIndex([
+        { id: 'Agent/Someone', category: 'Agent', Has_name: 'Someone', Has_description: 'Other' }
+      ])
+      index.properties.get('Has_description').allowed_values = ['Short', 'Long']
+
+      const result = validateResources(index)
+
+      assert.strictEqual(result.errors.length, 1)
+      assert.strictEqual(result.errors[0].type, 'invalid-value')
+      assert.ok(result.errors[0].message.includes('allowed values'))
+    })
+  })
+})
@@ -0,0 +1,200 @@
+/**
+ * SHACL shapes of module artifacts as Turtle
+ *
+ * Each category becomes a sh:NodeShape targeting its owl:Class (see
+ * rdf-exporter.js), with a property shape per effective property and
+ * subobject, so non-wiki systems can validate data against exactly the
+ * constraints the ontology defines:
+ *
+ *   required                 → sh:minCount 1
+ *   single cardinality       → sh:maxCount 1
+ *   allowed_values           → sh:in
+ *   allowed_pattern          → sh:pattern
+ *   datatype                 → sh:datatype (an sh:or of the date datatypes for Date,
+ *                              sh:class / sh:nodeKind for Page, Record and Reference)
+ *   subobject                → sh:node of the subobject's shape
+ *
+ * Shapes live under <base>shape/<id>.
+ */
+
+import { createEntityIndexFromArtifact } from './entity-index.js'
+import { resolveAllCategories } from './inheritance-resolver.js'
+import {
+  DATE_XSD_DATATYPES,
+  DEFAULT_BASE_IRI,
+  SMW_XSD_DATATYPES,
+  getEntityNamespaces,
+  renderName,
+  renderPrefixes,
+  renderStatement,
+  renderString,
+  renderTypedLiteral
+} from './rdf-exporter.js'
+import { getValueSourceCategory } from './value-checker.js'
+
+/**
+ * Standard prefixes used by the shapes documents
+ */
+const STANDARD_PREFIXES = {
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  sh: 'http://www.w3.org/ns/shacl#',
+  xsd: 'http://www.w3.org/2001/XMLSchema#'
+}
+
+/**
+ * Render a blank-node property shape
+ *
+ * @param {Array<[string, string]>} constraints - Predicate and object pairs
+ * @returns {string} Blank node
+ */
+function renderPropertyShape(constraints) {
+  const lines = constraints.map(([predicate, object]) => `        ${predicate} ${object}`)
+  return `[\n${lines.join(' ;\n')}\n    ]`
+}
+
+/**
+ * Get the value constraints of a property
+ *
+ * Properties defined in other modules are not in the artifact; their
+ * shapes only constrain the count.
+ *
+ * @param {Object|undefined} property - Property entity
+ * @param {Object<string, string>} namespaces - Namespace IRIs from getEntityNamespaces
+ * @returns {Array<[string, string]>} Predicate and object pairs
+ */
+function getValueConstraints(property, namespaces) {
+  if (!property) {
+    return []
+  }
+
+  const constraints = []
+  const datatype = SMW_XSD_DATATYPES[property.datatype]
+  const valueCategory = getValueSourceCategory(property)
+
+  if (property.datatype === 'Date') {
+    // Each date is typed by its precision, so any of the date datatypes is valid
+    constraints.push(['sh:or', `( ${DATE_XSD_DATATYPES.map(dateType => `[ sh:datatype ${dateType} ]`).join(' ')} )`])
+  } else if (datatype) {
+    constraints.push(['sh:datatype', datatype])
+  } else if (property.datatype === 'Page') {
+    constraints.push(['sh:nodeKind', 'sh:IRI'])
+    if (valueCategory) constraints.push(['sh:class', renderName(namespaces, 'category', valueCategory)])
+  } else {
+    constraints.push(['sh:nodeKind', 'sh:BlankNodeOrIRI'])
+  }
+
+  if (Array.isArray(property.allowed_values)) {
+    constraints.push(['sh:in', `( ${property.allowed_values.map(value => renderTypedLiteral(value, property.datatype)).join(' ')} )`])
+  }
+  if (property.allowed_pattern) {
+    constraints.push(['sh:pattern', renderString(property.allowed_pattern)])
+  }
+
+  return constraints
+}
+
+/**
+ * Render the property shapes of a list of properties
+ *
+ * @param {Array<{id: string, required: boolean}>} fields - Property ids
+ * @param {Map<string, Object>} properties - Properties by id
+ * @param {Object<string, string>} namespaces - Namespace IRIs from getEntityNamespaces
+ * @returns {string[]} Property shapes
+ */
+function renderPropertyShapes(fields, properties, namespaces) {
+  return fields.map(({ id, required }) => {
+    const property = properties.get(id)
+    const constraints = [['sh:path', renderName(namespaces, 'property', id)]]
+    if (property?.label) constraints.push(['sh:name', renderString(property.label)])
+    if (required) constraints.push(['sh:minCount', '1'])
+    if (property?.cardinality === 'single') constraints.push(['sh:maxCount', '1'])
+    return renderPropertyShape([...constraints, ...getValueConstraints(property, namespaces)])
+  })
+}
+
+/**
+ * Render the node shape of a category from its effective schema
+ *
+ * @param {Object} effective - Effective schema from resolveCategory
+ * @param {Map<string, Object>} properties - Properties by id
+ * @param {Object<string, string>} namespaces - Namespace IRIs from getEntityNamespaces
+ * @returns {string} Turtle statement
+ */
+function renderCategoryShape(effective, properties, namespaces) {
+  const fields = [
+    ...effective.required_properties.map(({ id }) => ({ id, required: true })),
+    ...effective.optional_properties.map(({ id }) => ({ id, required: false }))
+  ]
+  const subobjects = [
+    ...effective.required_subobjects.map(({ id }) => ({ id, required: true })),
+    ...effective.optional_subobjects.map(({ id }) => ({ id, required: false }))
+  ]
+
+  const subobjectShapes = subobjects.map(({ id, required }) => renderPropertyShape([
+    ['sh:path', renderName(namespaces, 'subobject', id)],
+    ...(required ? [['sh:minCount', '1']] : []),
+    ['sh:node', renderName(namespaces, 'shape', id)]
+  ]))
+
+  return renderStatement(renderName(namespaces, 'shape', effective.id), [
+    ['a', 'sh:NodeShape'],
+    ['sh:targetClass', renderName(namespaces, 'category', effective.id)],
+    ['sh:property', [...renderPropertyShapes(fields, properties, namespaces), ...subobjectShapes]]
+  ])
+}
+
+/**
+ * Render the node shape of a subobject's values
+ *
+ * @param {Object} subobject - Subobject entity
+ * @param {Map<string, Object>} properties - Properties by id
+ * @param {Object<string, string>} namespaces - Namespace IRIs from getEntityNamespaces
+ * @returns {string} Turtle statement
+ */
+function renderSubobjectShape(subobject, properties, namespaces) {
+  const fields = [
+    ...(subobject.required_properties || []).map(id => ({ id, required: true })),
+    ...(subobject.optional_properties || []).map(id => ({ id, required: false }))
+  ]
+
+  return renderStatement(renderName(namespaces, 'shape', subobject.id), [
+    ['a', 'sh:NodeShape'],
+    ['sh:property', renderPropertyShapes(fields, properties, namespaces)]
+  ])
+}
+
+/**
+ * Serialize the SHACL shapes of a module artifact in Turtle
+ *
+ * Category shapes use the artifact's effective categories, so properties
+ * inherited from categories of dependency modules are constrained too.
+ *
+ * @param {Object} artifact - Module artifact (modules/<id>/versions/<version>.json)
+ * @param {Object} options - Export options
+ * @param {string} options.baseIri - Base IRI (defaults to DEFAULT_BASE_IRI)
+ * @returns {string} Turtle document
+ *
+ * @example
+ * exportArtifactShapes(loadModuleArtifact('Core', '1.0.0'))
+ * // '...shape:Person\n    a sh:NodeShape ;\n    sh:targetClass category:Person ;\n    sh:property [...'
+ */
+export function exportArtifactShapes(artifact, { baseIri = DEFAULT_BASE_IRI } = {}) {
+  const namespaces = { ...getEntityNamespaces(baseIri), shape: `${baseIri}shape/` }
+  const properties = new Map((artifact.properties || []).map(property => [property.id, property]))
+  const effectiveCategories = artifact.effectiveCategories
+    ? new Map(Object.entries(artifact.effectiveCategories))
+    : resolveAllCategories(createEntityIndexFromArtifact(artifact))
+
+  const byId = (a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)
+  const statements = [
+    ...[...effectiveCategories.values()].sort(byId)
+      .map(effective => renderCategoryShape(effective, properties, namespaces)),
+    ...[...(artifact.subobjects || [])].sort(byId)
+      .map(subobject => renderSubobjectShape(subobject, properties, namespaces))
+  ]
+
+  return [
+    renderPrefixes({ ...STANDARD_PREFIXES, ...namespaces }).join('\n'),
+    ...statements
+  ].join('\n\n') + '\n'
+}
@@ -0,0 +1,102 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert'
+import { exportArtifactShapes } from './shacl-exporter.js'
+import { DEFAULT_BASE_IRI } from './rdf-exporter.js'
+import { createMockArtifact } from '../__fixtures__/mock-artifact.js'
+
+/**
+ * Lab artifact with a property for each constraint the shapes map
+ */
+const LAB_ARTIFACT = {
+  id: 'Lab',
+  categories: [
+    { id: 'Agent', label: 'Agent', required_properties: ['Has_name'] },
+    {
+      id: 'Equipment',
+      label: 'Equipment',
+      parents: ['Agent'],
+      optional_properties: ['Has_status', 'Has_serial', 'Has_owner', 'Has_weight'],
+      required_subobjects: ['Calibration']
+    }
+  ],
+  properties: [
+    { id: 'Has_name', label: 'Name', datatype: 'Text', cardinality: 'single' },
+    { id: 'Has_status', label: 'Status', datatype: 'Text', cardinality: 'single', allowed_values: ['active', 'retired'] },
+    { id: 'Has_serial', label: 'Serial', datatype: 'Text', cardinality: 'multiple', allowed_pattern: '^[A-Z]{2}\\d+$' },
+    { id: 'Has_owner', label: 'Owner', datatype: 'Page', cardinality: 'single', Allows_value_from_category: 'Agent' },
+    { id: 'Has_weight', label: 'Weight', datatype: 'Number', cardinality: 'single', allowed_values: ['1', '2'] },
+    { id: 'Has_date', label: 'Date', datatype: 'Date', cardinality: 'single' }
+  ],
+  subobjects: [{ id: 'Calibration', label: 'Calibration', required_properties: ['Has_date'] }]
+}
+
+describe('exportArtifactShapes', () => {
+  test('declares prefixes under the base IRI', () => {
+    const shapes = exportArtifactShapes(createMockArtifact(LAB_ARTIFACT))
+
+    assert.ok(shapes.includes('@prefix sh: <http://www.w3.org/ns/shacl#> .'))
+    assert.ok(shapes.includes(`@prefix shape: <${DEFAULT_BASE_IRI}shape/> .`))
+    assert.ok(exportArtifactShapes(createMockArtifact(LAB_ARTIFACT), { baseIri: 'https://example.org/onto/' })
+      .includes('@prefix shape: <https://example.org/onto/shape/> .'))
+  })
+
+  test('targets each category with its effective properties', () => {
+    const shapes = exportArtifactShapes(createMockArtifact(LAB_ARTIFACT))
+
+    assert.ok(shapes.includes('shape:Equipment\n    a sh:NodeShape ;\n    sh:targetClass category:Equipment ;\n    sh:property [\n' +
+      '        sh:path property:Has_name ;\n' +
+      '        sh:name "Name" ;\n' +
+      '        sh:minCount 1 ;\n' +
+      '        sh:maxCount 1 ;\n' +
+      '        sh:datatype xsd:string\n' +
+      '    ], ['))
+  })
+
+  test('maps value constraints', () => {
+    const shapes = exportArtifactShapes(createMockArtifact(LAB_ARTIFACT))
+
+    assert.ok(shapes.includes('        sh:datatype xsd:string ;\n        sh:in ( "active" "retired" )'))
+    assert.ok(shapes.includes('        sh:in ( "1"^^xsd:decimal "2"^^xsd:decimal )'))
+    assert.ok(shapes.includes('        sh:path property:Has_serial ;\n        sh:name "Serial" ;\n        sh:datatype xsd:string ;\n        sh:pattern "^[A-Z]{2}\\\\d+$"'))
+    assert.ok(shapes.includes('        sh:nodeKind sh:IRI ;\n        sh:class category:Agent'))
+  })
+
+  test('links subobjects to their shapes', () => {
+    const shapes = exportArtifactShapes(createMockArtifact(LAB_ARTIFACT))
+
+    assert.ok(shapes.includes('        sh:path subobject:Calibration ;\n        sh:minCount 1 ;\n        sh:node shape:Calibration\n    ] .'))
+    assert.ok(shapes.includes('shape:Calibration\n    a sh:NodeShape ;\n    sh:property [\n        sh:path property:Has_date ;\n' +
+      '        sh:name "Date" ;\n        sh:minCount 1 ;\n        sh:maxCount 1 ;\n' +
+      '        sh:or ( [ sh:datatype xsd:gYear ] [ sh:datatype xsd:gYearMonth ] [ sh:datatype xsd:date ] [ sh:datatype xsd:dateTime ] )\n    ] .'))
+  })
+
+  test('accepts dates of any precision', () => {
+    const shapes = exportArtifactShapes(createMockArtifact({
+      ...LAB_ARTIFACT,
+      properties: [{ id: 'Has_date', label: 'Date', datatype: 'Date', cardinality: 'single', allowed_values: ['2024', '2024-05-01'] }]
+    }))
+
+    assert.ok(shapes.includes('        sh:in ( "2024"^^xsd:gYear "2024-05-01"^^xsd:date )'))
+  })
+
+  test('uses the effective categories of the artifact', () => {
+    const shapes = exportArtifactShapes(createMockArtifact({
+      ...LAB_ARTIFACT,
+      effectiveCategories: {
+        Person: {
+          id: 'Person',
+          parents: ['Agent'],
+          ancestors: ['Agent'],
+          required_properties: [{ id: 'Has_core_name', source: 'Agent', path: ['Person', 'Agent'] }],
+          optional_properties: [],
+          required_subobjects: [],
+          optional_subobjects: []
+        }
+      }
+    }))
+
+    assert.ok(!shapes.includes('shape:Equipment'))
+    // Properties of dependency modules only get count constraints
+    assert.ok(shapes.includes('    sh:property [\n        sh:path property:Has_core_name ;\n        sh:minCount 1\n    ] .'))
+  })
+})
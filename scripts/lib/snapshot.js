@@ -0,0 +1,226 @@
+/**
+ * Snapshots of ontology entity files
+ *
+ * A snapshot is a read-only view of entity files, independent of where
+ * they come from (working tree, directory, git ref or module artifact).
+ * Change detection compares two snapshots, so the same classification
+ * works with or without a git checkout.
+ *
+ * Every snapshot has the shape:
+ * {
+ *   kind: 'working-tree' | 'directory' | 'git' | 'artifact',
+ *   label: string,                        // For messages (e.g., 'origin/main')
+ *   listFiles(): string[],                // Entity file paths like 'properties/Name.json'
+ *   readEntity(filePath): object | null   // Parsed entity, or null if absent/unparseable
+ * }
+ *
+ * Artifact snapshots also have readDependencyCategories(), which returns the
+ * categories of dependency modules the snapshot's categories inherit from.
+ */
+
+import { execFileSync } from 'node:child_process'
+import fg from 'fast-glob'
+import fs from 'node:fs'
+import path from 'node:path'
+import { GLOB_IGNORE_PATTERNS, MODULE_ENTITY_TYPES } from './constants.js'
+import { INHERITED_FIELD_GROUPS } from './inheritance-resolver.js'
+import { isEntityFile } from './path-utils.js'
+
+/**
+ * Create a snapshot of entity files in a directory tree
+ *
+ * @param {string} rootDir - Ontology root directory (containing categories/, properties/, ...)
+ * @param {Object} options - Snapshot options
+ * @param {string} options.kind - Snapshot kind (defaults to 'directory')
+ * @param {string} options.label - Label for messages (defaults to rootDir)
+ * @returns {Object} Snapshot
+ *
+ * @example
+ * const snapshot = createDirectorySnapshot('/tmp/labki-schemas-1.2.0')
+ * snapshot.readEntity('properties/Has_name.json') // { id: 'Has_name', ... }
+ */
+export function createDirectorySnapshot(rootDir, { kind = 'directory', label = rootDir } = {}) {
+  return {
+    kind,
+    label,
+
+    listFiles() {
+      return fg.sync(['**/*.json'], {
+        ignore: GLOB_IGNORE_PATTERNS,
+        cwd: rootDir,
+        absolute: false,
+        onlyFiles: true
+      }).filter(isEntityFile).sort()
+    },
+
+    readEntity(filePath) {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(rootDir, filePath), 'utf8'))
+      } catch (err) {
+        // File doesn't exist in this snapshot (or can't be parsed)
+        return null
+      }
+    }
+  }
+}
+
+/**
+ * Create a snapshot of the current working tree
+ *
+ * @param {string} rootDir - Root directory (defaults to cwd)
+ * @returns {Object} Snapshot
+ */
+export function createWorkingTreeSnapshot(rootDir = process.cwd()) {
+  return createDirectorySnapshot(rootDir, { kind: 'working-tree', label: 'working tree' })
+}
+
+/**
+ * Create a snapshot of entity files at a git ref
+ *
+ * @param {string} ref - Git ref (branch, tag or commit), e.g. 'origin/main'
+ * @param {string} rootDir - Repository root (defaults to cwd)
+ * @returns {Object} Snapshot
+ *
+ * @example
+ * const base = createGitSnapshot('origin/main')
+ * base.readEntity('properties/Has_name.json') // entity on origin/main, or null
+ */
+export function createGitSnapshot(ref, rootDir = process.cwd()) {
+  return {
+    kind: 'git',
+    label: ref,
+
+    listFiles() {
+      try {
+        const output = execFileSync('git', ['ls-tree', '-r', '--name-only', ref], {
+          cwd: rootDir,
+          encoding: 'utf8',
+          stdio: ['pipe', 'pipe', 'pipe']
+        })
+        return output.trim().split('\n').filter(Boolean).filter(isEntityFile).sort()
+      } catch (err) {
+        // Unknown ref or not a git repository
+        return []
+      }
+    },
+
+    readEntity(filePath) {
+      try {
+        const content = execFileSync('git', ['show', `${ref}:${filePath}`], {
+          cwd: rootDir,
+          encoding: 'utf8',
+          stdio: ['pipe', 'pipe', 'pipe']
+        })
+        return JSON.parse(content)
+      } catch (err) {
+        // File doesn't exist at this ref
+        return null
+      }
+    }
+  }
+}
+
+/**
+ * Rebuild the dependency-module categories an artifact's categories inherit from
+ *
+ * Artifacts embed only their own categories, but every item of an effective
+ * schema records the category that declares it (`source`) and the parents it
+ * is inherited through (`path`). That is enough to rebuild the part of each
+ * dependency category the module inherits, so resolving an embedded category
+ * against these gives back its effective schema.
+ *
+ * @param {Object} artifact - Parsed module artifact
+ * @returns {Map<string, object>} Rebuilt categories by id (only parents and inherited items)
+ *
+ * @example
+ * rebuildDependencyCategories(labArtifact).get('Agent')
+ * // { id: 'Agent', parents: [], required_properties: ['Has_name'], optional_properties: [], ... }
+ */
+function rebuildDependencyCategories(artifact) {
+  const ownIds = new Set((artifact.categories || []).map(category => category.id))
+  const categories = new Map()
+  const getCategory = id => {
+    if (!categories.has(id)) {
+      categories.set(id, Object.fromEntries([
+        ['id', id],
+        ['parents', []],
+        ...INHERITED_FIELD_GROUPS.flat().map(field => [field, []])
+      ]))
+    }
+    return categories.get(id)
+  }
+
+  for (const effective of Object.values(artifact.effectiveCategories || {})) {
+    for (const field of INHERITED_FIELD_GROUPS.flat()) {
+      for (const { id, source, path: inheritancePath } of effective[field] || []) {
+        inheritancePath.forEach((categoryId, position) => {
+          const parentId = inheritancePath[position + 1]
+          if (ownIds.has(categoryId) || !parentId) return
+          const parents = getCategory(categoryId).parents
+          if (!parents.includes(parentId)) parents.push(parentId)
+        })
+        if (!ownIds.has(source)) {
+          const items = getCategory(source)[field]
+          if (!items.includes(id)) items.push(id)
+        }
+      }
+    }
+  }
+
+  return categories
+}
+
+/**
+ * Create a snapshot from a module version artifact (modules/<id>/versions/<version>.json)
+ *
+ * Each entity embedded in the artifact appears at its usual file path. The
+ * module itself appears as modules/<id>.json with its entity lists and
+ * dependency ids, so changes to module membership are classified too.
+ * Categories of dependency modules are not embedded; readDependencyCategories()
+ * rebuilds what the module inherits from them out of the effective schemas.
+ *
+ * @param {string|Object} artifact - Artifact file path or parsed artifact
+ * @returns {Object} Snapshot
+ *
+ * @example
+ * const released = createArtifactSnapshot('modules/Core/versions/1.0.0.json')
+ * released.listFiles() // ['categories/Agent.json', 'modules/Core.json', 'properties/Has_name.json', ...]
+ */
+export function createArtifactSnapshot(artifact) {
+  const label = typeof artifact === 'string' ? artifact : `${artifact.id}@${artifact.version}`
+  const data = typeof artifact === 'string' ? JSON.parse(fs.readFileSync(artifact, 'utf8')) : artifact
+
+  const files = new Map()
+  const moduleEntity = {
+    id: data.id,
+    dependencies: Object.keys(data.dependencies || {})
+  }
+
+  for (const entityType of MODULE_ENTITY_TYPES) {
+    const entities = data[entityType] || []
+    moduleEntity[entityType] = entities.map(entity => entity.id)
+    for (const entity of entities) {
+      files.set(`${entityType}/${entity.id}.json`, entity)
+    }
+  }
+  files.set(`modules/${data.id}.json`, moduleEntity)
+  const dependencyCategories = rebuildDependencyCategories(data)
+
+  return {
+    kind: 'artifact',
+    label,
+
+    listFiles() {
+      return [...files.keys()].sort()
+    },
+
+    readEntity(filePath) {
+      const entity = files.get(filePath)
+      return entity ? structuredClone(entity) : null
+    },
+
+    readDependencyCategories() {
+      return structuredClone(dependencyCategories)
+    }
+  }
+}
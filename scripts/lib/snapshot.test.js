@@ -0,0 +1,286 @@
+import { describe, test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { execFileSync } from 'node:child_process'
+import fs from 'node:fs'
+import path from 'node:path'
+import os from 'node:os'
+import {
+  createDirectorySnapshot,
+  createGitSnapshot,
+  createArtifactSnapshot
+} from './snapshot.js'
+import { compareSnapshots } from './change-detector.js'
+import { createMockArtifact } from '../__fixtures__/mock-artifact.js'
+
+/**
+ * Write entity files into a directory
+ *
+ * @param {string} rootDir - Ontology root directory
+ * @param {Object<string, object>} files - Entities keyed by relative file path
+ */
+function writeEntities(rootDir, files) {
+  for (const [filePath, entity] of Object.entries(files)) {
+    const fullPath = path.join(rootDir, filePath)
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true })
+    fs.writeFileSync(fullPath, JSON.stringify(entity, null, 2) + '\n')
+  }
+}
+
+/**
+ * Entities of the Core artifacts being compared
+ */
+const CORE_ENTITIES = {
+  categories: [{ id: 'Agent', required_properties: ['Has_name'] }],
+  properties: [{ id: 'Has_name', datatype: 'Text', cardinality: 'single' }]
+}
+
+/**
+ * Lab artifact whose Student category inherits from a category of Core
+ *
+ * @param {string} parentId - Core category Student inherits from
+ * @param {Object} parentSchema - Properties the parent contributes ({ required_properties, optional_properties })
+ * @returns {Object} Artifact
+ */
+function createLabArtifact(parentId, { required_properties = [], optional_properties = [] }) {
+  const inherited = id => ({ id, source: parentId, path: ['Student', parentId] })
+  return createMockArtifact({
+    id: 'Lab',
+    dependencies: { Core: '1.0.0' },
+    categories: [{ id: 'Student', parents: [parentId] }],
+    effectiveCategories: {
+      Student: {
+        id: 'Student',
+        parents: [parentId],
+        ancestors: [parentId],
+        required_properties: required_properties.map(inherited),
+        optional_properties: optional_properties.map(inherited),
+        required_subobjects: [],
+        optional_subobjects: []
+      }
+    }
+  })
+}
+
+describe('createDirectorySnapshot', () => {
+  let tempDir
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-test-'))
+  })
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true })
+  })
+
+  test('lists entity files only', () => {
+    writeEntities(tempDir, {
+      'properties/Has_name.json': { id: 'Has_name' },
+      'properties/_schema.json': { type: 'object' },
+      'templates/Property/Page.json': { id: 'Property/Page' },
+      'modules/Core/versions/1.0.0.json': { id: 'Core' },
+      'package.json': { name: 'test' }
+    })
+
+    const snapshot = createDirectorySnapshot(tempDir)
+
+    assert.deepStrictEqual(snapshot.listFiles(), [
+      'properties/Has_name.json',
+      'templates/Property/Page.json'
+    ])
+  })
+
+  test('reads entities and returns null for missing files', () => {
+    writeEntities(tempDir, { 'properties/Has_name.json': { id: 'Has_name' } })
+
+    const snapshot = createDirectorySnapshot(tempDir)
+
+    assert.deepStrictEqual(snapshot.readEntity('properties/Has_name.json'), { id: 'Has_name' })
+    assert.strictEqual(snapshot.readEntity('properties/Missing.json'), null)
+    assert.strictEqual(snapshot.kind, 'directory')
+  })
+})
+
+describe('createGitSnapshot', () => {
+  let tempDir
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-git-test-'))
+    const git = (...args) => execFileSync('git', args, { cwd: tempDir, stdio: 'pipe' })
+    git('init', '-q')
+    git('config', 'user.email', 'test@example.com')
+    git('config', 'user.name', 'Test')
+    writeEntities(tempDir, { 'properties/Has_name.json': { id: 'Has_name', datatype: 'Text' } })
+    git('add', '-A')
+    git('commit', '-q', '-m', 'Initial')
+    // Working tree changes are not part of the ref
+    writeEntities(tempDir, { 'properties/Has_name.json': { id: 'Has_name', datatype: 'Number' } })
+  })
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true })
+  })
+
+  test('reads entities at the ref', () => {
+    const snapshot = createGitSnapshot('HEAD', tempDir)
+
+    assert.deepStrictEqual(snapshot.listFiles(), ['properties/Has_name.json'])
+    assert.deepStrictEqual(snapshot.readEntity('properties/Has_name.json'), { id: 'Has_name', datatype: 'Text' })
+    assert.strictEqual(snapshot.readEntity('properties/Missing.json'), null)
+  })
+
+  test('unknown ref is an empty snapshot', () => {
+    const snapshot = createGitSnapshot('no-such-ref', tempDir)
+
+    assert.deepStrictEqual(snapshot.listFiles(), [])
+    assert.strictEqual(snapshot.readEntity('properties/Has_name.json'), null)
+  })
+})
+
+describe('createArtifactSnapshot', () => {
+  test('exposes embedded entities at their file paths', () => {
+    const snapshot = createArtifactSnapshot(createMockArtifact(CORE_ENTITIES))
+
+    assert.deepStrictEqual(snapshot.listFiles(), [
+      'categories/Agent.json',
+      'modules/Core.json',
+      'properties/Has_name.json'
+    ])
+    assert.strictEqual(snapshot.readEntity('properties/Has_name.json').datatype, 'Text')
+    assert.strictEqual(snapshot.label, 'Core@1.0.0')
+  })
+
+  test('synthesizes the module entity from entity lists and dependencies', () => {
+    const snapshot = createArtifactSnapshot(createMockArtifact({ ...CORE_ENTITIES, dependencies: { Base: '1.0.0' } }))
+
+    const module = snapshot.readEntity('modules/Core.json')
+
+    assert.deepStrictEqual(module.dependencies, ['Base'])
+    assert.deepStrictEqual(module.categories, ['Agent'])
+    assert.deepStrictEqual(module.properties, ['Has_name'])
+  })
+
+  test('rebuilds dependency categories from effective schemas', () => {
+    const snapshot = createArtifactSnapshot(createLabArtifact('Agent', { required_properties: ['Has_name'] }))
+
+    assert.deepStrictEqual([...snapshot.readDependencyCategories()], [
+      ['Agent', {
+        id: 'Agent',
+        parents: [],
+        required_properties: ['Has_name'],
+        optional_properties: [],
+        required_subobjects: [],
+        optional_subobjects: []
+      }]
+    ])
+  })
+
+  test('returns copies so callers cannot mutate the artifact', () => {
+    const snapshot = createArtifactSnapshot(createMockArtifact(CORE_ENTITIES))
+
+    snapshot.readEntity('properties/Has_name.json').datatype = 'Number'
+
+    assert.strictEqual(snapshot.readEntity('properties/Has_name.json').datatype, 'Text')
+  })
+})
+
+describe('compareSnapshots', () => {
+  test('identical snapshots produce no changes', () => {
+    const result = compareSnapshots(
+      createArtifactSnapshot(createMockArtifact(CORE_ENTITIES)),
+      createArtifactSnapshot(createMockArtifact({ ...CORE_ENTITIES, version: '1.0.1' }))
+    )
+
+    assert.deepStrictEqual(result.changes, [])
+    assert.strictEqual(result.requiredBump, 'patch')
+  })
+
+  test('classifies changes between two artifacts', () => {
+    const result = compareSnapshots(
+      createArtifactSnapshot(createMockArtifact(CORE_ENTITIES)),
+      createArtifactSnapshot(createMockArtifact({
+        ...CORE_ENTITIES,
+        version: '2.0.0',
+        properties: [{ id: 'Has_name', datatype: 'Number', cardinality: 'single' }]
+      }))
+    )
+
+    assert.strictEqual(result.requiredBump, 'major')
+    assert.strictEqual(result.changes.length, 1)
+
+    const [change] = result.changes
+    assert.strictEqual(change.file, 'properties/Has_name.json')
+    assert.strictEqual(change.entityType, 'properties')
+    assert.strictEqual(change.entityId, 'Has_name')
+    assert.strictEqual(change.changeType, 'major')
+    assert.ok(change.findings.some(f => f.rule === 'property-datatype-changed'))
+  })
+
+  test('reports added and deleted entities', () => {
+    const result = compareSnapshots(
+      createArtifactSnapshot(createMockArtifact(CORE_ENTITIES)),
+      createArtifactSnapshot(createMockArtifact({
+        ...CORE_ENTITIES,
+        properties: [{ id: 'Has_email', datatype: 'Email', cardinality: 'single' }]
+      }))
+    )
+
+    const byFile = new Map(result.changes.map(change => [change.file, change]))
+    assert.strictEqual(byFile.get('properties/Has_name.json').changeType, 'major')
+    assert.strictEqual(byFile.get('properties/Has_name.json').previousModuleId, 'Core')
+    assert.strictEqual(byFile.get('properties/Has_email.json').previousModuleId, undefined)
+    assert.strictEqual(byFile.get('properties/Has_email.json').changeType, 'minor')
+    assert.ok(byFile.has('modules/Core.json'))
+    assert.strictEqual(result.requiredBump, 'major')
+  })
+
+  test('uses category inheritance from each snapshot', () => {
+    const base = createMockArtifact({
+      ...CORE_ENTITIES,
+      categories: [
+        { id: 'Agent', optional_properties: ['Has_name'] },
+        { id: 'Person', parents: ['Agent'] }
+      ]
+    })
+    const pr = createMockArtifact({
+      ...CORE_ENTITIES,
+      categories: [
+        { id: 'Agent', optional_properties: ['Has_name'] },
+        { id: 'Person', parents: [] }
+      ]
+    })
+
+    const result = compareSnapshots(createArtifactSnapshot(base), createArtifactSnapshot(pr))
+
+    const person = result.changes.find(change => change.entityId === 'Person')
+    assert.strictEqual(person.changeType, 'major')
+    assert.ok(person.findings.some(f => f.rule === 'category-optional-removed'))
+  })
+
+  test('resolves parents from dependency modules', () => {
+    const base = createLabArtifact('Agent', { required_properties: ['Has_name'], optional_properties: ['Has_email'] })
+    const pr = createLabArtifact('Organization', { required_properties: ['Has_org_name'] })
+
+    const result = compareSnapshots(createArtifactSnapshot(base), createArtifactSnapshot(pr))
+
+    const student = result.changes.find(change => change.entityId === 'Student')
+    assert.strictEqual(student.changeType, 'major')
+    assert.strictEqual(result.requiredBump, 'major')
+    assert.ok(student.findings.some(f => f.rule === 'category-required-added' && f.newValue === 'Has_org_name'))
+    assert.ok(student.findings.some(f => f.rule === 'category-optional-removed' && f.oldValue === 'Has_email'))
+  })
+
+  test('restricts comparison to the given files', () => {
+    const result = compareSnapshots(
+      createArtifactSnapshot(createMockArtifact(CORE_ENTITIES)),
+      createArtifactSnapshot(createMockArtifact({
+        ...CORE_ENTITIES,
+        properties: [{ id: 'Has_name', datatype: 'Number', cardinality: 'single' }]
+      })),
+      { files: ['categories/Agent.json'] }
+    )
+
+    assert.strictEqual(result.changes.length, 1)
+    assert.strictEqual(result.changes[0].changeType, 'patch')
+    assert.strictEqual(result.requiredBump, 'patch')
+  })
+})
@@ -0,0 +1,154 @@
+/**
+ * Unified diffs of text files
+ *
+ * Produces `diff -u` / `git diff` style output for previewing file writes
+ * without touching the working tree.
+ */
+
+/**
+ * Split file content into lines, each keeping its line terminator
+ *
+ * Keeping the terminator makes a last line without a newline differ from
+ * the same line with one, so adding or removing the final newline shows up
+ * in the diff.
+ *
+ * @param {string|null} content - File content (null for a missing file)
+ * @returns {string[]} Lines (only the last may lack a trailing '\n')
+ */
+function splitLines(content) {
+  if (!content) {
+    return []
+  }
+  return content.split(/(?<=\n)/)
+}
+
+/**
+ * Compute a line-level edit script between two line lists
+ *
+ * Common leading and trailing lines are matched directly; the rest is
+ * aligned with a longest-common-subsequence table.
+ *
+ * @param {string[]} oldLines - Lines before
+ * @param {string[]} newLines - Lines after
+ * @returns {Array<{type: ' '|'-'|'+', line: string, oldLine: number, newLine: number}>} Operations,
+ *   each with the number of old and new lines preceding it
+ */
+function diffLines(oldLines, newLines) {
+  let prefix = 0
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++
+  }
+  let suffix = 0
+  while (
+    suffix < oldLines.length - prefix &&
+    suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix++
+  }
+
+  const a = oldLines.slice(prefix, oldLines.length - suffix)
+  const b = newLines.slice(prefix, newLines.length - suffix)
+  const width = b.length + 1
+  const lcs = new Uint32Array((a.length + 1) * width)
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1])
+    }
+  }
+
+  const ops = []
+  let oldLine = 0
+  let newLine = 0
+  const push = (type, line) => {
+    ops.push({ type, line, oldLine, newLine })
+    if (type !== '+') oldLine++
+    if (type !== '-') newLine++
+  }
+
+  for (const line of oldLines.slice(0, prefix)) {
+    push(' ', line)
+  }
+  let i = 0
+  let j = 0
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      push(' ', a[i++])
+      j++
+    } else if (j >= b.length || (i < a.length && lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+      push('-', a[i++])
+    } else {
+      push('+', b[j++])
+    }
+  }
+  for (const line of oldLines.slice(oldLines.length - suffix)) {
+    push(' ', line)
+  }
+
+  return ops
+}
+
+/**
+ * Group operations into hunks with surrounding context
+ *
+ * @param {Array} ops - Operations from diffLines
+ * @param {number} context - Context lines around each change
+ * @returns {string[]} Hunks, each starting with an `@@` header
+ */
+function buildHunks(ops, context) {
+  const ranges = []
+  for (let index = 0; index < ops.length; index++) {
+    if (ops[index].type === ' ') {
+      continue
+    }
+    const last = ranges[ranges.length - 1]
+    if (last && index - last.end - 1 <= 2 * context) {
+      last.end = index
+    } else {
+      ranges.push({ start: index, end: index })
+    }
+  }
+
+  return ranges.map(({ start, end }) => {
+    const hunkOps = ops.slice(Math.max(0, start - context), Math.min(ops.length, end + context + 1))
+    const oldCount = hunkOps.filter(op => op.type !== '+').length
+    const newCount = hunkOps.filter(op => op.type !== '-').length
+    const oldStart = oldCount === 0 ? hunkOps[0].oldLine : hunkOps[0].oldLine + 1
+    const newStart = newCount === 0 ? hunkOps[0].newLine : hunkOps[0].newLine + 1
+
+    let hunk = `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@\n`
+    for (const op of hunkOps) {
+      // Like git, mark a last line that has no newline
+      hunk += op.line.endsWith('\n') ? `${op.type}${op.line}` : `${op.type}${op.line}\n\\ No newline at end of file\n`
+    }
+    return hunk
+  })
+}
+
+/**
+ * Create a unified diff between two versions of a file
+ *
+ * @param {string} filePath - Path shown in the diff header (relative to the repository root)
+ * @param {string|null} oldContent - Content before (null if the file is created)
+ * @param {string|null} newContent - Content after (null if the file is deleted)
+ * @param {Object} options - Diff options
+ * @param {number} options.context - Context lines around each change (default 3)
+ * @returns {string} Unified diff, or '' if the contents are identical
+ *
+ * @example
+ * createUnifiedDiff('VERSION', '1.0.0\n', '1.1.0\n')
+ * // '--- a/VERSION\n+++ b/VERSION\n@@ -1,1 +1,1 @@\n-1.0.0\n+1.1.0\n'
+ */
+export function createUnifiedDiff(filePath, oldContent, newContent, { context = 3 } = {}) {
+  if (oldContent === newContent) {
+    return ''
+  }
+
+  const header = `--- ${oldContent === null ? '/dev/null' : `a/${filePath}`}\n` +
+    `+++ ${newContent === null ? '/dev/null' : `b/${filePath}`}\n`
+  const hunks = buildHunks(diffLines(splitLines(oldContent), splitLines(newContent)), context)
+
+  return header + hunks.join('')
+}
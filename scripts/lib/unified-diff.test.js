@@ -0,0 +1,75 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert'
+import { createUnifiedDiff } from './unified-diff.js'
+
+describe('createUnifiedDiff', () => {
+  test('returns an empty string for identical content', () => {
+    assert.strictEqual(createUnifiedDiff('VERSION', '1.0.0\n', '1.0.0\n'), '')
+  })
+
+  test('diffs a single changed line', () => {
+    assert.strictEqual(
+      createUnifiedDiff('VERSION', '1.0.0\n', '1.1.0\n'),
+      '--- a/VERSION\n+++ b/VERSION\n@@ -1,1 +1,1 @@\n-1.0.0\n+1.1.0\n'
+    )
+  })
+
+  test('limits context around changes', () => {
+    const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'].join('\n') + '\n'
+    const after = ['a', 'b', 'c', 'd', 'E', 'f', 'g', 'h'].join('\n') + '\n'
+
+    assert.strictEqual(
+      createUnifiedDiff('file.txt', before, after, { context: 1 }),
+      '--- a/file.txt\n+++ b/file.txt\n@@ -4,3 +4,3 @@\n d\n-e\n+E\n f\n'
+    )
+  })
+
+  test('splits distant changes into separate hunks', () => {
+    const lines = Array.from({ length: 20 }, (_, index) => `line ${index + 1}`)
+    const changed = [...lines]
+    changed[1] = 'second'
+    changed[18] = 'nineteenth'
+
+    const diff = createUnifiedDiff('file.txt', lines.join('\n') + '\n', changed.join('\n') + '\n')
+
+    assert.deepStrictEqual(diff.match(/^@@ .* @@$/gm), ['@@ -1,5 +1,5 @@', '@@ -16,5 +16,5 @@'])
+  })
+
+  test('shows inserted lines between unchanged content', () => {
+    const diff = createUnifiedDiff('CHANGELOG.md', '# Changelog\n\n## [1.0.0]\n', '# Changelog\n\n## [1.1.0]\n\n## [1.0.0]\n')
+
+    assert.strictEqual(diff, '--- a/CHANGELOG.md\n+++ b/CHANGELOG.md\n@@ -1,3 +1,5 @@\n # Changelog\n \n+## [1.1.0]\n+\n ## [1.0.0]\n')
+  })
+
+  test('diffs created and deleted files against /dev/null', () => {
+    assert.strictEqual(
+      createUnifiedDiff('CHANGELOG.md', null, '# Changelog\n'),
+      '--- /dev/null\n+++ b/CHANGELOG.md\n@@ -0,0 +1,1 @@\n+# Changelog\n'
+    )
+    assert.strictEqual(
+      createUnifiedDiff('VERSION_OVERRIDES.json', '{}\n', null),
+      '--- a/VERSION_OVERRIDES.json\n+++ /dev/null\n@@ -1,1 +0,0 @@\n-{}\n'
+    )
+  })
+
+  test('shows a removed trailing newline', () => {
+    assert.strictEqual(
+      createUnifiedDiff('f', '{"v":1}\n', '{"v":1}'),
+      '--- a/f\n+++ b/f\n@@ -1,1 +1,1 @@\n-{"v":1}\n+{"v":1}\n\\ No newline at end of file\n'
+    )
+  })
+
+  test('shows an added trailing newline', () => {
+    assert.strictEqual(
+      createUnifiedDiff('f', 'a\nb', 'a\nb\n'),
+      '--- a/f\n+++ b/f\n@@ -1,2 +1,2 @@\n a\n-b\n\\ No newline at end of file\n+b\n'
+    )
+  })
+
+  test('marks unchanged context without a trailing newline', () => {
+    assert.strictEqual(
+      createUnifiedDiff('f', 'a\nb', 'A\nb'),
+      '--- a/f\n+++ b/f\n@@ -1,2 +1,2 @@\n-a\n+A\n b\n\\ No newline at end of file\n'
+    )
+  })
+})
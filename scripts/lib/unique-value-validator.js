@@ -0,0 +1,75 @@
+/**
+ * Unique value validator for resource instances
+ *
+ * Enforces `unique_values: true` on properties by collecting every resource
+ * value of each unique property and reporting values shared by more than
+ * one resource.
+ */
+
+/**
+ * Normalize a value for comparison
+ *
+ * @param {*} value - Single property value
+ * @returns {string} Comparable key
+ */
+function normalizeValue(value) {
+  return typeof value === 'string' ? value.trim() : JSON.stringify(value)
+}
+
+/**
+ * Validate unique property values across all resources
+ *
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @returns {{errors: Array}} Validation results (one error per colliding value)
+ *
+ * @example
+ * validateUniqueValues(entityIndex)
+ * // { errors: [{ file: 'resources/Person/A.json', type: 'duplicate-unique-value',
+ * //              property: 'Has_email', files: ['resources/Person/A.json', 'resources/Person/B.json'], ... }] }
+ */
+export function validateUniqueValues(entityIndex) {
+  const errors = []
+
+  const uniqueProperties = [...entityIndex.properties.values()]
+    .filter(property => property.unique_values === true)
+
+  for (const property of uniqueProperties) {
+    // value key -> { value, files: Set<string> }
+    const seen = new Map()
+
+    for (const resource of entityIndex.resources.values()) {
+      const value = resource[property.id]
+      if (value === undefined || value === null) {
+        continue
+      }
+
+      for (const single of (Array.isArray(value) ? value : [value])) {
+        const key = normalizeValue(single)
+        if (key === '') {
+          continue
+        }
+        if (!seen.has(key)) {
+          seen.set(key, { value: single, files: new Set() })
+        }
+        seen.get(key).files.add(resource._filePath)
+      }
+    }
+
+    for (const { value, files } of seen.values()) {
+      if (files.size < 2) {
+        continue
+      }
+
+      const sortedFiles = [...files].sort()
+      errors.push({
+        file: sortedFiles[0],
+        type: 'duplicate-unique-value',
+        property: property.id,
+        files: sortedFiles,
+        message: `Value "${typeof value === 'string' ? value : JSON.stringify(value)}" of unique property ${property.id} is shared by ${sortedFiles.length} resources: ${sortedFiles.join(', ')}`
+      })
+    }
+  }
+
+  return { errors }
+}
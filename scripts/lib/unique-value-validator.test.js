@@ -0,0 +1,96 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert'
+import { validateUniqueValues } from './unique-value-validator.js'
+import { createResourceTestIndex } from '../__fixtures__/mock-entity-index.js'
+
+/**
+ * Create a resource index where Has_email is declared unique
+ */
+function createUniqueEmailIndex(resources) {
+  const index = createResourceTestIndex(resources)
+  index.properties.get('Has_email').unique_values = true
+  return index
+}
+
+describe('validateUniqueValues', () => {
+  test('distinct values pass', () => {
+    const index = createUniqueEmailIndex([
+      { id: 'Person/A', category: 'Person', Has_email: 'a@example.com' },
+      { id: 'Person/B', category: 'Person', Has_email: 'b@example.com' }
+    ])
+
+    const result = validateUniqueValues(index)
+
+    assert.strictEqual(result.errors.length, 0)
+  })
+
+  test('shared value returns one error listing every resource', () => {
+    const index = createUniqueEmailIndex([
+      { id: 'Person/C', category: 'Person', Has_email: 'shared@example.com' },
+      { id: 'Person/A', category: 'Person', Has_email: 'shared@example.com' },
+      { id: 'Person/B', category: 'Person', Has_email: ['own@example.com', 'shared@example.com'] }
+    ])
+
+    const result = validateUniqueValues(index)
+
+    assert.strictEqual(result.errors.length, 1)
+    assert.strictEqual(result.errors[0].type, 'duplicate-unique-value')
+    assert.strictEqual(result.errors[0].property, 'Has_email')
+    assert.strictEqual(result.errors[0].file, 'resources/Person/A.json')
+    assert.deepStrictEqual(result.errors[0].files, [
+      'resources/Person/A.json',
+      'resources/Person/B.json',
+      'resources/Person/C.json'
+    ])
+    assert.ok(result.errors[0].message.includes('shared@example.com'))
+  })
+
+  test('each colliding value is reported separately', () => {
+    const index = createUniqueEmailIndex([
+      { id: 'Person/A', category: 'Person', Has_email: ['x@example.com', 'y@example.com'] },
+      { id: 'Person/B', category: 'Person', Has_email: ['x@example.com', 'y@example.com'] }
+    ])
+
+    const result = validateUniqueValues(index)
+
+    assert.strictEqual(result.errors.length, 2)
+  })
+
+  test('surrounding whitespace does not hide duplicates', () => {
+    const index = createUniqueEmailIndex([
+      { id: 'Person/A', category: 'Person', Has_email: 'a@example.com' },
+      { id: 'Person/B', category: 'Person', Has_email: ' a@example.com ' }
+    ])
+
+    const result = validateUniqueValues(index)
+
+    assert.strictEqual(result.errors.length, 1)
+  })
+
+  test('value repeated within one resource is not a collision', () => {
+    const index = createUniqueEmailIndex([
+      { id: 'Person/A', category: 'Person', Has_email: ['a@example.com', 'a@example.com'] }
+    ])
+
+    const result = validateUniqueValues(index)
+
+    assert.strictEqual(result.errors.length, 0)
+  })
+
+  test('properties without unique_values allow duplicates', () => {
+    const index = createResourceTestIndex([
+      { id: 'Person/A', category: 'Person', Has_name: 'Alex' },
+      { id: 'Person/B', category: 'Person', Has_name: 'Alex' }
+    ])
+
+    const result = validateUniqueValues(index)
+
+    assert.strictEqual(result.errors.length, 0)
+  })
+
+  test('empty index returns no errors', () => {
+    const result = validateUniqueValues(createResourceTestIndex())
+
+    assert.strictEqual(result.errors.length, 0)
+  })
+})
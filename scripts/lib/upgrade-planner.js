@@ -0,0 +1,297 @@
+/**
+ * Upgrade plans for installed bundles
+ *
+ * Given the manifest of an installed bundle version and a target version,
+ * works out which modules change, what each change does to their entities,
+ * which changes are breaking, and the order in which modules must be
+ * applied (dependencies first).
+ */
+
+import fs from 'node:fs'
+import path from 'node:path'
+import { buildModuleDependencyGraph } from './version-cascade.js'
+import { buildMigrationMap } from './change-detector.js'
+import { loadModuleArtifact, diffArtifacts } from './artifact-diff.js'
+
+/**
+ * Output formats supported by formatUpgradePlan
+ */
+export const PLAN_FORMATS = ['json', 'markdown']
+
+/**
+ * Load a bundle manifest by bundle id and version
+ *
+ * @param {string} bundleId - Bundle id (e.g., 'Default')
+ * @param {string} version - Manifest version (e.g., '2.0.0')
+ * @param {string} rootDir - Repository root (defaults to cwd)
+ * @returns {Object} Parsed manifest
+ * @throws {Error} If the manifest does not exist
+ */
+export function loadBundleManifest(bundleId, version, rootDir = process.cwd()) {
+  const filePath = path.join(rootDir, 'bundles', bundleId, 'versions', `${version}.json`)
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Bundle manifest not found: bundles/${bundleId}/versions/${version}.json`)
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'))
+}
+
+/**
+ * Order modules so that every module comes after its dependencies
+ *
+ * @param {Map<string, Object>} artifacts - Module artifacts keyed by module id
+ * @returns {string[]} Module ids in apply order
+ */
+function orderModules(artifacts) {
+  const modules = new Map([...artifacts].map(([moduleId, artifact]) => [
+    moduleId,
+    { id: moduleId, dependencies: Object.keys(artifact.dependencies || {}) }
+  ]))
+  return buildModuleDependencyGraph({ modules }).overallOrder()
+}
+
+/**
+ * Summarize a module's entity changes for a plan step
+ *
+ * The module's own record (its entity lists) is left out; membership
+ * changes show up as added and removed entities.
+ *
+ * @param {Array} changes - Changes from compareSnapshots
+ * @returns {{added: Array, removed: Array, modified: Array, breakingChanges: string[], migrations: Object}}
+ */
+function summarizeModuleChanges(changes) {
+  const entityChanges = changes.filter(change => change.entityType !== 'modules')
+  const hasRule = (change, rule) => change.findings.some(finding => finding.rule === rule)
+
+  const added = []
+  const removed = []
+  const modified = []
+
+  for (const change of entityChanges) {
+    const entity = { entityType: change.entityType, entityId: change.entityId }
+    if (hasRule(change, 'entity-added')) {
+      added.push(entity)
+    } else if (hasRule(change, 'entity-deleted') || hasRule(change, 'deprecated-entity-removed')) {
+      removed.push(entity)
+    } else {
+      modified.push({
+        ...entity,
+        ...(change.previousId ? { previousId: change.previousId } : {}),
+        changeType: change.changeType,
+        findings: change.findings
+      })
+    }
+  }
+
+  const breakingChanges = entityChanges.flatMap(change => change.findings
+    .filter(finding => finding.severity === 'major')
+    .map(finding => `${change.entityType}/${change.entityId}: ${finding.message}`))
+
+  return { added, removed, modified, breakingChanges, migrations: buildMigrationMap(entityChanges) }
+}
+
+/**
+ * List every entity of an artifact
+ *
+ * @param {Object} artifact - Module artifact
+ * @returns {Array<{entityType: string, entityId: string}>} Entities
+ */
+function listArtifactEntities(artifact) {
+  return Object.entries(artifact)
+    .filter(([, value]) => Array.isArray(value))
+    .flatMap(([entityType, entities]) => entities
+      .filter(entity => entity && entity.id)
+      .map(entity => ({ entityType, entityId: entity.id })))
+}
+
+/**
+ * Compute the plan for upgrading an installed bundle to a target version
+ *
+ * Steps list installs and upgrades in dependency order (dependencies
+ * first), then removals in reverse dependency order. Unchanged modules
+ * are listed in `unchanged`.
+ *
+ * @param {Object} installedManifest - Installed bundle manifest (from generateBundleManifest)
+ * @param {Object} targetManifest - Target bundle manifest
+ * @param {Object} options - Planning options
+ * @param {string} options.rootDir - Repository root holding module artifacts (defaults to cwd)
+ * @returns {Object} Upgrade plan
+ * @throws {Error} If the manifests are for different bundles or an artifact is missing
+ *
+ * @example
+ * const plan = createUpgradePlan(installed, loadBundleManifest('Default', '2.0.0'))
+ * // {
+ * //   bundle: 'Default', from: '1.0.0', to: '2.0.0', breaking: true,
+ * //   order: ['Core', 'Lab'],
+ * //   steps: [{ module: 'Core', action: 'upgrade', from: '1.0.0', to: '2.0.0', requiredBump: 'major',
+ * //             added: [...], removed: [...], modified: [...], breakingChanges: [...], migrations: {...} }],
+ * //   unchanged: ['Base']
+ * // }
+ */
+export function createUpgradePlan(installedManifest, targetManifest, { rootDir = process.cwd() } = {}) {
+  if (installedManifest.id !== targetManifest.id) {
+    throw new Error(`Cannot plan an upgrade from bundle "${installedManifest.id}" to bundle "${targetManifest.id}"`)
+  }
+
+  const installedModules = installedManifest.modules || {}
+  const targetModules = targetManifest.modules || {}
+
+  // Target artifacts define the apply order; installed artifacts the removal order
+  const targetArtifacts = new Map(Object.entries(targetModules)
+    .map(([moduleId, version]) => [moduleId, loadModuleArtifact(moduleId, version, rootDir)]))
+  const removedArtifacts = new Map(Object.entries(installedModules)
+    .filter(([moduleId]) => !(moduleId in targetModules))
+    .map(([moduleId, version]) => [moduleId, loadModuleArtifact(moduleId, version, rootDir)]))
+
+  const steps = []
+  const unchanged = []
+
+  for (const moduleId of orderModules(targetArtifacts)) {
+    const to = targetModules[moduleId]
+    const from = installedModules[moduleId]
+    const targetArtifact = targetArtifacts.get(moduleId)
+
+    if (from === to) {
+      unchanged.push(moduleId)
+    } else if (from === undefined) {
+      steps.push({
+        module: moduleId,
+        action: 'install',
+        from: null,
+        to,
+        requiredBump: null,
+        added: listArtifactEntities(targetArtifact),
+        removed: [],
+        modified: [],
+        breakingChanges: [],
+        migrations: {}
+      })
+    } else {
+      const report = diffArtifacts(loadModuleArtifact(moduleId, from, rootDir), targetArtifact)
+      steps.push({
+        module: moduleId,
+        action: 'upgrade',
+        from,
+        to,
+        requiredBump: report.requiredBump,
+        ...summarizeModuleChanges(report.changes)
+      })
+    }
+  }
+
+  for (const moduleId of orderModules(removedArtifacts).reverse()) {
+    const removed = listArtifactEntities(removedArtifacts.get(moduleId))
+    steps.push({
+      module: moduleId,
+      action: 'remove',
+      from: installedModules[moduleId],
+      to: null,
+      requiredBump: 'major',
+      added: [],
+      removed,
+      modified: [],
+      breakingChanges: removed.map(({ entityType, entityId }) => `${entityType}/${entityId}: removed with module ${moduleId}`),
+      migrations: {}
+    })
+  }
+
+  return {
+    bundle: targetManifest.id,
+    from: installedManifest.version,
+    to: targetManifest.version,
+    ontologyVersion: { from: installedManifest.ontologyVersion ?? null, to: targetManifest.ontologyVersion ?? null },
+    breaking: steps.some(step => step.breakingChanges.length > 0),
+    order: steps.map(step => step.module),
+    steps,
+    unchanged
+  }
+}
+
+/**
+ * Format entities as a comma-separated list
+ *
+ * @param {Array<{entityType: string, entityId: string}>} entities - Entities
+ * @returns {string} List like '`properties/Has_name`, `categories/Agent`'
+ */
+function formatEntityList(entities) {
+  return entities.map(({ entityType, entityId }) => `\`${entityType}/${entityId}\``).join(', ')
+}
+
+/**
+ * Format an upgrade plan as markdown
+ *
+ * @param {Object} plan - Plan from createUpgradePlan
+ * @returns {string} Markdown report
+ */
+function formatMarkdown(plan) {
+  let md = `# Upgrade ${plan.bundle} ${plan.from} -> ${plan.to}\n\n`
+
+  if (plan.steps.length === 0) {
+    md += 'Nothing to do: every module is already at its target version.\n'
+    return md
+  }
+
+  md += plan.breaking
+    ? '**This upgrade contains breaking changes.** Review them before applying.\n\n'
+    : 'This upgrade has no breaking changes.\n\n'
+
+  md += '## Apply Order\n\n'
+  md += '| Step | Module | Action | From | To | Bump |\n'
+  md += '|------|--------|--------|------|----|------|\n'
+  plan.steps.forEach((step, index) => {
+    md += `| ${index + 1} | ${step.module} | ${step.action} | ${step.from ?? '-'} | ${step.to ?? '-'} | ${step.requiredBump ?? '-'} |\n`
+  })
+
+  if (plan.unchanged.length > 0) {
+    md += `\nUnchanged: ${plan.unchanged.join(', ')}\n`
+  }
+
+  for (const step of plan.steps) {
+    md += `\n## ${step.module} (${step.action}${step.from ? ` from ${step.from}` : ''}${step.to ? ` to ${step.to}` : ''})\n\n`
+
+    if (step.breakingChanges.length > 0) {
+      md += '**Breaking:**\n'
+      for (const change of step.breakingChanges) {
+        md += `- ${change}\n`
+      }
+      md += '\n'
+    }
+    if (step.added.length > 0) {
+      md += `**Added:** ${formatEntityList(step.added)}\n\n`
+    }
+    if (step.removed.length > 0) {
+      md += `**Removed:** ${formatEntityList(step.removed)}\n\n`
+    }
+    if (step.modified.length > 0) {
+      md += '**Modified:**\n'
+      for (const entity of step.modified) {
+        const renamed = entity.previousId ? ` (renamed from \`${entity.previousId}\`)` : ''
+        const messages = entity.findings.map(finding => finding.message).join('; ')
+        md += `- \`${entity.entityType}/${entity.entityId}\`${renamed} (${entity.changeType}): ${messages}\n`
+      }
+      md += '\n'
+    }
+  }
+
+  return md.trimEnd() + '\n'
+}
+
+/**
+ * Format an upgrade plan
+ *
+ * JSON is meant for the SemanticSchemas extension, markdown for people
+ * reviewing the upgrade.
+ *
+ * @param {Object} plan - Plan from createUpgradePlan
+ * @param {string} format - One of PLAN_FORMATS
+ * @returns {string} Formatted plan
+ * @throws {Error} If the format is not supported
+ */
+export function formatUpgradePlan(plan, format = 'json') {
+  if (format === 'json') {
+    return JSON.stringify(plan, null, 2) + '\n'
+  }
+  if (format === 'markdown') {
+    return formatMarkdown(plan)
+  }
+  throw new Error(`Invalid format "${format}" (expected one of: ${PLAN_FORMATS.join(', ')})`)
+}
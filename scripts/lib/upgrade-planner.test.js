@@ -0,0 +1,232 @@
+import { describe, test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import fs from 'node:fs'
+import path from 'node:path'
+import os from 'node:os'
+import {
+  loadBundleManifest,
+  createUpgradePlan,
+  formatUpgradePlan
+} from './upgrade-planner.js'
+import { createMockArtifact } from '../__fixtures__/mock-artifact.js'
+
+function writeJSON(rootDir, relativePath, data) {
+  const filePath = path.join(rootDir, relativePath)
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n')
+}
+
+function createManifest(version, modules) {
+  return {
+    id: 'Default',
+    version,
+    generated: '2026-01-01T00:00:00.000Z',
+    ontologyVersion: version,
+    modules
+  }
+}
+
+describe('createUpgradePlan', () => {
+  let tempDir
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upgrade-plan-test-'))
+
+    writeJSON(tempDir, 'modules/Base/versions/1.0.0.json', createMockArtifact({
+      id: 'Base',
+      version: '1.0.0',
+      properties: [{ id: 'Has_name', label: 'Name', datatype: 'Text', cardinality: 'single' }]
+    }))
+    writeJSON(tempDir, 'modules/Core/versions/1.0.0.json', createMockArtifact({
+      id: 'Core',
+      version: '1.0.0',
+      dependencies: { Base: '1.0.0' },
+      properties: [
+        { id: 'Has_email', label: 'Email', datatype: 'Email', cardinality: 'single' },
+        { id: 'Has_fax', label: 'Fax', datatype: 'Text', cardinality: 'single' }
+      ]
+    }))
+    writeJSON(tempDir, 'modules/Core/versions/2.0.0.json', createMockArtifact({
+      id: 'Core',
+      version: '2.0.0',
+      dependencies: { Base: '1.0.0' },
+      properties: [
+        { id: 'Has_email', label: 'Email', datatype: 'Email', cardinality: 'multiple' },
+        { id: 'Has_phone', label: 'Phone', datatype: 'Telephone number', cardinality: 'single' }
+      ]
+    }))
+    writeJSON(tempDir, 'modules/Lab/versions/1.0.0.json', createMockArtifact({
+      id: 'Lab',
+      version: '1.0.0',
+      dependencies: { Core: '2.0.0' },
+      categories: [{ id: 'Equipment', label: 'Equipment' }]
+    }))
+    writeJSON(tempDir, 'modules/Legacy/versions/1.0.0.json', createMockArtifact({
+      id: 'Legacy',
+      version: '1.0.0',
+      dependencies: { Core: '1.0.0' },
+      templates: [{ id: 'Old_infobox', wikitext: '{{{1}}}' }]
+    }))
+  })
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true })
+  })
+
+  test('orders installs and upgrades after their dependencies and removals last', () => {
+    const plan = createUpgradePlan(
+      createManifest('1.0.0', { Base: '1.0.0', Core: '1.0.0', Legacy: '1.0.0' }),
+      createManifest('2.0.0', { Lab: '1.0.0', Core: '2.0.0', Base: '1.0.0' }),
+      { rootDir: tempDir }
+    )
+
+    assert.strictEqual(plan.bundle, 'Default')
+    assert.strictEqual(plan.from, '1.0.0')
+    assert.strictEqual(plan.to, '2.0.0')
+    assert.deepStrictEqual(plan.ontologyVersion, { from: '1.0.0', to: '2.0.0' })
+    assert.deepStrictEqual(plan.order, ['Core', 'Lab', 'Legacy'])
+    assert.deepStrictEqual(plan.steps.map(step => step.action), ['upgrade', 'install', 'remove'])
+    assert.deepStrictEqual(plan.unchanged, ['Base'])
+  })
+
+  test('summarizes entity changes of upgraded modules', () => {
+    const plan = createUpgradePlan(
+      createManifest('1.0.0', { Base: '1.0.0', Core: '1.0.0' }),
+      createManifest('2.0.0', { Base: '1.0.0', Core: '2.0.0' }),
+      { rootDir: tempDir }
+    )
+
+    const [core] = plan.steps
+    assert.strictEqual(core.requiredBump, 'major')
+    assert.deepStrictEqual(core.added, [{ entityType: 'properties', entityId: 'Has_phone' }])
+    assert.deepStrictEqual(core.removed, [{ entityType: 'properties', entityId: 'Has_fax' }])
+    assert.strictEqual(core.modified.length, 1)
+    assert.strictEqual(core.modified[0].entityId, 'Has_email')
+    assert.strictEqual(core.modified[0].findings[0].rule, 'property-cardinality-expanded')
+    assert.deepStrictEqual(core.breakingChanges, ['properties/Has_fax: properties deleted: Has_fax'])
+    assert.strictEqual(plan.breaking, true)
+  })
+
+  test('lists every entity of installed and removed modules', () => {
+    const plan = createUpgradePlan(
+      createManifest('1.0.0', { Base: '1.0.0', Core: '1.0.0', Legacy: '1.0.0' }),
+      createManifest('1.1.0', { Base: '1.0.0', Core: '1.0.0', Lab: '1.0.0' }),
+      { rootDir: tempDir }
+    )
+
+    const lab = plan.steps.find(step => step.module === 'Lab')
+    assert.strictEqual(lab.action, 'install')
+    assert.deepStrictEqual(lab.added, [{ entityType: 'categories', entityId: 'Equipment' }])
+    assert.deepStrictEqual(lab.breakingChanges, [])
+
+    const legacy = plan.steps.find(step => step.module === 'Legacy')
+    assert.strictEqual(legacy.action, 'remove')
+    assert.deepStrictEqual(legacy.removed, [{ entityType: 'templates', entityId: 'Old_infobox' }])
+    assert.deepStrictEqual(legacy.breakingChanges, ['templates/Old_infobox: removed with module Legacy'])
+  })
+
+  test('reports renames as migrations', () => {
+    writeJSON(tempDir, 'modules/Base/versions/2.0.0.json', createMockArtifact({
+      id: 'Base',
+      version: '2.0.0',
+      properties: [{ id: 'Has_full_name', label: 'Name', datatype: 'Text', cardinality: 'single', previous_ids: ['Has_name'] }]
+    }))
+
+    const plan = createUpgradePlan(
+      createManifest('1.0.0', { Base: '1.0.0' }),
+      createManifest('2.0.0', { Base: '2.0.0' }),
+      { rootDir: tempDir }
+    )
+
+    const [base] = plan.steps
+    assert.deepStrictEqual(base.migrations, { properties: { Has_name: 'Has_full_name' } })
+    assert.strictEqual(base.modified[0].previousId, 'Has_name')
+    assert.deepStrictEqual(base.added, [])
+    assert.deepStrictEqual(base.removed, [])
+  })
+
+  test('returns an empty plan when nothing changes', () => {
+    const manifest = createManifest('1.0.0', { Base: '1.0.0' })
+
+    const plan = createUpgradePlan(manifest, manifest, { rootDir: tempDir })
+
+    assert.deepStrictEqual(plan.steps, [])
+    assert.strictEqual(plan.breaking, false)
+  })
+
+  test('rejects manifests of different bundles', () => {
+    assert.throws(
+      () => createUpgradePlan(createManifest('1.0.0', {}), { ...createManifest('2.0.0', {}), id: 'Other' }, { rootDir: tempDir }),
+      /from bundle "Default" to bundle "Other"/
+    )
+  })
+
+  test('throws when a module artifact is missing', () => {
+    assert.throws(
+      () => createUpgradePlan(createManifest('1.0.0', {}), createManifest('2.0.0', { Core: '9.0.0' }), { rootDir: tempDir }),
+      /Artifact not found: modules\/Core\/versions\/9.0.0.json/
+    )
+  })
+
+  test('loadBundleManifest reads versioned manifests', () => {
+    writeJSON(tempDir, 'bundles/Default/versions/2.0.0.json', createManifest('2.0.0', { Base: '1.0.0' }))
+
+    assert.strictEqual(loadBundleManifest('Default', '2.0.0', tempDir).version, '2.0.0')
+    assert.throws(() => loadBundleManifest('Default', '3.0.0', tempDir), /Bundle manifest not found/)
+  })
+})
+
+describe('formatUpgradePlan', () => {
+  const plan = {
+    bundle: 'Default',
+    from: '1.0.0',
+    to: '2.0.0',
+    ontologyVersion: { from: '1.0.0', to: '2.0.0' },
+    breaking: true,
+    order: ['Core'],
+    steps: [{
+      module: 'Core',
+      action: 'upgrade',
+      from: '1.0.0',
+      to: '2.0.0',
+      requiredBump: 'major',
+      added: [{ entityType: 'properties', entityId: 'Has_phone' }],
+      removed: [{ entityType: 'properties', entityId: 'Has_fax' }],
+      modified: [{
+        entityType: 'properties',
+        entityId: 'Has_email',
+        changeType: 'minor',
+        findings: [{ rule: 'property-cardinality-expanded', severity: 'minor', message: 'cardinality expanded: single -> multiple' }]
+      }],
+      breakingChanges: ['properties/Has_fax: properties deleted: Has_fax'],
+      migrations: {}
+    }],
+    unchanged: ['Base']
+  }
+
+  test('markdown lists the apply order and per-module changes', () => {
+    const md = formatUpgradePlan(plan, 'markdown')
+
+    assert.ok(md.startsWith('# Upgrade Default 1.0.0 -> 2.0.0\n'))
+    assert.ok(md.includes('**This upgrade contains breaking changes.**'))
+    assert.ok(md.includes('| 1 | Core | upgrade | 1.0.0 | 2.0.0 | major |'))
+    assert.ok(md.includes('Unchanged: Base'))
+    assert.ok(md.includes('- properties/Has_fax: properties deleted: Has_fax'))
+    assert.ok(md.includes('**Added:** `properties/Has_phone`'))
+    assert.ok(md.includes('- `properties/Has_email` (minor): cardinality expanded: single -> multiple'))
+  })
+
+  test('markdown reports an empty plan', () => {
+    const md = formatUpgradePlan({ ...plan, breaking: false, steps: [], order: [] }, 'markdown')
+
+    assert.ok(md.includes('Nothing to do'))
+  })
+
+  test('json round-trips the plan', () => {
+    assert.deepStrictEqual(JSON.parse(formatUpgradePlan(plan, 'json')), plan)
+  })
+
+  test('rejects unknown formats', () => {
+    assert.throws(() => formatUpgradePlan(plan, 'html'), /Invalid format "html"/)
+  })
+})
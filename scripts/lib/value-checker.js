@@ -0,0 +1,211 @@
+/**
+ * Value checker for property values
+ *
+ * Checks individual values against a property's SMW datatype and its
+ * value constraints (allowed_values, allowed_pattern). Page links and
+ * Allows_value_from_category are resolved by page-reference-validator.js.
+ */
+
+const NUMBER_PATTERN = /^[-+]?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/
+const QUANTITY_PATTERN = /^([-+]?(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][-+]?\d+)?)\s*(.*)$/
+const DATE_PATTERN = /^-?\d{1,4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01])(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?)?)?$/
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const TELEPHONE_PATTERN = /^\+?[\d\s().\-/]+$/
+const URI_PATTERN = /^[a-z][a-z\d+.-]*:\S+$/i
+const MONOLINGUAL_PATTERN = /^.+@[a-z]{2,3}(-[a-z\d]+)*$/i
+const COORDINATES_PATTERN = /^\s*([-+]?\d+(?:\.\d+)?)\s*,\s*([-+]?\d+(?:\.\d+)?)\s*$/
+const BOOLEAN_STRINGS = new Set(['true', 'false', 'yes', 'no', '1', '0'])
+const TEMPERATURE_UNITS = new Set(['K', '°C', '°F', '°R'])
+
+/**
+ * Require a non-empty string value
+ *
+ * @param {*} value - Value to check
+ * @returns {string|null} Problem description or null if valid
+ */
+function checkString(value) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return 'expected a non-empty string'
+  }
+  return null
+}
+
+/**
+ * Build a checker that requires a string matching a pattern
+ *
+ * @param {RegExp} pattern - Pattern the string must match
+ * @param {string} description - What the value should be (for messages)
+ * @returns {function(*): string|null} Datatype checker
+ */
+function stringMatching(pattern, description) {
+  return value => checkString(value) || (pattern.test(value) ? null : `not a valid ${description}`)
+}
+
+/**
+ * Require a finite number (or numeric string)
+ *
+ * @param {*} value - Value to check
+ * @returns {string|null} Problem description or null if valid
+ */
+function checkNumber(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? null : 'not a finite number'
+  }
+  if (typeof value === 'string' && NUMBER_PATTERN.test(value.trim())) {
+    return null
+  }
+  return 'not a valid number'
+}
+
+/**
+ * Build a checker for a number followed by an optional unit
+ *
+ * @param {function(object): Set<string>|null} getUnits - Allowed units for a property (null for any)
+ * @param {string} description - What the value should be (for messages)
+ * @returns {function(*, object): string|null} Datatype checker
+ */
+function numberWithUnit(getUnits, description) {
+  return (value, property) => {
+    if (typeof value === 'number') {
+      return checkNumber(value)
+    }
+
+    const match = typeof value === 'string' ? value.trim().match(QUANTITY_PATTERN) : null
+    if (!match) {
+      return `not a valid ${description}`
+    }
+
+    const unit = match[2].trim()
+    const units = getUnits(property)
+    if (unit && units && !units.has(unit)) {
+      return `unit "${unit}" is not one of: ${[...units].join(', ')}`
+    }
+    return null
+  }
+}
+
+/**
+ * Datatype checkers keyed by SMW datatype (see properties/_schema.json)
+ *
+ * Each checker receives the value and the property definition and returns
+ * a problem description, or null if the value is valid for the datatype.
+ */
+export const DATATYPE_CHECKERS = {
+  'Annotation URI': stringMatching(URI_PATTERN, 'URI'),
+  'Boolean': value => {
+    if (typeof value === 'boolean') return null
+    if (typeof value === 'string' && BOOLEAN_STRINGS.has(value.trim().toLowerCase())) return null
+    return 'not a valid boolean (expected true/false/yes/no/1/0)'
+  },
+  'Code': checkString,
+  'Date': value => {
+    if (typeof value === 'number' && Number.isInteger(value)) return null
+    const problem = stringMatching(DATE_PATTERN, 'date (expected YYYY, YYYY-MM or YYYY-MM-DD)')(value)
+    if (problem) return problem
+    // Reject impossible calendar dates such as 2024-02-30
+    const [year, month, day] = value.split('T')[0].replace(/^-/, '').split('-').map(Number)
+    if (day && new Date(Date.UTC(year, month - 1, day)).getUTCDate() !== day) {
+      return 'not a valid calendar date'
+    }
+    return null
+  },
+  'Email': stringMatching(EMAIL_PATTERN, 'email address'),
+  'External identifier': checkString,
+  'Geographic coordinates': value => {
+    const problem = checkString(value)
+    if (problem) return problem
+    const match = value.match(COORDINATES_PATTERN)
+    if (!match) return 'not valid coordinates (expected "latitude, longitude")'
+    const [lat, lon] = [Number(match[1]), Number(match[2])]
+    if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return 'coordinates out of range'
+    return null
+  },
+  'Keyword': checkString,
+  'Monolingual text': stringMatching(MONOLINGUAL_PATTERN, 'monolingual text (expected "text@lang")'),
+  'Number': checkNumber,
+  'Page': checkString,
+  'Quantity': numberWithUnit(
+    property => (property.display_units ? new Set(property.display_units) : null),
+    'quantity (expected a number with optional unit)'
+  ),
+  'Record': value => (value && typeof value === 'object' && !Array.isArray(value) ? null : 'expected an object of record fields'),
+  'Reference': value => (value && typeof value === 'object' && !Array.isArray(value) ? null : 'expected an object of reference fields'),
+  'Telephone number': value => {
+    const problem = stringMatching(TELEPHONE_PATTERN, 'telephone number')(value)
+    if (problem) return problem
+    return value.replace(/\D/g, '').length >= 3 ? null : 'not a valid telephone number'
+  },
+  'Temperature': numberWithUnit(() => TEMPERATURE_UNITS, 'temperature (expected a number with unit K, °C, °F or °R)'),
+  'Text': checkString,
+  'URL': value => {
+    const problem = checkString(value)
+    if (problem) return problem
+    try {
+      new URL(value)
+      return null
+    } catch (err) {
+      return 'not a valid URL'
+    }
+  }
+}
+
+/**
+ * Get the category a property sources its values from, if any
+ *
+ * Supports both `Allows_value_from_category` and the object form of
+ * `allowed_values` ({ from_category }).
+ *
+ * @param {object} property - Property definition
+ * @returns {string|null} Category id or null
+ */
+export function getValueSourceCategory(property) {
+  if (property.Allows_value_from_category) {
+    return property.Allows_value_from_category
+  }
+  if (property.allowed_values && !Array.isArray(property.allowed_values)) {
+    return property.allowed_values.from_category || null
+  }
+  return null
+}
+
+/**
+ * Check a single value against a property definition
+ *
+ * @param {*} value - Single value (not an array of values)
+ * @param {object} property - Property definition
+ * @returns {string[]} Problem descriptions (empty if valid)
+ *
+ * @example
+ * checkValue('not-an-email', { id: 'Has_email', datatype: 'Email' })
+ * // ['not a valid email address']
+ */
+export function checkValue(value, property) {
+  const checker = DATATYPE_CHECKERS[property.datatype]
+  if (checker) {
+    const problem = checker(value, property)
+    if (problem) {
+      // Constraints below assume a well-typed value
+      return [problem]
+    }
+  }
+
+  const problems = []
+
+  if (Array.isArray(property.allowed_values) && !property.allowed_values.includes(String(value))) {
+    problems.push(`"${value}" is not one of the allowed values: ${property.allowed_values.join(', ')}`)
+  }
+
+  if (property.allowed_pattern) {
+    let pattern
+    try {
+      pattern = new RegExp(property.allowed_pattern)
+    } catch (err) {
+      problems.push(`allowed_pattern is not a valid regular expression: ${err.message}`)
+    }
+    if (pattern && !pattern.test(String(value))) {
+      problems.push(`"${value}" does not match allowed_pattern ${property.allowed_pattern}`)
+    }
+  }
+
+  return problems
+}
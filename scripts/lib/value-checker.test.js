@@ -0,0 +1,130 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert'
+import fs from 'node:fs'
+import { DATATYPE_CHECKERS, checkValue, getValueSourceCategory } from './value-checker.js'
+
+/**
+ * Check a value against a bare property of the given datatype
+ */
+function check(datatype, value, extra = {}) {
+  return checkValue(value, { id: 'Has_test', datatype, ...extra })
+}
+
+describe('DATATYPE_CHECKERS', () => {
+  test('covers every datatype in the property schema', () => {
+    const schemaUrl = new URL('../../properties/_schema.json', import.meta.url)
+    const schema = JSON.parse(fs.readFileSync(schemaUrl, 'utf8'))
+
+    assert.deepStrictEqual(
+      Object.keys(DATATYPE_CHECKERS).sort(),
+      [...schema.properties.datatype.enum].sort()
+    )
+  })
+})
+
+describe('checkValue', () => {
+  describe('Datatypes', () => {
+    const cases = [
+      ['Annotation URI', 'http://xmlns.com/foaf/0.1/Person', 'not a uri'],
+      ['Boolean', true, 'maybe'],
+      ['Boolean', 'yes', 42],
+      ['Code', 'const x = 1', ''],
+      ['Date', '2024-01-15', '15/01/2024'],
+      ['Date', '2024-02', '2024-02-30'],
+      ['Date', '2024-01-15T10:30:00Z', '2024-13-01'],
+      ['Email', 'user@example.com', 'user@example'],
+      ['External identifier', 'Q42', 42],
+      ['Geographic coordinates', '37.7749, -122.4194', '91, 0'],
+      ['Geographic coordinates', '-33.86,151.21', 'Sydney'],
+      ['Keyword', 'biology', ['biology']],
+      ['Monolingual text', 'Bonjour@fr', 'Bonjour'],
+      ['Number', 3.14, 'three'],
+      ['Number', '-42', Infinity],
+      ['Page', 'Organization/Acme', ''],
+      ['Quantity', '12 km', 'twelve km'],
+      ['Record', { Has_name: 'x' }, 'x'],
+      ['Reference', { Has_url: 'https://example.com' }, ['x']],
+      ['Telephone number', '+1-555-123-4567', 'call me'],
+      ['Temperature', '20 °C', '20 degrees'],
+      ['Temperature', 293.15, 'hot'],
+      ['Text', 'John Doe', { name: 'John' }],
+      ['URL', 'https://example.com/path', 'example dot com']
+    ]
+
+    for (const [datatype, valid, invalid] of cases) {
+      test(`${datatype} accepts ${JSON.stringify(valid)} and rejects ${JSON.stringify(invalid)}`, () => {
+        assert.deepStrictEqual(check(datatype, valid), [])
+        assert.strictEqual(check(datatype, invalid).length, 1)
+      })
+    }
+
+    test('Quantity unit must be one of display_units', () => {
+      const property = { display_units: ['km', 'mi'] }
+
+      assert.deepStrictEqual(check('Quantity', '5 mi', property), [])
+      assert.deepStrictEqual(check('Quantity', '5', property), [])
+      assert.ok(check('Quantity', '5 ft', property)[0].includes('unit "ft"'))
+    })
+
+    test('Quantity without display_units accepts any unit', () => {
+      assert.deepStrictEqual(check('Quantity', '5 parsecs'), [])
+    })
+
+    test('unknown datatype skips datatype check', () => {
+      assert.deepStrictEqual(check('Custom', { anything: true }), [])
+    })
+  })
+
+  describe('Value constraints', () => {
+    test('allowed_values accepts listed value', () => {
+      assert.deepStrictEqual(check('Text', 'active', { allowed_values: ['active', 'inactive'] }), [])
+    })
+
+    test('allowed_values rejects unlisted value', () => {
+      const problems = check('Text', 'archived', { allowed_values: ['active', 'inactive'] })
+
+      assert.strictEqual(problems.length, 1)
+      assert.ok(problems[0].includes('allowed values'))
+    })
+
+    test('allowed_pattern accepts matching value', () => {
+      const orcid = { allowed_pattern: '^[0-9]{4}-[0-9]{4}-[0-9]{4}-[0-9]{3}[0-9X]$' }
+
+      assert.deepStrictEqual(check('Text', '0000-0002-1825-0097', orcid), [])
+    })
+
+    test('allowed_pattern rejects non-matching value', () => {
+      const problems = check('Text', 'ABC', { allowed_pattern: '^[0-9]+$' })
+
+      assert.strictEqual(problems.length, 1)
+      assert.ok(problems[0].includes('allowed_pattern'))
+    })
+
+    test('invalid allowed_pattern is reported', () => {
+      const problems = check('Text', 'x', { allowed_pattern: '(' })
+
+      assert.strictEqual(problems.length, 1)
+      assert.ok(problems[0].includes('not a valid regular expression'))
+    })
+
+    test('constraints are skipped when datatype check fails', () => {
+      const problems = check('Number', 'abc', { allowed_values: ['1', '2'] })
+
+      assert.deepStrictEqual(problems, ['not a valid number'])
+    })
+  })
+})
+
+describe('getValueSourceCategory', () => {
+  test('reads Allows_value_from_category', () => {
+    assert.strictEqual(getValueSourceCategory({ Allows_value_from_category: 'Organization' }), 'Organization')
+  })
+
+  test('reads allowed_values.from_category', () => {
+    assert.strictEqual(getValueSourceCategory({ allowed_values: { from_category: 'Person' } }), 'Person')
+  })
+
+  test('returns null for enumerated allowed_values', () => {
+    assert.strictEqual(getValueSourceCategory({ allowed_values: ['a'] }), null)
+  })
+})
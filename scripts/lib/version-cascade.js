@@ -1,10 +1,11 @@
 import semver from 'semver'
 import fs from 'node:fs'
 import path from 'node:path'
-import { detectChanges } from './change-detector.js'
+import { detectChanges, buildMigrationMap } from './change-detector.js'
 import { buildEntityGraph } from './cycle-detector.js'
-import { MODULE_ENTITY_TYPES, BUMP_PRIORITY } from './constants.js'
+import { MODULE_ENTITY_TYPES, BUMP_PRIORITY, PRERELEASE_BUMPS } from './constants.js'
 import { parseEntityPath } from './path-utils.js'
+import { getDependencyIds, validateDependencyRanges } from './dependency-ranges.js'
 
 /**
  * Build reverse index: entity key -> module id
@@ -115,7 +116,7 @@ export function calculateModuleBumps(entityIndex, changes) {
 export function buildModuleDependencyGraph(entityIndex) {
   return buildEntityGraph(
     entityIndex.modules,
-    entity => entity.dependencies || []
+    getDependencyIds
   )
 }
 
@@ -245,7 +246,7 @@ export function calculateOntologyBump(moduleBumps, bundleBumps) {
  *
  * @example
  * const overrides = loadOverrides()
- * // { Core: 'major', Lab: 'minor' }
+ * // { Core: 'major', Lab: { bump: 'preminor', channel: 'beta' } }
  */
 export function loadOverrides(rootDir = process.cwd()) {
   const overridePath = path.join(rootDir, 'VERSION_OVERRIDES.json')
@@ -262,9 +263,42 @@ export function loadOverrides(rootDir = process.cwd()) {
   }
 }
 
+/**
+ * Normalize an override value
+ *
+ * Overrides are either a bump type or an object with a bump type and a
+ * pre-release channel (e.g., { bump: 'preminor', channel: 'beta' }).
+ *
+ * @param {string|Object|undefined} override - Override value from VERSION_OVERRIDES.json
+ * @returns {{bump: string|null, channel: string|null}} Bump type and channel
+ *
+ * @example
+ * parseOverride('major') // { bump: 'major', channel: null }
+ * parseOverride({ bump: 'preminor', channel: 'beta' }) // { bump: 'preminor', channel: 'beta' }
+ */
+export function parseOverride(override) {
+  if (override && typeof override === 'object') {
+    return { bump: override.bump || null, channel: override.channel || null }
+  }
+  return { bump: override || null, channel: null }
+}
+
+/**
+ * Get the release bump a bump type leads to
+ *
+ * @param {string} bump - Bump type
+ * @returns {string|null} Release bump ('major', 'minor', 'patch'), or null for prerelease
+ */
+function getReleaseBump(bump) {
+  return bump in PRERELEASE_BUMPS ? PRERELEASE_BUMPS[bump] : bump
+}
+
 /**
  * Apply version overrides with downgrade warnings
  *
+ * Pre-release bumps are compared by the release they lead to (premajor
+ * as major, preminor as minor); prerelease never warns.
+ *
  * @param {Map<string, string>} calculatedBumps - Calculated bumps from cascade
  * @param {Object} overrides - Override object from VERSION_OVERRIDES.json
  * @returns {{bumps: Map<string, string>, warnings: string[]}} Final bumps and warnings
@@ -277,9 +311,11 @@ export function applyOverrides(calculatedBumps, overrides) {
   const warnings = []
   const finalBumps = new Map(calculatedBumps)
 
-  for (const [id, overrideBump] of Object.entries(overrides)) {
+  for (const [id, override] of Object.entries(overrides)) {
+    const { bump: overrideBump } = parseOverride(override)
     const calculated = calculatedBumps.get(id)
-    if (calculated && BUMP_PRIORITY[overrideBump] < BUMP_PRIORITY[calculated]) {
+    const releaseBump = getReleaseBump(overrideBump)
+    if (calculated && releaseBump && BUMP_PRIORITY[releaseBump] < BUMP_PRIORITY[calculated]) {
       warnings.push(`Override downgrades ${id} from ${calculated} to ${overrideBump}`)
     }
     finalBumps.set(id, overrideBump)
@@ -291,20 +327,29 @@ export function applyOverrides(calculatedBumps, overrides) {
 /**
  * Calculate new semver version from current version and bump type
  *
+ * Pre-release bumps with a channel number from 1 (e.g., '1.2.0-beta.1').
+ * A release bump on a pre-release version releases it ('1.2.0-beta.2'
+ * with 'minor' becomes '1.2.0').
+ *
  * @param {string} currentVersion - Current semver version
- * @param {string} bumpType - Bump type ('major', 'minor', 'patch')
+ * @param {string} bumpType - Bump type ('major', 'minor', 'patch', 'premajor', 'preminor', 'prerelease')
+ * @param {string|null} channel - Pre-release channel (e.g., 'beta'), for pre-release bumps
  * @returns {string|null} New version string, or null if invalid
  *
  * @example
  * calculateNewVersion('1.2.3', 'minor') // '1.3.0'
+ * calculateNewVersion('1.2.3', 'preminor', 'beta') // '1.3.0-beta.1'
+ * calculateNewVersion('1.3.0-beta.1', 'prerelease', 'beta') // '1.3.0-beta.2'
  */
-export function calculateNewVersion(currentVersion, bumpType) {
+export function calculateNewVersion(currentVersion, bumpType, channel = null) {
   if (!currentVersion || !bumpType) {
     return null
   }
 
   try {
-    return semver.inc(currentVersion, bumpType)
+    return channel
+      ? semver.inc(currentVersion, bumpType, channel, '1')
+      : semver.inc(currentVersion, bumpType)
   } catch (err) {
     return null
   }
@@ -315,15 +360,17 @@ export function calculateNewVersion(currentVersion, bumpType) {
  *
  * @param {Map<string, string>} bumps - Map from entityId to bumpType
  * @param {Map<string, object>} entityMap - Map from entityId to entity object
+ * @param {Object} overrides - Override object (source of pre-release channels)
  * @returns {Map<string, {current: string, new: string, bump: string}>} Version info per entity
  */
-function calculateEntityVersions(bumps, entityMap) {
+function calculateEntityVersions(bumps, entityMap, overrides = {}) {
   const versions = new Map()
 
   for (const [entityId, bump] of bumps) {
     const entity = entityMap.get(entityId)
     if (entity && entity.version) {
-      const newVersion = calculateNewVersion(entity.version, bump)
+      const { channel } = parseOverride(overrides[entityId])
+      const newVersion = calculateNewVersion(entity.version, bump, channel)
       versions.set(entityId, {
         current: entity.version,
         new: newVersion,
@@ -346,6 +393,11 @@ function calculateEntityVersions(bumps, entityMap) {
  * 5. Calculate overall ontology bump
  * 6. Apply overrides if requested
  * 7. Calculate new versions for modules and bundles
+ * 8. Check new dependency versions against declared ranges
+ * 9. Collect renamed entities into a migration map
+ *
+ * A dependency bump that leaves a dependent's declared range is reported in
+ * dependencyErrors; the dependent's range has to be updated before release.
  *
  * @param {Object} entityIndex - Entity index from buildEntityIndex
  * @param {string} baseBranch - Base branch reference (e.g., 'origin/main')
@@ -363,7 +415,9 @@ function calculateEntityVersions(bumps, entityMap) {
  * //   overrides: { Core: 'major' },
  * //   overrideWarnings: ['Override downgrades Lab from major to minor'],
  * //   moduleVersions: Map<moduleId, { current, new, bump }>,
- * //   bundleVersions: Map<bundleId, { current, new, bump }>
+ * //   bundleVersions: Map<bundleId, { current, new, bump }>,
+ * //   dependencyErrors: [{ file: 'modules/Lab.json', type: 'dependency-range-broken', message: '...' }],
+ * //   migrations: { properties: { Has_full_name: 'Has_name' } }
  * // }
  */
 export function calculateVersionCascade(entityIndex, baseBranch = 'origin/main', options = {}) {
@@ -381,7 +435,9 @@ export function calculateVersionCascade(entityIndex, baseBranch = 'origin/main',
       overrides: {},
       overrideWarnings: [],
       moduleVersions: new Map(),
-      bundleVersions: new Map()
+      bundleVersions: new Map(),
+      dependencyErrors: validateDependencyRanges(entityIndex).errors,
+      migrations: {}
     }
   }
 
@@ -428,19 +484,24 @@ export function calculateVersionCascade(entityIndex, baseBranch = 'origin/main',
 
     // Apply ontology override if specified
     if (overrides.ontology) {
+      const { bump: overrideBump } = parseOverride(overrides.ontology)
+      const releaseBump = getReleaseBump(overrideBump)
       const calculatedPriority = BUMP_PRIORITY[ontologyBump] || 0
-      const overridePriority = BUMP_PRIORITY[overrides.ontology] || 0
+      const overridePriority = BUMP_PRIORITY[releaseBump] || 0
 
-      if (overridePriority < calculatedPriority) {
-        overrideWarnings.push(`Override downgrades ontology from ${ontologyBump} to ${overrides.ontology}`)
+      if (releaseBump && overridePriority < calculatedPriority) {
+        overrideWarnings.push(`Override downgrades ontology from ${ontologyBump} to ${overrideBump}`)
       }
-      finalOntologyBump = overrides.ontology
+      finalOntologyBump = overrideBump
     }
   }
 
   // Calculate new versions for modules and bundles
-  const moduleVersions = calculateEntityVersions(finalModuleBumps, entityIndex.modules)
-  const bundleVersions = calculateEntityVersions(finalBundleBumps, entityIndex.bundles)
+  const moduleVersions = calculateEntityVersions(finalModuleBumps, entityIndex.modules, overrides)
+  const bundleVersions = calculateEntityVersions(finalBundleBumps, entityIndex.bundles, overrides)
+
+  // Check new dependency versions against declared ranges
+  const { errors: dependencyErrors } = validateDependencyRanges(entityIndex, { moduleVersions })
 
   return {
     changes,
@@ -451,6 +512,8 @@ export function calculateVersionCascade(entityIndex, baseBranch = 'origin/main',
     overrides,
     overrideWarnings,
     moduleVersions,
-    bundleVersions
+    bundleVersions,
+    dependencyErrors,
+    migrations: buildMigrationMap(changes)
   }
 }
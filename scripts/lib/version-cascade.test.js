@@ -13,6 +13,7 @@ import {
   calculateOntologyBump,
   loadOverrides,
   applyOverrides,
+  parseOverride,
   calculateNewVersion,
   calculateVersionCascade
 } from './version-cascade.js'
@@ -222,6 +223,35 @@ describe('calculateModuleBumps', () => {
     assert.strictEqual(moduleBumps.has('Core'), false)
     assert.strictEqual(moduleBumps.size, 0)
   })
+
+  test('maps nested template and resource files to their full ids', () => {
+    const entityIndex = {
+      categories: new Map(),
+      properties: new Map(),
+      subobjects: new Map(),
+      templates: new Map([
+        ['Property/Page', { id: 'Property/Page' }]
+      ]),
+      resources: new Map([
+        ['Person/John_doe', { id: 'Person/John_doe' }]
+      ]),
+      modules: new Map([
+        ['Core', { id: 'Core', templates: ['Property/Page'] }],
+        ['Lab', { id: 'Lab', resources: ['Person/John_doe'] }]
+      ]),
+      bundles: new Map()
+    }
+
+    const changes = [
+      { file: 'templates/Property/Page.json', entityType: 'templates', changeType: 'major' },
+      { file: 'resources/Person/John_doe.json', entityType: 'resources', changeType: 'minor' }
+    ]
+
+    const moduleBumps = calculateModuleBumps(entityIndex, changes)
+
+    assert.strictEqual(moduleBumps.get('Core'), 'major')
+    assert.strictEqual(moduleBumps.get('Lab'), 'minor')
+  })
 })
 
 describe('buildModuleDependencyGraph', () => {
@@ -517,6 +547,25 @@ describe('applyOverrides', () => {
     assert.strictEqual(result.warnings.length, 0)
   })
 
+  test('accepts pre-release overrides with a channel', () => {
+    const calculatedBumps = new Map([['Core', 'minor']])
+    const overrides = { Core: { bump: 'preminor', channel: 'beta' } }
+
+    const result = applyOverrides(calculatedBumps, overrides)
+
+    assert.strictEqual(result.bumps.get('Core'), 'preminor')
+    assert.strictEqual(result.warnings.length, 0)
+  })
+
+  test('compares pre-release overrides by the release they lead to', () => {
+    const calculatedBumps = new Map([['Core', 'major'], ['Lab', 'major']])
+    const overrides = { Core: 'preminor', Lab: 'prerelease' }
+
+    const result = applyOverrides(calculatedBumps, overrides)
+
+    assert.deepStrictEqual(result.warnings, ['Override downgrades Core from major to preminor'])
+  })
+
   test('returns unchanged bumps for empty overrides', () => {
     const calculatedBumps = new Map([['Core', 'minor']])
     const overrides = {}
@@ -559,6 +608,34 @@ describe('calculateNewVersion', () => {
     const result = calculateNewVersion('1.2.3', null)
     assert.strictEqual(result, null)
   })
+
+  test('pre-release bumps start the channel at 1', () => {
+    assert.strictEqual(calculateNewVersion('1.1.0', 'preminor', 'beta'), '1.2.0-beta.1')
+    assert.strictEqual(calculateNewVersion('1.1.0', 'premajor', 'alpha'), '2.0.0-alpha.1')
+  })
+
+  test('prerelease bump continues or switches the channel', () => {
+    assert.strictEqual(calculateNewVersion('1.2.0-beta.1', 'prerelease', 'beta'), '1.2.0-beta.2')
+    assert.strictEqual(calculateNewVersion('1.2.0-beta.2', 'prerelease', 'rc'), '1.2.0-rc.1')
+  })
+
+  test('release bump on a pre-release version releases it', () => {
+    assert.strictEqual(calculateNewVersion('1.2.0-beta.2', 'minor'), '1.2.0')
+  })
+})
+
+describe('parseOverride', () => {
+  test('reads a plain bump type', () => {
+    assert.deepStrictEqual(parseOverride('major'), { bump: 'major', channel: null })
+  })
+
+  test('reads a bump with a channel', () => {
+    assert.deepStrictEqual(parseOverride({ bump: 'preminor', channel: 'beta' }), { bump: 'preminor', channel: 'beta' })
+  })
+
+  test('returns nulls for a missing override', () => {
+    assert.deepStrictEqual(parseOverride(undefined), { bump: null, channel: null })
+  })
 })
 
 describe('calculateOntologyBump edge cases', () => {
@@ -609,6 +686,8 @@ describe('calculateVersionCascade', () => {
     assert.ok(Array.isArray(result.overrideWarnings), 'overrideWarnings should be an array')
     assert.ok('overrides' in result, 'overrides should exist')
     assert.ok('ontologyBump' in result, 'ontologyBump should exist')
+    assert.deepStrictEqual(result.migrations, {}, 'migrations should be empty')
+    assert.deepStrictEqual(result.dependencyErrors, [], 'dependencyErrors should be empty')
   })
 
   test('ontologyBump is null when no changes detected', async () => {
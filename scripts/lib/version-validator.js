@@ -94,3 +94,44 @@ export function getBaseVersion(baseBranch = 'origin/main') {
     return null
   }
 }
+
+/**
+ * Check that stable bundles only include released modules
+ *
+ * A bundle may include a pre-release module version (e.g., '1.2.0-beta.1')
+ * only if the bundle version is itself a pre-release. Versions about to be
+ * applied by the cascade are checked instead of the current ones.
+ *
+ * @param {Object} entityIndex - Entity index from buildEntityIndex
+ * @param {Object} versions - New versions from calculateVersionCascade
+ * @param {Map<string, {new: string}>} versions.moduleVersions - New module versions
+ * @param {Map<string, {new: string}>} versions.bundleVersions - New bundle versions
+ * @returns {{errors: Array<{file: string, type: string, message: string}>}}
+ *
+ * @example
+ * validatePrereleaseDependencies(entityIndex, cascadeResult)
+ * // { errors: [{ file: 'bundles/Default.json', type: 'prerelease-dependency', message: '...' }] }
+ */
+export function validatePrereleaseDependencies(entityIndex, { moduleVersions = new Map(), bundleVersions = new Map() } = {}) {
+  const errors = []
+
+  for (const [bundleId, bundle] of entityIndex.bundles) {
+    const bundleVersion = bundleVersions.get(bundleId)?.new || bundle.version
+    if (!bundleVersion || semver.prerelease(bundleVersion)) {
+      continue
+    }
+
+    for (const moduleId of bundle.modules || []) {
+      const moduleVersion = moduleVersions.get(moduleId)?.new || entityIndex.modules.get(moduleId)?.version
+      if (moduleVersion && semver.prerelease(moduleVersion)) {
+        errors.push({
+          file: bundle._filePath || `bundles/${bundleId}.json`,
+          type: 'prerelease-dependency',
+          message: `Bundle ${bundleId} ${bundleVersion} includes pre-release module ${moduleId} ${moduleVersion}; release the module or make the bundle a pre-release`
+        })
+      }
+    }
+  }
+
+  return { errors }
+}
@@ -1,6 +1,7 @@
 import { describe, test } from 'node:test'
 import assert from 'node:assert'
-import { validateVersionFormat, compareVersions } from './version-validator.js'
+import { validateVersionFormat, compareVersions, validatePrereleaseDependencies } from './version-validator.js'
+import { createDependencyChainIndex } from '../__fixtures__/mock-entity-index.js'
 
 describe('validateVersionFormat', () => {
   test('valid semver format passes', () => {
@@ -132,3 +133,35 @@ describe('compareVersions', () => {
     assert.ok(result.error.includes('Invalid base version'))
   })
 })
+
+describe('validatePrereleaseDependencies', () => {
+  test('passes when all modules are released', () => {
+    const { errors } = validatePrereleaseDependencies(createDependencyChainIndex())
+
+    assert.deepStrictEqual(errors, [])
+  })
+
+  test('flags a stable bundle with a pre-release module', () => {
+    const entityIndex = createDependencyChainIndex()
+    entityIndex.modules.get('Lab').version = '1.1.0-beta.1'
+
+    const { errors } = validatePrereleaseDependencies(entityIndex)
+
+    assert.strictEqual(errors.length, 1)
+    assert.strictEqual(errors[0].type, 'prerelease-dependency')
+    assert.strictEqual(errors[0].file, 'bundles/Default.json')
+    assert.ok(errors[0].message.includes('pre-release module Lab 1.1.0-beta.1'))
+  })
+
+  test('checks the versions the cascade is about to apply', () => {
+    const entityIndex = createDependencyChainIndex()
+    const moduleVersions = new Map([['Core', { current: '1.0.0', new: '1.1.0-beta.1', bump: 'preminor' }]])
+
+    const stable = validatePrereleaseDependencies(entityIndex, { moduleVersions })
+    assert.strictEqual(stable.errors.length, 1)
+
+    const bundleVersions = new Map([['Default', { current: '1.0.0', new: '1.1.0-beta.1', bump: 'preminor' }]])
+    const prerelease = validatePrereleaseDependencies(entityIndex, { moduleVersions, bundleVersions })
+    assert.deepStrictEqual(prerelease.errors, [])
+  })
+})
@@ -0,0 +1,272 @@
+/**
+ * Semantic MediaWiki wikitext export
+ *
+ * Renders ontology entities as the wiki pages they become once installed:
+ * Property pages with their SMW annotations, Category pages with their
+ * parents, Template pages, dashboard pages and resource pages, plus the
+ * Page Forms pages from form-generator.js. Pages are
+ * written as a directory tree keyed by namespace and title
+ * (Property/Has_name.wikitext), so an export can be diffed against pages
+ * exported from a live wiki.
+ */
+
+import fs from 'node:fs'
+import path from 'node:path'
+import { RESOURCE_METADATA_FIELDS } from './constants.js'
+import { createEntityIndexFromArtifact } from './entity-index.js'
+import { generateFormPages } from './form-generator.js'
+
+/**
+ * Directory used for pages in the main (unnamed) namespace
+ */
+export const MAIN_NAMESPACE_DIR = 'Main'
+
+/**
+ * Render a list of SMW annotations, one per line
+ *
+ * @param {Array<[string, string|number|boolean]>} annotations - Property name and value pairs
+ * @returns {string[]} Annotation lines
+ */
+function renderAnnotations(annotations) {
+  return annotations.map(([name, value]) => `[[${name}::${value}]]`)
+}
+
+/**
+ * Join page sections, skipping empty ones
+ *
+ * @param {Array<string|string[]>} sections - Paragraphs or groups of lines
+ * @returns {string} Page text
+ */
+function joinSections(sections) {
+  return sections
+    .map(section => Array.isArray(section) ? section.join('\n') : section)
+    .filter(Boolean)
+    .join('\n\n')
+}
+
+/**
+ * Render the wikitext of a Property page
+ *
+ * @param {Object} property - Property entity
+ * @returns {string} Page text
+ *
+ * @example
+ * renderPropertyPage({ id: 'Has_status', label: 'Status', description: 'Current status',
+ *   datatype: 'Text', cardinality: 'single', allowed_values: ['active', 'retired'] })
+ * // 'Current status\n\n[[Display title of::Status]]\n[[Has type::Text]]\n[[Allows value::active]]\n[[Allows value::retired]]'
+ */
+export function renderPropertyPage(property) {
+  const annotations = []
+
+  if (property.label) annotations.push(['Display title of', property.label])
+  annotations.push(['Has type', property.datatype])
+
+  // allowed_values may also be { from_category }, which has no SMW equivalent
+  if (Array.isArray(property.allowed_values)) {
+    for (const value of property.allowed_values) {
+      annotations.push(['Allows value', value])
+    }
+  }
+  if (property.allowed_value_list) annotations.push(['Allows value list', property.allowed_value_list])
+  if (property.allowed_pattern) annotations.push(['Allows pattern', property.allowed_pattern])
+  if (property.display_units?.length) annotations.push(['Display units', property.display_units.join(', ')])
+  if (property.display_precision !== undefined) annotations.push(['Display precision of', property.display_precision])
+  if (property.unique_values) annotations.push(['Has uniqueness constraint', true])
+  if (property.parent_property) annotations.push(['Subproperty of', property.parent_property])
+
+  return joinSections([property.description, renderAnnotations(annotations)])
+}
+
+/**
+ * Render the wikitext of a Category page
+ *
+ * @param {Object} category - Category entity
+ * @returns {string} Page text
+ *
+ * @example
+ * renderCategoryPage({ id: 'Person', label: 'Person', description: 'A human being', parents: ['Agent'] })
+ * // 'A human being\n\n[[Display title of::Person]]\n\n[[Category:Agent]]'
+ */
+export function renderCategoryPage(category) {
+  const annotations = category.label ? [['Display title of', category.label]] : []
+  const parents = (category.parents || []).map(parentId => `[[Category:${parentId}]]`)
+
+  return joinSections([category.description, renderAnnotations(annotations), parents])
+}
+
+/**
+ * Format a resource value for an annotation or subobject parameter
+ *
+ * Record and Reference values are objects; SMW takes their fields separated by `;`.
+ *
+ * @param {*} value - Property value
+ * @returns {string} Annotation value
+ */
+function formatValue(value) {
+  if (value !== null && typeof value === 'object') {
+    return Object.values(value).map(formatValue).join(';')
+  }
+  return String(value)
+}
+
+/**
+ * Render the wikitext of a resource page
+ *
+ * Property values become annotations (one per value for multiple
+ * cardinality) and subobject values become `{{#subobject:}}` calls.
+ * Keys are told apart by the id conventions: properties start with
+ * `Has_` or `Is_`, subobjects do not.
+ *
+ * @param {Object} resource - Resource entity
+ * @returns {string} Page text
+ *
+ * @example
+ * renderResourcePage({ id: 'Person/John_doe', category: 'Person', label: 'John Doe', Has_name: 'John Doe' })
+ * // '[[Display title of::John Doe]]\n[[Has_name::John Doe]]\n\n[[Category:Person]]'
+ */
+export function renderResourcePage(resource) {
+  const annotations = resource.label ? [['Display title of', resource.label]] : []
+  const subobjects = []
+
+  for (const [key, value] of Object.entries(resource)) {
+    if (RESOURCE_METADATA_FIELDS.has(key) || key.startsWith('_')) {
+      continue
+    }
+    const values = Array.isArray(value) ? value : [value]
+    if (/^(Has|Is)_/.test(key)) {
+      for (const single of values) {
+        annotations.push([key, formatValue(single)])
+      }
+    } else {
+      for (const single of values) {
+        const params = Object.entries(single || {}).flatMap(([propertyId, propertyValue]) =>
+          (Array.isArray(propertyValue) ? propertyValue : [propertyValue])
+            .map(item => `|${propertyId}=${formatValue(item)}`)
+        )
+        subobjects.push(['{{#subobject:', ...params, '}}'].join('\n'))
+      }
+    }
+  }
+
+  return joinSections([
+    resource.description,
+    renderAnnotations(annotations),
+    subobjects,
+    resource.category ? `[[Category:${resource.category}]]` : ''
+  ])
+}
+
+/**
+ * Build every wiki page of the entities in an index
+ *
+ * Titles are entity ids; templates and resources with `/` in their id and
+ * named dashboard pages become subpages. Each category also gets a Form:
+ * page and an infobox Template: page, and each subobject a Template: page.
+ * Pages are sorted by namespace and title.
+ *
+ * Categories, subobjects and templates share the Template: namespace, so a
+ * category or subobject with the id of another one or of a template would
+ * produce two pages with one title; that is an error rather than one page
+ * silently replacing the other.
+ *
+ * @param {Object} entityIndex - Entity index from buildEntityIndex() or createEntityIndexFromArtifact()
+ * @param {Object} options - Export options
+ * @param {Map<string, Object>} options.effectiveCategories - Effective category schemas for forms (defaults to resolving the index)
+ * @returns {Array<{namespace: string, title: string, text: string}>} Pages ('' is the main namespace)
+ * @throws {Error} If two pages have the same title
+ *
+ * @example
+ * exportWikiPages(entityIndex)
+ * // [{ namespace: '', title: 'Core_overview', text: '== Core Entities Overview ==...' },
+ * //  { namespace: 'Category', title: 'Agent', text: '...' }, ...]
+ */
+export function exportWikiPages(entityIndex, { effectiveCategories } = {}) {
+  const pages = generateFormPages(entityIndex, { effectiveCategories })
+
+  for (const [id, property] of entityIndex.properties) {
+    pages.push({ namespace: 'Property', title: id, text: renderPropertyPage(property) })
+  }
+  for (const [id, category] of entityIndex.categories) {
+    pages.push({ namespace: 'Category', title: id, text: renderCategoryPage(category) })
+  }
+  for (const [id, template] of entityIndex.templates) {
+    pages.push({ namespace: 'Template', title: id, text: template.wikitext || '' })
+  }
+  for (const [id, dashboard] of entityIndex.dashboards) {
+    for (const page of dashboard.pages || []) {
+      pages.push({ namespace: '', title: page.name ? `${id}/${page.name}` : id, text: page.wikitext || '' })
+    }
+  }
+  for (const [id, resource] of entityIndex.resources) {
+    pages.push({ namespace: '', title: id, text: renderResourcePage(resource) })
+  }
+
+  const key = page => `${page.namespace}\0${page.title}`
+  pages.sort((a, b) => (key(a) < key(b) ? -1 : key(a) > key(b) ? 1 : 0))
+
+  const duplicates = [...new Set(pages
+    .filter((page, position) => position > 0 && key(page) === key(pages[position - 1]))
+    .map(getPageTitle))]
+  if (duplicates.length > 0) {
+    throw new Error(`Pages with the same title: ${duplicates.join(', ')} (categories, subobjects and templates must not share an id)`)
+  }
+
+  return pages
+}
+
+/**
+ * Build every wiki page of a module artifact
+ *
+ * Forms use the artifact's effective categories, so properties inherited
+ * from categories of dependency modules are included.
+ *
+ * @param {Object} artifact - Module artifact (modules/<id>/versions/<version>.json)
+ * @returns {Array<{namespace: string, title: string, text: string}>} Pages
+ */
+export function exportArtifactPages(artifact) {
+  const effectiveCategories = artifact.effectiveCategories
+    ? new Map(Object.entries(artifact.effectiveCategories))
+    : undefined
+  return exportWikiPages(createEntityIndexFromArtifact(artifact), { effectiveCategories })
+}
+
+/**
+ * Get the full title of a page (e.g., 'Property:Has_name')
+ *
+ * @param {{namespace: string, title: string}} page - Page from exportWikiPages
+ * @returns {string} Full page title
+ */
+export function getPageTitle(page) {
+  return page.namespace ? `${page.namespace}:${page.title}` : page.title
+}
+
+/**
+ * Get the export path of a page, relative to the output directory
+ *
+ * @param {{namespace: string, title: string}} page - Page from exportWikiPages
+ * @returns {string} Path like 'Property/Has_name.wikitext' or 'Main/Core_overview/Setup.wikitext'
+ */
+export function getPagePath(page) {
+  return `${page.namespace || MAIN_NAMESPACE_DIR}/${page.title}.wikitext`
+}
+
+/**
+ * Write pages to a directory tree keyed by namespace and title
+ *
+ * @param {Array<{namespace: string, title: string, text: string}>} pages - Pages from exportWikiPages
+ * @param {string} outDir - Output directory
+ * @returns {string[]} Written paths, relative to outDir
+ */
+export function writeWikiPages(pages, outDir) {
+  const written = []
+
+  for (const page of pages) {
+    const relativePath = getPagePath(page)
+    const filePath = path.join(outDir, relativePath)
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    fs.writeFileSync(filePath, page.text + '\n')
+    written.push(relativePath)
+  }
+
+  return written
+}
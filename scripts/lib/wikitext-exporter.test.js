@@ -0,0 +1,201 @@
+import { describe, test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import fs from 'node:fs'
+import path from 'node:path'
+import os from 'node:os'
+import {
+  renderPropertyPage,
+  renderCategoryPage,
+  renderResourcePage,
+  exportWikiPages,
+  getPageTitle,
+  getPagePath,
+  writeWikiPages
+} from './wikitext-exporter.js'
+import { createEntityIndexFromArtifact } from './entity-index.js'
+
+describe('renderPropertyPage', () => {
+  test('renders type and label', () => {
+    assert.strictEqual(
+      renderPropertyPage({ id: 'Has_email', label: 'Email', description: 'Contact email', datatype: 'Email', cardinality: 'multiple' }),
+      'Contact email\n\n[[Display title of::Email]]\n[[Has type::Email]]'
+    )
+  })
+
+  test('renders value constraints, display settings and hierarchy', () => {
+    const text = renderPropertyPage({
+      id: 'Has_distance',
+      label: 'Distance',
+      description: 'Distance measurement',
+      datatype: 'Quantity',
+      cardinality: 'single',
+      allowed_values: ['1 km', '5 km'],
+      allowed_value_list: 'Distances',
+      allowed_pattern: '^[0-9]+ km$',
+      display_units: ['km', 'mi'],
+      display_precision: 0,
+      unique_values: true,
+      parent_property: 'Has_measurement'
+    })
+
+    assert.deepStrictEqual(text.split('\n').slice(2), [
+      '[[Display title of::Distance]]',
+      '[[Has type::Quantity]]',
+      '[[Allows value::1 km]]',
+      '[[Allows value::5 km]]',
+      '[[Allows value list::Distances]]',
+      '[[Allows pattern::^[0-9]+ km$]]',
+      '[[Display units::km, mi]]',
+      '[[Display precision of::0]]',
+      '[[Has uniqueness constraint::true]]',
+      '[[Subproperty of::Has_measurement]]'
+    ])
+  })
+
+  test('skips category-sourced allowed values', () => {
+    const text = renderPropertyPage({
+      id: 'Has_member', label: 'Member', description: 'Member', datatype: 'Page', cardinality: 'multiple',
+      allowed_values: { from_category: 'Person' }
+    })
+
+    assert.ok(!text.includes('Allows value'))
+  })
+})
+
+describe('renderCategoryPage', () => {
+  test('renders description, label and parent categories', () => {
+    assert.strictEqual(
+      renderCategoryPage({ id: 'Student', label: 'Student', description: 'A student', parents: ['Person', 'Member'] }),
+      'A student\n\n[[Display title of::Student]]\n\n[[Category:Person]]\n[[Category:Member]]'
+    )
+  })
+
+  test('omits parents of root categories', () => {
+    assert.strictEqual(
+      renderCategoryPage({ id: 'Agent', label: 'Agent', description: 'An agent' }),
+      'An agent\n\n[[Display title of::Agent]]'
+    )
+  })
+})
+
+describe('renderResourcePage', () => {
+  test('renders property values, subobjects and the category', () => {
+    const text = renderResourcePage({
+      id: 'Person/Jane_doe',
+      category: 'Person',
+      label: 'Jane Doe',
+      description: 'Example person',
+      Has_name: 'Jane Doe',
+      Has_email: ['jane@example.com', 'jd@example.com'],
+      Address: { Has_street: '1 Main St', Has_city: 'Springfield' }
+    })
+
+    assert.strictEqual(text, [
+      'Example person',
+      '',
+      '[[Display title of::Jane Doe]]',
+      '[[Has_name::Jane Doe]]',
+      '[[Has_email::jane@example.com]]',
+      '[[Has_email::jd@example.com]]',
+      '',
+      '{{#subobject:',
+      '|Has_street=1 Main St',
+      '|Has_city=Springfield',
+      '}}',
+      '',
+      '[[Category:Person]]'
+    ].join('\n'))
+  })
+
+  test('joins record fields with semicolons', () => {
+    const text = renderResourcePage({ id: 'Person/Jane_doe', category: 'Person', Has_affiliation: { Has_name: 'Lab', Has_role: 'PI' } })
+
+    assert.ok(text.includes('[[Has_affiliation::Lab;PI]]'))
+  })
+})
+
+describe('exportWikiPages', () => {
+  const index = createEntityIndexFromArtifact({
+    id: 'Core',
+    version: '1.0.0',
+    categories: [{ id: 'Person', label: 'Person', description: 'A human being' }],
+    properties: [{ id: 'Has_name', label: 'Name', description: 'Name', datatype: 'Text', cardinality: 'single' }],
+    templates: [{ id: 'Property/Page', label: 'Page', description: 'Page links', wikitext: '[[{{{value}}}]]' }],
+    dashboards: [{
+      id: 'Core_overview',
+      label: 'Overview',
+      description: 'Overview',
+      pages: [{ name: '', wikitext: '== Overview ==' }, { name: 'Setup', wikitext: '== Setup ==' }]
+    }]
+  })
+
+  test('emits one page per entity and dashboard page, sorted by namespace and title', () => {
+    const pages = exportWikiPages(index)
+
+    assert.deepStrictEqual(pages.map(getPageTitle), [
+      'Core_overview',
+      'Core_overview/Setup',
+      'Category:Person',
+      'Form:Person',
+      'Property:Has_name',
+      'Template:Person',
+      'Template:Property/Page'
+    ])
+    assert.strictEqual(pages[1].text, '== Setup ==')
+    assert.strictEqual(pages[6].text, '[[{{{value}}}]]')
+  })
+
+  test('maps pages to paths keyed by namespace and title', () => {
+    assert.deepStrictEqual(exportWikiPages(index).map(getPagePath), [
+      'Main/Core_overview.wikitext',
+      'Main/Core_overview/Setup.wikitext',
+      'Category/Person.wikitext',
+      'Form/Person.wikitext',
+      'Property/Has_name.wikitext',
+      'Template/Person.wikitext',
+      'Template/Property/Page.wikitext'
+    ])
+  })
+
+  test('rejects a template with the id of a category', () => {
+    const clashing = createEntityIndexFromArtifact({
+      id: 'Core',
+      version: '1.0.0',
+      categories: [{ id: 'Person' }],
+      templates: [{ id: 'Person', wikitext: '{{{name}}}' }]
+    })
+
+    assert.throws(() => exportWikiPages(clashing), /Pages with the same title: Template:Person/)
+  })
+
+  test('rejects a subobject with the id of a category', () => {
+    const clashing = createEntityIndexFromArtifact({
+      id: 'Core',
+      version: '1.0.0',
+      categories: [{ id: 'Address' }],
+      subobjects: [{ id: 'Address' }]
+    })
+
+    assert.throws(() => exportWikiPages(clashing), /Pages with the same title: Template:Address/)
+  })
+
+  describe('writeWikiPages', () => {
+    let tempDir
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wikitext-export-test-'))
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    test('writes the directory tree', () => {
+      const written = writeWikiPages(exportWikiPages(index), tempDir)
+
+      assert.strictEqual(written.length, 7)
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, 'Template/Property/Page.wikitext'), 'utf8'), '[[{{{value}}}]]\n')
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, 'Main/Core_overview/Setup.wikitext'), 'utf8'), '== Setup ==\n')
+    })
+  })
+})
@@ -0,0 +1,176 @@
+/**
+ * MediaWiki XML dumps of module and bundle artifacts
+ *
+ * Produces the `<mediawiki><page><revision>` export format read by
+ * importDump.php, with every page from wikitext-exporter.js. Dumps contain
+ * no wall-clock data: the revision timestamp is the artifact's `generated`
+ * time and the contributor is fixed, so the same artifact always produces
+ * the same dump.
+ */
+
+import crypto from 'node:crypto'
+import { ENTITY_TYPES } from './constants.js'
+import { createEntityIndexFromArtifact } from './entity-index.js'
+import { resolveAllCategories } from './inheritance-resolver.js'
+import { exportArtifactPages, exportWikiPages, getPageTitle } from './wikitext-exporter.js'
+
+/**
+ * Contributor recorded on every revision unless overridden
+ */
+export const DEFAULT_CONTRIBUTOR = 'Labki'
+
+/**
+ * Export format version written in the <mediawiki> element
+ */
+const EXPORT_VERSION = '0.11'
+
+/**
+ * Namespace numbers of exported pages (Property is the SMW namespace, Form the Page Forms one)
+ */
+const NAMESPACE_IDS = { '': 0, Template: 10, Category: 14, Property: 102, Form: 106 }
+
+/**
+ * Escape text for XML element content and attribute values
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * Format a timestamp the way MediaWiki exports do (second precision, UTC)
+ *
+ * @param {string} timestamp - ISO 8601 timestamp
+ * @returns {string} Timestamp like '2026-01-01T00:00:00Z'
+ * @throws {Error} If the timestamp cannot be parsed
+ */
+function formatTimestamp(timestamp) {
+  const date = new Date(timestamp)
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid timestamp: ${timestamp}`)
+  }
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z')
+}
+
+/**
+ * Compute the revision checksum MediaWiki stores (SHA-1 in base 36)
+ *
+ * @param {string} text - Revision text
+ * @returns {string} 31-character base-36 SHA-1
+ */
+function sha1Base36(text) {
+  const hex = crypto.createHash('sha1').update(text, 'utf8').digest('hex')
+  return BigInt(`0x${hex}`).toString(36).padStart(31, '0')
+}
+
+/**
+ * Render pages as a MediaWiki XML dump
+ *
+ * @param {Array<{namespace: string, title: string, text: string}>} pages - Pages from exportWikiPages
+ * @param {Object} options - Dump options
+ * @param {string} options.timestamp - Revision timestamp (ISO 8601)
+ * @param {string} options.contributor - Revision contributor (defaults to DEFAULT_CONTRIBUTOR)
+ * @param {string} options.comment - Revision comment (optional)
+ * @returns {string} XML document
+ * @throws {Error} If the timestamp is missing or invalid
+ *
+ * @example
+ * createXmlDump([{ namespace: 'Property', title: 'Has_name', text: 'Name\n\n[[Has type::Text]]' }],
+ *   { timestamp: '2026-01-01T00:00:00.000Z', comment: 'Core 1.0.0' })
+ * // '<mediawiki ...>\n  <page>\n    <title>Property:Has_name</title>\n    <ns>102</ns>...'
+ */
+export function createXmlDump(pages, { timestamp, contributor = DEFAULT_CONTRIBUTOR, comment } = {}) {
+  if (!timestamp) {
+    throw new Error('A revision timestamp is required for reproducible dumps')
+  }
+  const revisionTimestamp = formatTimestamp(timestamp)
+
+  const lines = [
+    `<mediawiki xmlns="http://www.mediawiki.org/xml/export-${EXPORT_VERSION}/" ` +
+      'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+      `xsi:schemaLocation="http://www.mediawiki.org/xml/export-${EXPORT_VERSION}/ http://www.mediawiki.org/xml/export-${EXPORT_VERSION}.xsd" ` +
+      `version="${EXPORT_VERSION}" xml:lang="en">`
+  ]
+
+  for (const page of pages) {
+    lines.push(
+      '  <page>',
+      `    <title>${escapeXml(getPageTitle(page))}</title>`,
+      `    <ns>${NAMESPACE_IDS[page.namespace] ?? 0}</ns>`,
+      '    <revision>',
+      `      <timestamp>${revisionTimestamp}</timestamp>`,
+      `      <contributor><username>${escapeXml(contributor)}</username></contributor>`
+    )
+    if (comment) {
+      lines.push(`      <comment>${escapeXml(comment)}</comment>`)
+    }
+    lines.push(
+      '      <model>wikitext</model>',
+      '      <format>text/x-wiki</format>',
+      `      <text xml:space="preserve" bytes="${Buffer.byteLength(page.text, 'utf8')}">${escapeXml(page.text)}</text>`,
+      `      <sha1>${sha1Base36(page.text)}</sha1>`,
+      '    </revision>',
+      '  </page>'
+    )
+  }
+
+  lines.push('</mediawiki>')
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Create the XML dump of a module artifact
+ *
+ * @param {Object} artifact - Module artifact from generateModuleArtifact()
+ * @param {Object} options - Dump options
+ * @param {string} options.contributor - Revision contributor (defaults to DEFAULT_CONTRIBUTOR)
+ * @returns {string} XML document
+ */
+export function createModuleXmlDump(artifact, { contributor } = {}) {
+  return createXmlDump(exportArtifactPages(artifact), {
+    timestamp: artifact.generated,
+    contributor,
+    comment: `Labki module ${artifact.id} ${artifact.version}`
+  })
+}
+
+/**
+ * Create the XML dump of a bundle manifest, with the pages of all its modules
+ *
+ * @param {Object} manifest - Bundle manifest from generateBundleManifest()
+ * @param {Object[]} artifacts - Artifacts of the modules pinned by the manifest
+ * @param {Object} options - Dump options
+ * @param {string} options.contributor - Revision contributor (defaults to DEFAULT_CONTRIBUTOR)
+ * @returns {string} XML document
+ */
+export function createBundleXmlDump(manifest, artifacts, { contributor } = {}) {
+  const index = Object.fromEntries(ENTITY_TYPES.map(entityType => [entityType, new Map()]))
+  for (const artifact of artifacts) {
+    const moduleIndex = createEntityIndexFromArtifact(artifact)
+    for (const entityType of ENTITY_TYPES) {
+      for (const [id, entity] of moduleIndex[entityType]) {
+        index[entityType].set(id, entity)
+      }
+    }
+  }
+
+  // Prefer the artifacts' effective categories, which include parents from modules outside the bundle
+  const effectiveCategories = resolveAllCategories(index)
+  for (const artifact of artifacts) {
+    for (const [categoryId, effective] of Object.entries(artifact.effectiveCategories || {})) {
+      effectiveCategories.set(categoryId, effective)
+    }
+  }
+
+  return createXmlDump(exportWikiPages(index, { effectiveCategories }), {
+    timestamp: manifest.generated,
+    contributor,
+    comment: `Labki bundle ${manifest.id} ${manifest.version}`
+  })
+}
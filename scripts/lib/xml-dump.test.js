@@ -0,0 +1,89 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert'
+import {
+  DEFAULT_CONTRIBUTOR,
+  createXmlDump,
+  createModuleXmlDump,
+  createBundleXmlDump
+} from './xml-dump.js'
+import { createMockArtifact } from '../__fixtures__/mock-artifact.js'
+
+const TIMESTAMP = '2026-01-01T12:30:00.000Z'
+
+describe('createXmlDump', () => {
+  const pages = [
+    { namespace: '', title: 'Core_overview', text: '== Overview ==' },
+    { namespace: 'Property', title: 'Has_name', text: 'A <name> & "title"\n\n[[Has type::Text]]' }
+  ]
+
+  test('writes one page with a single revision per page', () => {
+    const xml = createXmlDump(pages, { timestamp: TIMESTAMP, comment: 'Core 1.0.0' })
+
+    assert.ok(xml.startsWith('<mediawiki xmlns="http://www.mediawiki.org/xml/export-0.11/"'))
+    assert.ok(xml.endsWith('</mediawiki>\n'))
+    assert.strictEqual(xml.match(/<page>/g).length, 2)
+    assert.ok(xml.includes('    <title>Property:Has_name</title>\n    <ns>102</ns>'))
+    assert.ok(xml.includes('    <title>Core_overview</title>\n    <ns>0</ns>'))
+    assert.ok(xml.includes('<timestamp>2026-01-01T12:30:00Z</timestamp>'))
+    assert.ok(xml.includes(`<contributor><username>${DEFAULT_CONTRIBUTOR}</username></contributor>`))
+    assert.ok(xml.includes('<comment>Core 1.0.0</comment>'))
+  })
+
+  test('escapes page text and records its size and checksum', () => {
+    const xml = createXmlDump(pages, { timestamp: TIMESTAMP })
+
+    assert.ok(xml.includes('<text xml:space="preserve" bytes="38">A &lt;name&gt; &amp; &quot;title&quot;\n\n[[Has type::Text]]</text>'))
+    assert.ok(xml.includes('<sha1>ol1p9sn12sbudveuig4zk8iax4whec0</sha1>'))
+    assert.ok(!xml.includes('<comment>'))
+  })
+
+  test('is reproducible', () => {
+    assert.strictEqual(
+      createXmlDump(pages, { timestamp: TIMESTAMP, contributor: 'Admin' }),
+      createXmlDump(pages, { timestamp: TIMESTAMP, contributor: 'Admin' })
+    )
+  })
+
+  test('requires a valid timestamp', () => {
+    assert.throws(() => createXmlDump(pages), /timestamp is required/)
+    assert.throws(() => createXmlDump(pages, { timestamp: 'yesterday' }), /Invalid timestamp: yesterday/)
+  })
+})
+
+describe('createModuleXmlDump', () => {
+  test('dumps the pages of an artifact at its generated time', () => {
+    const xml = createModuleXmlDump(createMockArtifact({
+      id: 'Core',
+      generated: TIMESTAMP,
+      categories: [{ id: 'Person', label: 'Person', description: 'A human being' }],
+      properties: [{ id: 'Has_name', label: 'Name', description: 'Name', datatype: 'Text', cardinality: 'single' }],
+      resources: [{ id: 'Person/John_doe', category: 'Person', Has_name: 'John Doe' }]
+    }), { contributor: 'Admin' })
+
+    assert.deepStrictEqual(
+      [...xml.matchAll(/<title>(.*)<\/title>/g)].map(match => match[1]),
+      ['Person/John_doe', 'Category:Person', 'Form:Person', 'Property:Has_name', 'Template:Person']
+    )
+    assert.ok(xml.includes('<username>Admin</username>'))
+    assert.ok(xml.includes('<comment>Labki module Core 1.0.0</comment>'))
+    assert.ok(xml.includes('[[Has_name::John Doe]]'))
+    assert.ok(xml.includes('    <title>Form:Person</title>\n    <ns>106</ns>'))
+  })
+})
+
+describe('createBundleXmlDump', () => {
+  test('combines the pages of every module', () => {
+    const manifest = { id: 'Default', version: '2.0.0', generated: '2026-02-01T00:00:00.000Z', modules: { Core: '1.0.0', Lab: '1.0.0' } }
+    const xml = createBundleXmlDump(manifest, [
+      createMockArtifact({ id: 'Core', generated: TIMESTAMP, categories: [{ id: 'Agent', label: 'Agent', description: 'An agent' }] }),
+      createMockArtifact({ id: 'Lab', generated: TIMESTAMP, categories: [{ id: 'Equipment', label: 'Equipment', description: 'Lab equipment' }] })
+    ])
+
+    assert.deepStrictEqual(
+      [...xml.matchAll(/<title>(.*)<\/title>/g)].map(match => match[1]),
+      ['Category:Agent', 'Category:Equipment', 'Form:Agent', 'Form:Equipment', 'Template:Agent', 'Template:Equipment']
+    )
+    assert.ok(xml.includes('<timestamp>2026-02-01T00:00:00Z</timestamp>'))
+    assert.ok(xml.includes('<comment>Labki bundle Default 2.0.0</comment>'))
+  })
+})
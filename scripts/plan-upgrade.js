@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+import fs from 'node:fs'
+import {
+  PLAN_FORMATS,
+  loadBundleManifest,
+  createUpgradePlan,
+  formatUpgradePlan
+} from './lib/upgrade-planner.js'
+
+const USAGE = `Usage:
+  node scripts/plan-upgrade.js <installed-manifest.json> <target-version> [--format=json|markdown]
+  node scripts/plan-upgrade.js <installed-manifest.json> <target-manifest.json> [--format=json|markdown]`
+
+/**
+ * Parse command-line arguments
+ * @returns {Object} Parsed arguments
+ */
+function parseArgs() {
+  const args = {
+    format: 'json',
+    positional: []
+  }
+
+  for (const arg of process.argv.slice(2)) {
+    if (arg.startsWith('--format=')) {
+      args.format = arg.slice('--format='.length)
+    } else {
+      args.positional.push(arg)
+    }
+  }
+
+  return args
+}
+
+/**
+ * Read a JSON manifest from disk
+ *
+ * @param {string} filePath - Manifest path
+ * @returns {Object} Parsed manifest
+ * @throws {Error} If the file does not exist
+ */
+function readManifest(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Manifest not found: ${filePath}`)
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'))
+}
+
+/**
+ * Main entry point for upgrade planning
+ */
+function main() {
+  try {
+    const args = parseArgs()
+
+    if (!PLAN_FORMATS.includes(args.format)) {
+      throw new Error(`Invalid format "${args.format}" (expected one of: ${PLAN_FORMATS.join(', ')})`)
+    }
+    if (args.positional.length !== 2) {
+      throw new Error(`Expected an installed manifest and a target version or manifest\n\n${USAGE}`)
+    }
+
+    const [installedPath, target] = args.positional
+    const installed = readManifest(installedPath)
+    const targetManifest = target.endsWith('.json')
+      ? readManifest(target)
+      : loadBundleManifest(installed.id, target)
+
+    const plan = createUpgradePlan(installed, targetManifest)
+
+    process.stdout.write(formatUpgradePlan(plan, args.format))
+  } catch (error) {
+    console.error('Error planning upgrade:', error.message)
+    process.exit(1)
+  }
+}
+
+main()
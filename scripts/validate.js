@@ -7,16 +7,22 @@ import fs from 'node:fs'
 import path from 'node:path'
 import semver from 'semver'
 import { GLOB_IGNORE_PATTERNS, BUMP_PRIORITY } from './lib/constants.js'
+import { toEntityId } from './lib/path-utils.js'
 
 // Reference validation modules
 import { buildEntityIndex } from './lib/entity-index.js'
 import { validateReferences } from './lib/reference-validator.js'
-import { validateConstraints } from './lib/constraint-validator.js'
+import { validateConstraints, validateInheritedConstraints, validatePropertyHierarchy } from './lib/constraint-validator.js'
+import { resolveAllCategories } from './lib/inheritance-resolver.js'
 import { findOrphanedEntities } from './lib/orphan-detector.js'
 import { detectCycles } from './lib/cycle-detector.js'
+import { validateResources } from './lib/resource-validator.js'
+import { validateUniqueValues } from './lib/unique-value-validator.js'
+import { validatePageReferences, DEFAULT_PAGE_LINK_STRICTNESS } from './lib/page-reference-validator.js'
+import { validateDeprecations, validateRemovals } from './lib/deprecation-validator.js'
 
 // Version validation modules
-import { validateVersionFormat, compareVersions, getBaseVersion } from './lib/version-validator.js'
+import { validateVersionFormat, compareVersions, getBaseVersion, validatePrereleaseDependencies } from './lib/version-validator.js'
 import { detectChanges, getChangedFiles } from './lib/change-detector.js'
 import { calculateVersionCascade } from './lib/version-cascade.js'
 
@@ -162,7 +168,7 @@ function validateFile(filePath) {
   // the id should be the relative path from the schema directory
   const schemaDir = path.dirname(schemaPath)
   const relativePath = path.relative(schemaDir, filePath)
-  const expectedId = relativePath.replace(/\.json$/, '').replace(/\\/g, '/')
+  const expectedId = toEntityId(relativePath)
 
   if (data.id !== expectedId) {
     errors.push({
@@ -314,6 +320,28 @@ function generateBreakingChangesList(breakingChanges) {
   return md
 }
 
+/**
+ * Generate per-entity change findings markdown
+ * @param {Array} changes - Changes from detectChanges (each with findings)
+ * @returns {string} Markdown list of findings grouped by entity file (empty string if none)
+ */
+function generateChangeFindingsList(changes = []) {
+  const withFindings = changes.filter(change => change.findings && change.findings.length > 0)
+  if (withFindings.length === 0) {
+    return ''
+  }
+
+  let md = '\n**Detected Changes:**\n'
+  for (const change of withFindings) {
+    const file = change.previousFile ? `\`${change.previousFile}\` -> \`${change.file}\`` : `\`${change.file}\``
+    md += `- ${file} (${change.changeType})\n`
+    for (const finding of change.findings) {
+      md += `  - **${finding.severity}** ${finding.message} (\`${finding.rule}\`)\n`
+    }
+  }
+  return md
+}
+
 /**
  * Generate version cascade section markdown
  * @param {object} cascade - Cascade analysis from versionAnalysis.cascade
@@ -332,6 +360,27 @@ function generateCascadeMarkdown(cascade) {
     }
   }
 
+  md += generateMigrationTable(cascade.migrations)
+
+  return md
+}
+
+/**
+ * Generate renamed entities table markdown
+ * @param {Object<string, Object<string, string>>} migrations - Migration map from buildMigrationMap
+ * @returns {string} Markdown table (empty string if nothing was renamed)
+ */
+function generateMigrationTable(migrations = {}) {
+  const rows = Object.entries(migrations).flatMap(([entityType, renames]) =>
+    Object.entries(renames).map(([oldId, newId]) => `| ${entityType} | ${oldId} | ${newId} |\n`))
+  if (rows.length === 0) {
+    return ''
+  }
+
+  let md = '\n**Renamed Entities:**\n'
+  md += '| Type | Old ID | New ID |\n'
+  md += '|------|--------|--------|\n'
+  md += rows.join('')
   return md
 }
 
@@ -340,14 +389,15 @@ function generateCascadeMarkdown(cascade) {
  * @param {Array} schemaErrors - Schema validation errors
  * @param {Array} refErrors - Reference validation errors
  * @param {Array} cycleErrors - Cycle detection errors
+ * @param {Array} resourceErrors - Resource validation errors
  * @param {Array} allWarnings - All validation warnings
  * @param {number} totalFiles - Total files validated
  * @param {object} versionAnalysis - Version analysis results (optional)
  * @param {object} validationMode - Mode and file count info
  * @returns {string} Markdown for PR comment
  */
-function generatePRComment(schemaErrors, refErrors, cycleErrors, allWarnings, totalFiles, versionAnalysis = null, validationMode = null) {
-  const allErrors = [...schemaErrors, ...refErrors, ...cycleErrors]
+function generatePRComment(schemaErrors, refErrors, cycleErrors, resourceErrors, allWarnings, totalFiles, versionAnalysis = null, validationMode = null) {
+  const allErrors = [...schemaErrors, ...refErrors, ...cycleErrors, ...resourceErrors]
   const hasAnyError = allErrors.length > 0
   const status = hasAnyError ? 'FAIL' : 'PASS'
   const emoji = hasAnyError ? '\u274C' : '\u2705'
@@ -398,6 +448,18 @@ function generatePRComment(schemaErrors, refErrors, cycleErrors, allWarnings, to
   }
   md += '\n</details>\n\n'
 
+  // Resource validation section
+  md += '<details>\n'
+  md += `<summary>Resource Validation ${resourceErrors.length === 0 ? '\u2705' : '\u274C'}</summary>\n\n`
+  if (resourceErrors.length === 0) {
+    md += 'All resources match their category schemas.\n'
+  } else {
+    for (const err of resourceErrors) {
+      md += `- \`${err.file}\`: ${err.message}\n`
+    }
+  }
+  md += '\n</details>\n\n'
+
   // Version analysis section
   if (versionAnalysis && versionAnalysis.prVersion) {
     const versionStatus = (versionAnalysis.isValid && versionAnalysis.isIncremented) ? '\u2705' : '\u26A0\uFE0F'
@@ -405,6 +467,7 @@ function generatePRComment(schemaErrors, refErrors, cycleErrors, allWarnings, to
     md += `<summary>Version Analysis ${versionStatus}</summary>\n\n`
     md += generateVersionTable(versionAnalysis)
     md += generateBreakingChangesList(versionAnalysis.breakingChanges)
+    md += generateChangeFindingsList(versionAnalysis.changes)
     md += '\n</details>\n\n'
   }
 
@@ -432,10 +495,29 @@ function getErrorSuggestion(errorType) {
     'missing-reference': 'Create the referenced entity or fix the reference.',
     'property-conflict': 'Remove the item from either required or optional list (not both).',
     'subobject-conflict': 'Remove the item from either required or optional list (not both).',
+    'property-loosened': 'Move the property to required_properties or remove it (it is already inherited as required).',
+    'subobject-loosened': 'Move the subobject to required_subobjects or remove it (it is already inherited as required).',
+    'inherited-property-conflict': 'Declare the property in required_properties of this category to resolve the conflict, or align the parents.',
+    'inherited-subobject-conflict': 'Declare the subobject in required_subobjects of this category to resolve the conflict, or align the parents.',
+    'parent-datatype-mismatch': 'Use the same datatype as the parent property (string datatypes such as Email or URL may specialize Text), or choose a different parent_property.',
     'scope-violation': "Add the referenced entity's module as a dependency.",
+    'resource-category-mismatch': 'Move the resource into resources/<Category>/ matching its category field.',
+    'resource-unknown-property': 'Remove the key, or add the property to the category (or one of its ancestors).',
+    'resource-missing-property': 'Provide a value for every required property of the category, including inherited ones.',
+    'resource-cardinality': 'Provide a single value instead of an array, or change the property cardinality to multiple.',
+    'duplicate-unique-value': 'Give each resource a distinct value for this property, or drop unique_values from the property.',
+    'invalid-value': "Fix the value to match the property's datatype, allowed_values or allowed_pattern.",
+    'dangling-page-link': 'Link to the id of an existing resource (e.g. "Organization/Acme") or add the missing resource.',
+    'page-reference-category': "Link to a resource in the property's Allows_value_from_category category (or a descendant).",
+    'invalid-deprecation': 'Point replacement at another existing entity of the same type, and set removal_version later than since.',
+    'premature-removal': 'Keep the deprecated entity until the ontology reaches its removal_version, or move removal_version earlier in a separate release.',
     'missing-version': 'Create a VERSION file in the repository root with valid semver (e.g., "1.0.0").',
     'invalid-version': 'Update VERSION file to contain valid semver format: MAJOR.MINOR.PATCH (e.g., "1.0.0").',
-    'version-not-incremented': 'Increment the VERSION to be greater than the base branch version.'
+    'version-not-incremented': 'Increment the VERSION to be greater than the base branch version.',
+    'invalid-dependency-range': 'Use a valid semver range for the dependency (e.g., "^1.0.0" or ">=1.2.0 <3.0.0").',
+    'dependency-range-unsatisfied': 'Widen the declared range to include the dependency\'s current version, or depend on a version that matches.',
+    'dependency-range-broken': 'Check the dependent module against the new dependency version and widen its declared range (e.g., "^1.0.0 || ^2.0.0").',
+    'prerelease-dependency': 'Release the module with a major/minor/patch override, or give the bundle a premajor/preminor/prerelease override in VERSION_OVERRIDES.json.'
   }
 
   if (suggestions[errorType]) {
@@ -529,6 +611,11 @@ function generateMarkdownSummary(allErrors, allWarnings, totalFiles, versionAnal
     if (breakingChangesMd) {
       markdown += breakingChangesMd.trimStart() + '\n'
     }
+
+    const findingsMd = generateChangeFindingsList(versionAnalysis.changes)
+    if (findingsMd) {
+      markdown += findingsMd.trimStart() + '\n'
+    }
   }
 
   // Version Cascade section
@@ -574,7 +661,8 @@ function validateVersion(entityIndex) {
     requiredBump: null,
     isValid: false,
     isIncremented: false,
-    breakingChanges: []
+    breakingChanges: [],
+    changes: []
   }
 
   // 1. Read VERSION file
@@ -623,12 +711,21 @@ function validateVersion(entityIndex) {
   // 6. Determine actual bump type
   analysis.actualBump = semver.diff(analysis.baseVersion, analysis.prVersion) || 'patch'
 
-  // 7. Collect breaking changes for reporting
-  analysis.breakingChanges = changes
-    .filter(c => c.reason !== null)
-    .map(c => c.reason)
+  // 7. Collect every change finding, and breaking ones for the summary
+  analysis.changes = changes
+  analysis.breakingChanges = changes.flatMap(c => c.findings
+    .filter(finding => finding.severity === 'major')
+    .map(finding => `${c.entityId}: ${finding.message}`))
+
+  // 8. Refuse removal of deprecated entities before their removal version
+  const releaseVersion = semver.inc(analysis.baseVersion, requiredBump)
+  const { errors: removalErrors } = validateRemovals(
+    changes,
+    semver.gt(analysis.prVersion, releaseVersion) ? analysis.prVersion : releaseVersion
+  )
+  errors.push(...removalErrors)
 
-  // 8. Compare actual vs required bump
+  // 9. Compare actual vs required bump
   const actualPriority = BUMP_PRIORITY[analysis.actualBump] || 0
   const requiredPriority = BUMP_PRIORITY[analysis.requiredBump] || 0
 
@@ -641,7 +738,7 @@ function validateVersion(entityIndex) {
     })
   }
 
-  // 9. Calculate version cascade
+  // 10. Calculate version cascade
   const baseBranch = process.env.GITHUB_BASE_REF
     ? `origin/${process.env.GITHUB_BASE_REF}`
     : 'origin/main'
@@ -657,17 +754,26 @@ function validateVersion(entityIndex) {
       moduleBumps: Object.fromEntries(cascadeResult.moduleBumps),
       bundleBumps: Object.fromEntries(cascadeResult.bundleBumps),
       ontologyBump: cascadeResult.ontologyBump,
-      overrideWarnings: cascadeResult.overrideWarnings || []
+      overrideWarnings: cascadeResult.overrideWarnings || [],
+      migrations: cascadeResult.migrations || {}
     }
   } else {
     analysis.cascade = {
       moduleBumps: {},
       bundleBumps: {},
       ontologyBump: null,
-      overrideWarnings: []
+      overrideWarnings: [],
+      migrations: {}
     }
   }
 
+  // 11. Refuse stable bundles that would include pre-release modules
+  const { errors: prereleaseErrors } = validatePrereleaseDependencies(entityIndex, cascadeResult || {})
+  errors.push(...prereleaseErrors)
+
+  // 12. Refuse dependency versions outside declared ranges (now or after the cascade)
+  errors.push(...(cascadeResult?.dependencyErrors || []))
+
   // Add override warnings to warnings array
   for (const warning of (cascadeResult.overrideWarnings || [])) {
     warnings.push({
@@ -688,6 +794,8 @@ async function main() {
     // Parse command-line arguments
     const changedOnly = process.argv.includes('--changed-only')
     const outputMarkdown = process.argv.includes('--output-markdown')
+    const pageLinksArg = process.argv.find(arg => arg.startsWith('--page-links='))
+    const pageLinkStrictness = pageLinksArg ? pageLinksArg.split('=')[1] : DEFAULT_PAGE_LINK_STRICTNESS
 
     // Discover files based on mode
     let filesToValidate
@@ -734,10 +842,19 @@ async function main() {
     const entityIndex = await buildEntityIndex()
 
     // Run reference validation
-    const { errors: referenceErrors, warnings: referenceWarnings } = validateReferences(entityIndex)
+    const { errors: ownReferenceErrors, warnings: ownReferenceWarnings } = validateReferences(entityIndex)
+    const { errors: deprecationErrors, warnings: deprecationWarnings } = validateDeprecations(entityIndex)
+    const referenceErrors = [...ownReferenceErrors, ...deprecationErrors]
+    const referenceWarnings = [...ownReferenceWarnings, ...deprecationWarnings]
+
+    // Resolve category inheritance once for inheritance-aware checks
+    const effectiveCategories = resolveAllCategories(entityIndex)
 
-    // Run constraint validation
-    const { errors: constraintErrors } = validateConstraints(entityIndex)
+    // Run constraint validation (own declarations, then inherited constraints)
+    const { errors: ownConstraintErrors } = validateConstraints(entityIndex)
+    const { errors: inheritedConstraintErrors } = validateInheritedConstraints(entityIndex, effectiveCategories)
+    const { errors: hierarchyErrors } = validatePropertyHierarchy(entityIndex)
+    const constraintErrors = [...ownConstraintErrors, ...inheritedConstraintErrors, ...hierarchyErrors]
 
     // Run orphan detection (warnings only)
     const { warnings: orphanWarnings } = findOrphanedEntities(entityIndex)
@@ -745,12 +862,22 @@ async function main() {
     // Phase 3: Cycle detection
     const { errors: cycleErrors } = detectCycles(entityIndex)
 
-    // Phase 4: Version validation
+    // Phase 4: Resource validation against effective category schemas
+    const { errors: resourceSchemaErrors } = validateResources(entityIndex, effectiveCategories)
+    const { errors: uniqueValueErrors } = validateUniqueValues(entityIndex)
+    const { errors: pageReferenceErrors, warnings: pageReferenceWarnings } = validatePageReferences(
+      entityIndex,
+      effectiveCategories,
+      { strictness: pageLinkStrictness }
+    )
+    const resourceErrors = [...resourceSchemaErrors, ...uniqueValueErrors, ...pageReferenceErrors]
+
+    // Phase 5: Version validation
     const { errors: versionErrors, warnings: versionWarnings, analysis: versionAnalysis } = validateVersion(entityIndex)
 
     // Combine all errors and warnings
-    const allErrors = [...schemaErrors, ...referenceErrors, ...constraintErrors, ...cycleErrors, ...versionErrors]
-    const allWarnings = [...referenceWarnings, ...orphanWarnings, ...versionWarnings]
+    const allErrors = [...schemaErrors, ...referenceErrors, ...constraintErrors, ...cycleErrors, ...resourceErrors, ...versionErrors]
+    const allWarnings = [...referenceWarnings, ...orphanWarnings, ...pageReferenceWarnings, ...versionWarnings]
 
     // Get total entity count (always from full discovery for accurate reporting)
     const allFiles = await discoverFiles()
@@ -787,6 +914,7 @@ async function main() {
         schemaErrors,
         referenceErrors.concat(constraintErrors),
         cycleErrors,
+        resourceErrors,
         allWarnings,
         allFiles.length,
         versionAnalysis,